@@ -0,0 +1,199 @@
+/**
+ * RWSDK Tools API
+ *
+ * The installers and generators as a library. Every function takes the
+ * project directory as `cwd`, never prompts, prints or exits, and resolves to
+ * a description of what it did. Failures reject with an Error.
+ *
+ *   const { generateLinks } = require("rwsdk-tools");
+ *   const { routes, linksPath } = await generateLinks({ cwd: projectRoot });
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { setupTailwind: runTailwindSetup } = require("./lib/tailwind");
+const { runDoctor } = require("./lib/doctor");
+const { createUnifiedDiff } = require("./lib/diff");
+
+const toolsDir = path.join(__dirname, "tools");
+
+/**
+ * Import one of the ES module tools
+ * @param {string} file - Path relative to the tools directory
+ * @returns {Promise<Object>} - The module
+ */
+function importTool(file) {
+  return import(pathToFileURL(path.join(toolsDir, file)).href);
+}
+
+// The routes generator, once it has been imported
+let routesTool = null;
+
+/**
+ * Import the routes generator, once per process
+ * @returns {Promise<Object>} - The module
+ */
+function importRoutesTool() {
+  if (!routesTool) {
+    // The generator is TypeScript so it can be copied into projects and run
+    // with tsx, which also loads it here. tsImport compiles it on every
+    // call, so the Vite plugin's regenerations share one import.
+    routesTool = import("tsx/esm/api")
+      .then(({ tsImport }) =>
+        tsImport(
+          pathToFileURL(path.join(toolsDir, "generateRoutes/generateRoutes.ts"))
+            .href,
+          __filename
+        )
+      )
+      .catch((error) => {
+        // Let the next call try again
+        routesTool = null;
+        throw error;
+      });
+  }
+  return routesTool;
+}
+
+/**
+ * Set up Tailwind CSS in the project
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @param {boolean} options.installPackages - Install missing packages (default true)
+ * @returns {Promise<Object>} - `{ changes, dependencies }`. Rejects when the
+ *   packages couldn't be installed, with the result as `error.result`
+ */
+async function setupTailwind(options = {}) {
+  const result = runTailwindSetup(options);
+  const { error, command } = result.dependencies;
+  if (error) {
+    const installError = new Error(
+      `Could not install the Tailwind CSS packages (${command}): ${error.message}`
+    );
+    installError.result = result;
+    throw installError;
+  }
+  return result;
+}
+
+/**
+ * Generate the links file, the API client, the route manifest and the sitemap
+ * from the routes in the worker
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @returns {Promise<Object>} - `{ routes, workerPath, linksPath, apiPath,
+ *   manifestPath, sitemapPath, files, changed, warnings }`
+ */
+async function generateLinks(options = {}) {
+  const tool = await importRoutesTool();
+  return tool.generateLinks(options);
+}
+
+/**
+ * List the routes in the worker with where they are declared
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @returns {Promise<Object>} - `{ routes, workerPath, conflicts, warnings }`,
+ *   each route being `{ path, file, line, handler, methods, prefixes, spreads }`
+ */
+async function listRoutes(options = {}) {
+  const tool = await importRoutesTool();
+  return tool.listRoutes(options);
+}
+
+/**
+ * Find links, hrefs and redirects in the app that no route serves
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @returns {Promise<Object>} - `{ deadLinks, files, warnings }`, each dead link
+ *   being `{ target, kind, file, line }`
+ */
+async function findDeadLinks(options = {}) {
+  const tool = await importRoutesTool();
+  return tool.findDeadLinks(options);
+}
+
+/**
+ * Check whether the generated files (links, API client, route manifest and
+ * sitemap) match the routes in the worker, without writing them
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @returns {Promise<Object>} - `{ upToDate, routes, workerPath, linksPath,
+ *   outdatedPaths, diff, warnings }`
+ */
+async function checkLinks(options = {}) {
+  const tool = await importRoutesTool();
+  return tool.checkLinks({ ...options, createDiff: createUnifiedDiff });
+}
+
+/**
+ * Regenerate the links file whenever the worker or a file it imports changes
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @param {Function} options.onGenerate - Called with the result of every run
+ * @param {Function} options.onError - Called when a run fails
+ * @returns {Promise<Object>} - A watcher with a `close()` method
+ */
+async function watchLinks(options = {}) {
+  const tool = await importRoutesTool();
+  return tool.watchLinks(options);
+}
+
+/**
+ * Merge the Prisma schema files into prisma/schema.prisma
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @returns {Promise<Object>} - `{ targetFile, schemaFiles, schema }`
+ */
+async function mergeSchemas(options = {}) {
+  const tool = await importTool("mergePrisma/mergePrismaSchema.mjs");
+  return tool.mergePrismaSchemas(options);
+}
+
+/**
+ * Convert a seed file to SQL
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @param {string} options.input - The seed file (default <scripts>/seed.ts)
+ * @param {string} options.output - The SQL file (default <scripts>/<seed name>.sql)
+ * @returns {Promise<Object>} - `{ inputFile, outputFile, statements, sql }`
+ */
+async function seedToSql(options = {}) {
+  const tool = await importTool("seedToSql/seedToSql.mjs");
+  return tool.seedToSql(options);
+}
+
+/**
+ * Generate the addon.jsonc of an add-on in the project
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @param {string} options.name - The add-on name
+ * @returns {Promise<Object>} - `{ addonDir, addonJsoncPath, config }`
+ */
+async function generateAddonConfig(options = {}) {
+  const tool = await importTool("addonGenerate/generateAddonConfig.mjs");
+  return tool.generateAddonConfig(options);
+}
+
+/**
+ * Check which tools are installed and whether they are set up correctly
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @returns {Promise<Object>} - `{ tools, findings }`
+ */
+async function doctor({ cwd = process.cwd() } = {}) {
+  return runDoctor(path.resolve(cwd));
+}
+
+module.exports = {
+  setupTailwind,
+  generateLinks,
+  listRoutes,
+  findDeadLinks,
+  checkLinks,
+  watchLinks,
+  mergeSchemas,
+  seedToSql,
+  generateAddonConfig,
+  doctor,
+};
@@ -8,14 +8,71 @@
 
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
+const { execSync, spawnSync } = require("child_process");
+const {
+  isDryRun,
+  setDryRun,
+  writeFile,
+  copyFile,
+  ensureDir,
+  chmod,
+  runCommand,
+  addPackages,
+} = require("./lib/operations");
+const { startRun, recordScript } = require("./lib/journal");
+const { undoRun, listRuns } = require("./lib/undo");
+const { runDoctor } = require("./lib/doctor");
+const { setupTailwind } = require("./lib/tailwind");
+const { loadPlugins } = require("./lib/plugins");
+const {
+  copiedScripts,
+  copyStampedScript,
+  inspectCopiedScript,
+} = require("./lib/copiedScripts");
+const { createUnifiedDiff, colorizeDiff } = require("./lib/diff");
+const { version } = require("./package.json");
+const {
+  packageManagers,
+  setPackageManager,
+  getPackageManager,
+} = require("./lib/packageManager");
+const {
+  loadConfig,
+  getPaths,
+  setAssumeYes,
+  isInteractive,
+} = require("./lib/config");
 
 // Configuration
 const config = {
   toolsDir: path.join(__dirname, "tools"),
   defaultInstallPath: process.cwd(),
+  // "copy" tool scripts into the project or "run" them from the package
+  toolMode: "copy",
+  toolsDependencyChecked: false,
 };
 
+// Commands handled by the switch in main, which plugins can't take over
+const builtInCommands = [
+  "routes",
+  "component",
+  "tailwind",
+  "shadcn",
+  "seedtosql",
+  "merge",
+  "email",
+  "windsurf",
+  "addon",
+  "undo",
+  "doctor",
+  "update",
+  "run",
+  "help",
+];
+
+// Commands registered by the project's plugins
+let pluginCommands = [];
+
 // Ensure tools directory exists
 if (!fs.existsSync(config.toolsDir)) {
   fs.mkdirSync(config.toolsDir, { recursive: true });
@@ -25,9 +82,68 @@ if (!fs.existsSync(config.toolsDir)) {
  * Main function to process command line arguments
  */
 function main() {
-  const args = process.argv.slice(2);
+  const argv = process.argv.slice(2);
+  const flags = argv.filter((arg) => arg.startsWith("--"));
+  const args = argv.filter((arg) => !arg.startsWith("--"));
   const command = args[0];
 
+  const pmFlag = flags.find((flag) => flag.startsWith("--pm="));
+  if (pmFlag) {
+    try {
+      setPackageManager(pmFlag.slice("--pm=".length));
+    } catch (error) {
+      console.error(`\x1b[31m${error.message}\x1b[0m`);
+      process.exit(1);
+    }
+  }
+
+  if (flags.includes("--yes")) {
+    setAssumeYes(true);
+  }
+
+  try {
+    const projectConfig = loadConfig(config.defaultInstallPath);
+
+    const modeFlag = flags.find((flag) => flag.startsWith("--mode="));
+    config.toolMode = modeFlag
+      ? modeFlag.slice("--mode=".length)
+      : projectConfig.mode || "copy";
+    if (!["copy", "run"].includes(config.toolMode)) {
+      throw new Error(
+        `Unknown mode: ${config.toolMode} (expected copy or run)`
+      );
+    }
+
+    const plugins = loadPlugins(config.defaultInstallPath, builtInCommands);
+    pluginCommands = plugins.commands;
+    for (const { plugin, message } of plugins.errors) {
+      console.warn(
+        `\x1b[33mWarning: Could not load plugin ${plugin}: ${message}\x1b[0m`
+      );
+    }
+  } catch (error) {
+    console.error(`\x1b[31m${error.message}\x1b[0m`);
+    process.exit(1);
+  }
+
+  if (flags.includes("--dry-run")) {
+    setDryRun(true);
+    console.log(
+      "\x1b[35mDry run: showing the planned changes without writing files or running commands.\x1b[0m\n"
+    );
+  }
+
+  // Journal every run that changes the project so it can be undone
+  if (
+    !isDryRun() &&
+    command !== "help" &&
+    command !== "undo" &&
+    command !== "doctor" &&
+    command !== "run"
+  ) {
+    startRun(args.join(" ") || "all", config.defaultInstallPath);
+  }
+
   if (!command) {
     // Default behavior: install all tools
     installAllTools();
@@ -71,13 +187,49 @@ function main() {
         showHelp();
       }
       break;
+    case "undo":
+      if (flags.includes("--list")) {
+        listUndoableRuns();
+      } else {
+        undoLastRun(args[1]);
+      }
+      break;
+    case "doctor":
+      runDoctorCommand();
+      break;
+    case "update":
+      updateCopiedScripts(args.slice(1));
+      break;
+    case "run": {
+      if (!args[1]) {
+        console.error(
+          `\x1b[31mMissing tool name. Usage: npx rwsdk-tools run <tool> [args] (tools: ${copiedScripts
+            .map((script) => script.run)
+            .join(", ")})\x1b[0m`
+        );
+        process.exit(1);
+      }
+      // Pass everything after the tool name on as-is, flags included
+      const toolIndex = argv.indexOf(args[1], argv.indexOf("run") + 1);
+      runTool(args[1], argv.slice(toolIndex + 1));
+      break;
+    }
     case "help":
       showHelp();
       break;
-    default:
+    default: {
+      const pluginCommand = pluginCommands.find(
+        (registered) => registered.name === command
+      );
+      if (pluginCommand) {
+        runPluginCommand(pluginCommand, args.slice(1), flags);
+        break;
+      }
+
       console.error(`Unknown command: ${command}`);
       showHelp();
       process.exit(1);
+    }
   }
 }
 
@@ -89,7 +241,9 @@ function showHelp() {
   console.log("\nUsage:");
   console.log("  npx rwsdk-tools                Install all tools");
   console.log("  npx rwsdk-tools routes         Install routes generator");
-  console.log("  npx rwsdk-tools component      Install component generator");
+  console.log(
+    "  npx rwsdk-tools component      Install component, page and server function generators"
+  );
   console.log(
     "  npx rwsdk-tools tailwind       Set up Tailwind CSS for your project"
   );
@@ -104,13 +258,50 @@ function showHelp() {
   console.log("  npx rwsdk-tools windsurf       Set up Windsurf configuration");
   console.log("  npx rwsdk-tools addon generate Generate addon configuration");
   console.log("  npx rwsdk-tools addon install  Install RedwoodSDK addons");
+  console.log("  npx rwsdk-tools undo [run]     Revert the last (or a named) run");
+  console.log("  npx rwsdk-tools undo --list    List the runs that can be undone");
+  console.log(
+    "  npx rwsdk-tools doctor         Check which tools are installed and wired up"
+  );
+  console.log(
+    "  npx rwsdk-tools update [tool]  Update the scripts copied by routes, merge, seedtosql and the addon tools"
+  );
+  console.log(
+    "  npx rwsdk-tools run <tool>     Run routes, merge, seedtosql, addon-generate or addon-install"
+  );
   console.log("  npx rwsdk-tools help           Show this help message");
+  if (pluginCommands.length > 0) {
+    console.log("\nPlugin commands:");
+    for (const command of pluginCommands) {
+      console.log(
+        `  npx rwsdk-tools ${command.usage.padEnd(14)} ${command.description} (${command.plugin})`
+      );
+    }
+  }
+  console.log("\nOptions:");
+  console.log(
+    "  --dry-run                      Print the planned changes without applying them"
+  );
+  console.log(
+    "  --yes                          Don't prompt; use rwsdk-tools.config.json or the defaults"
+  );
+  console.log(
+    "  --mode=run                     Make package.json scripts run tools from rwsdk-tools instead of copies"
+  );
+  console.log(
+    "  --[no-]react-email             Answer the react-email prompt of the email setup"
+  );
+  console.log(
+    `  --pm=<name>                    Use this package manager (${packageManagers.join(
+      ", "
+    )}) instead of detecting it`
+  );
 }
 
 /**
  * Install all available tools
  */
-function installAllTools() {
+async function installAllTools() {
   console.log("\x1b[36mInstalling all GraftThis...\x1b[0m");
 
   // Install all available tools
@@ -125,45 +316,301 @@ function installAllTools() {
   installAddonGenerateTool();
   installAddonInstallTool();
 
+  // Plugin install steps run after the built-in tools, one at a time
+  for (const command of pluginCommands) {
+    if (command.includeInAll) {
+      await runPluginCommand(command);
+    }
+  }
+
   console.log("\n\x1b[32mAll tools installed successfully!\x1b[0m");
 }
 
 /**
- * Install the generateRoutes tool to the current project
+ * Update the scripts that tools copied into the project to this version
+ * @param {string[]} tools - Tool or package.json script names, all tools when empty
  */
-function installGenerateRoutesTool() {
+function updateCopiedScripts(tools = []) {
   const targetPath = config.defaultInstallPath;
-  const toolPath = path.join(config.toolsDir, "generateRoutes");
+  const paths = getPaths(targetPath);
 
-  console.log("\x1b[36mInstalling generateRoutes tool...\x1b[0m");
+  const matches = (entry, name) => entry.tool === name || entry.script === name;
+  const unknown = tools.filter(
+    (name) => !copiedScripts.some((entry) => matches(entry, name))
+  );
+  if (unknown.length > 0) {
+    console.error(
+      `\x1b[31mUnknown tool: ${unknown.join(", ")} (expected ${copiedScripts
+        .map((entry) => entry.script)
+        .join(", ")})\x1b[0m`
+    );
+    process.exit(1);
+  }
+
+  const selected =
+    tools.length > 0
+      ? copiedScripts.filter((entry) =>
+          tools.some((name) => matches(entry, name))
+        )
+      : copiedScripts;
+
+  console.log(
+    `\x1b[36mUpdating copied scripts to rwsdk-tools ${version}...\x1b[0m\n`
+  );
+
+  let updated = 0;
+  for (const entry of selected) {
+    const copy = inspectCopiedScript(targetPath, paths.scripts, entry);
+
+    if (copy.status === "missing") {
+      if (tools.length > 0) {
+        console.log(
+          `\x1b[90m- ${copy.relativePath} not found, install it with npx rwsdk-tools ${entry.tool}\x1b[0m`
+        );
+      }
+      continue;
+    }
+
+    if (copy.status === "current") {
+      console.log(`\x1b[32m\u2713 ${copy.relativePath} is up to date\x1b[0m`);
+      continue;
+    }
+
+    const from = copy.stamp ? copy.stamp.version : "an unstamped copy";
+    console.log(`\x1b[1m${copy.relativePath}\x1b[0m (${from} -> ${version})`);
+
+    if (copy.edited) {
+      console.warn(
+        `\x1b[33m\u26A0\uFE0F ${copy.relativePath} was edited by hand. Updating replaces your changes, which are the lines removed in the diff below; run npx rwsdk-tools undo to get them back.\x1b[0m`
+      );
+    } else if (copy.edited === null) {
+      console.warn(
+        `\x1b[33m\u26A0\uFE0F ${copy.relativePath} has no version stamp, so hand edits can't be detected. Check the diff below for changes of your own.\x1b[0m`
+      );
+    }
+
+    // Dry runs print the diff when writing
+    if (!isDryRun()) {
+      console.log(
+        colorizeDiff(
+          createUnifiedDiff(copy.content, copy.latestContent, copy.relativePath)
+        )
+      );
+    }
+    writeFile(copy.filePath, copy.latestContent);
+    console.log(`\x1b[32m\u2713 Updated ${copy.relativePath}\x1b[0m\n`);
+    updated++;
+  }
+
+  console.log(
+    updated > 0
+      ? `\n\x1b[32m\u2705 Updated ${updated} script(s)\x1b[0m`
+      : "\n\x1b[32m\u2705 All copied scripts are up to date\x1b[0m"
+  );
+}
+
+/**
+ * Run a command registered by a plugin
+ * @param {Object} command - The registered command
+ * @param {string[]} args - Arguments after the command name
+ * @param {string[]} flags - The "--" flags
+ */
+async function runPluginCommand(command, args = [], flags = []) {
+  const targetPath = config.defaultInstallPath;
+
+  console.log(
+    `\x1b[36mRunning ${command.name} from ${command.plugin}...\x1b[0m`
+  );
+
+  try {
+    await command.install(createPluginContext(targetPath, args, flags));
+  } catch (error) {
+    console.error(
+      `\x1b[31mError running ${command.name}: ${error.message}\x1b[0m`
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Build the helpers passed to a plugin command, the same ones the built-in
+ * installers use, so plugin changes show up in --dry-run and undo
+ * @param {string} targetPath - Path to the project
+ * @param {string[]} args - Arguments after the command name
+ * @param {string[]} flags - The "--" flags
+ * @returns {Object} - The plugin context
+ */
+function createPluginContext(targetPath, args, flags) {
+  return {
+    projectRoot: targetPath,
+    paths: getPaths(targetPath),
+    args,
+    flags,
+    packageManager: getPackageManager(targetPath),
+    isDryRun,
+    isInteractive: () => isInteractive(targetPath),
+    writeFile,
+    copyFile,
+    ensureDir,
+    chmod,
+    runCommand: (command, options = {}) =>
+      runCommand(command, { cwd: targetPath, stdio: "inherit", ...options }),
+    addPackages: (packages, options = {}) =>
+      addPackages(packages, { cwd: targetPath, ...options }),
+    addScript: (scriptName, scriptCommand) =>
+      addScriptToPackageJson(targetPath, scriptName, scriptCommand),
+    copyScript: (sourcePath, fileName) =>
+      copyScriptToProject(targetPath, sourcePath, fileName),
+  };
+}
+
+/**
+ * Copy a script into the project's scripts directory and make it executable
+ * @param {string} projectPath - Path to the project
+ * @param {string} sourcePath - Path to the script
+ * @param {string} fileName - Name of the copy (defaults to the script's name)
+ * @returns {string} - Path of the copy relative to the project, for package.json scripts
+ */
+function copyScriptToProject(
+  projectPath,
+  sourcePath,
+  fileName = path.basename(sourcePath)
+) {
+  const paths = getPaths(projectPath);
+  const scriptsDir = path.join(projectPath, paths.scripts);
+  const destPath = path.join(scriptsDir, fileName);
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`${fileName} not found at ${sourcePath}`);
+  }
+
+  ensureDir(scriptsDir);
+  copyFile(sourcePath, destPath);
+  console.log(`\x1b[32m\u2713 Copied ${fileName} to ${destPath}\x1b[0m`);
+
+  try {
+    chmod(destPath, "755");
+  } catch (error) {
+    console.warn(
+      `\x1b[33mWarning: Could not make ${fileName} executable: ${error.message}\x1b[0m`
+    );
+  }
+
+  return `${paths.scripts}/${fileName}`;
+}
+
+/**
+ * Undo a journaled run
+ * @param {string} [runId] - Id of the run to undo, defaults to the last run
+ */
+function undoLastRun(runId) {
+  const targetPath = config.defaultInstallPath;
 
   try {
-    // Create src/scripts directory if it doesn't exist
-    const scriptsDir = path.join(targetPath, "src", "scripts");
-    fs.mkdirSync(scriptsDir, { recursive: true });
+    const { run, reverted, failed } = undoRun(runId, targetPath);
 
-    // Copy generateRoutes.ts to src/scripts directory
-    const sourcePath = path.join(toolPath, "generateRoutes.ts");
-    const destPath = path.join(scriptsDir, "generateRoutes.ts");
+    console.log(`\x1b[36mUndoing ${run.id} (${run.command})...\x1b[0m`);
+    reverted.forEach((change) => console.log(`\x1b[32m✓ ${change}\x1b[0m`));
+    failed.forEach((change) => console.error(`\x1b[31m✖ ${change}\x1b[0m`));
 
-    if (!fs.existsSync(sourcePath)) {
-      console.error(`Error: generateRoutes.ts not found at ${sourcePath}`);
+    if (failed.length > 0) {
+      console.error(
+        `\n\x1b[31mCould not undo ${failed.length} change${
+          failed.length === 1 ? "" : "s"
+        } of ${run.command}. Fix the errors above and run undo again to retry them.\x1b[0m`
+      );
       process.exit(1);
     }
+    console.log(`\n\x1b[32m✓ Undid ${run.command}\x1b[0m`);
+  } catch (error) {
+    console.error(`\x1b[31mError undoing run: ${error.message}\x1b[0m`);
+    process.exit(1);
+  }
+}
 
-    fs.copyFileSync(sourcePath, destPath);
-    console.log(`\x1b[32m✓ Copied generateRoutes.ts to ${destPath}\x1b[0m`);
+/**
+ * List the journaled runs of the current project
+ */
+function listUndoableRuns() {
+  const runs = listRuns(config.defaultInstallPath);
 
-    // Add script to package.json
-    addScriptToPackageJson(
-      targetPath,
-      "routes",
-      "npx tsx src/scripts/generateRoutes.ts"
+  if (runs.length === 0) {
+    console.log("No journaled runs found in this project.");
+    return;
+  }
+
+  console.log("\n\x1b[1mJournaled runs (most recent first):\x1b[0m");
+  runs.forEach((run) => {
+    const status = run.undoneAt ? " \x1b[33m(undone)\x1b[0m" : "";
+    console.log(
+      `  ${run.id}  ${run.command}  ${run.entries.length} changes${status}`
     );
+  });
+}
+
+/**
+ * Check the tools installed in the current project and print the findings
+ */
+function runDoctorCommand() {
+  const { tools, findings } = runDoctor(config.defaultInstallPath);
+  const severityStyles = {
+    error: { icon: "✖", color: "\x1b[31m" },
+    warning: { icon: "⚠", color: "\x1b[33m" },
+    info: { icon: "ℹ", color: "\x1b[36m" },
+  };
+
+  console.log("\n\x1b[1;36mRWSDK Tools Doctor\x1b[0m");
+
+  if (tools.length > 0) {
+    console.log("\n\x1b[1mTools:\x1b[0m");
+    tools.forEach((tool) => {
+      console.log(
+        tool.installed
+          ? `  \x1b[32m✓ ${tool.name}\x1b[0m`
+          : `  \x1b[90m- ${tool.name} (not installed)\x1b[0m`
+      );
+    });
+  }
+
+  if (findings.length === 0) {
+    console.log("\n\x1b[32m✓ Everything is wired up correctly\x1b[0m");
+    return;
+  }
+
+  console.log("\n\x1b[1mFindings:\x1b[0m");
+  findings.forEach((finding) => {
+    const { icon, color } = severityStyles[finding.severity];
+    console.log(
+      `  ${color}${icon} ${finding.severity}\x1b[0m [${finding.tool}] ${finding.message}`
+    );
+    if (finding.fix) {
+      console.log(`      fix: ${finding.fix}`);
+    }
+  });
+
+  const errors = findings.filter((finding) => finding.severity === "error");
+  const warnings = findings.filter((finding) => finding.severity === "warning");
+  console.log(`\n${errors.length} errors, ${warnings.length} warnings`);
+
+  if (errors.length > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Install the generateRoutes tool to the current project
+ */
+function installGenerateRoutesTool() {
+  const targetPath = config.defaultInstallPath;
+
+  console.log("\x1b[36mInstalling generateRoutes tool...\x1b[0m");
+
+  try {
+    installToolScript(targetPath, "routes");
 
     console.log("\x1b[32m✓ generateRoutes tool installed successfully!\x1b[0m");
     console.log("\n\n👉 \x1b[1mNext steps:\x1b[0m");
-    console.log("  pnpm routes\n\n");
+    console.log(`  ${getPackageManager(targetPath).run("routes")}\n\n`);
   } catch (error) {
     console.error(
       `\x1b[31mError installing generateRoutes tool: ${error.message}\x1b[0m`
@@ -172,6 +619,121 @@ function installGenerateRoutesTool() {
   }
 }
 
+/**
+ * Install a tool that runs as a package.json script. In copy mode the tool's
+ * script is copied into the scripts directory so it can be customized; in run
+ * mode the package.json script runs it from the installed rwsdk-tools instead.
+ * @param {string} projectPath - Path to the project
+ * @param {string} name - The tool's `run` name, e.g. "routes"
+ */
+function installToolScript(projectPath, name) {
+  const entry = copiedScripts.find((script) => script.run === name);
+  const paths = getPaths(projectPath);
+  const scriptPath = `${paths.scripts}/${entry.file}`;
+  const destPath = path.join(projectPath, scriptPath);
+
+  if (config.toolMode === "run") {
+    ensureToolsDependency(projectPath);
+    addScriptToPackageJson(projectPath, entry.script, `rwsdk-tools run ${name}`);
+
+    if (fs.existsSync(destPath)) {
+      console.log(
+        `\x1b[33mNote: ${scriptPath} is no longer used by the "${entry.script}" script and can be deleted\x1b[0m`
+      );
+    }
+    return;
+  }
+
+  if (!fs.existsSync(entry.source)) {
+    throw new Error(`${entry.file} not found at ${entry.source}`);
+  }
+
+  // Create the scripts directory if it doesn't exist
+  if (ensureDir(path.dirname(destPath))) {
+    console.log(
+      `\x1b[32m✓ Created scripts directory: ${path.dirname(destPath)}\x1b[0m`
+    );
+  }
+
+  copyStampedScript(entry.source, destPath);
+  console.log(`\x1b[32m✓ Copied ${entry.file} to ${destPath}\x1b[0m`);
+
+  // Make scripts with a shebang executable
+  if (fs.readFileSync(entry.source, "utf8").startsWith("#!")) {
+    try {
+      chmod(destPath, "755");
+    } catch (error) {
+      console.warn(
+        `\x1b[33mWarning: Could not make ${entry.file} executable: ${error.message}\x1b[0m`
+      );
+    }
+  }
+
+  // TypeScript tools run through tsx
+  const runner = entry.file.endsWith(".ts") ? "npx tsx" : "node";
+  addScriptToPackageJson(projectPath, entry.script, `${runner} ${scriptPath}`);
+}
+
+/**
+ * Add rwsdk-tools to the project's dev dependencies, so that package.json
+ * scripts can call `rwsdk-tools run`
+ * @param {string} projectPath - Path to the project
+ */
+function ensureToolsDependency(projectPath) {
+  if (config.toolsDependencyChecked) {
+    return;
+  }
+  config.toolsDependencyChecked = true;
+
+  const packageJsonPath = path.join(projectPath, "package.json");
+  const packageJson = fs.existsSync(packageJsonPath)
+    ? JSON.parse(fs.readFileSync(packageJsonPath, "utf8"))
+    : {};
+  if (
+    (packageJson.dependencies && packageJson.dependencies["rwsdk-tools"]) ||
+    (packageJson.devDependencies && packageJson.devDependencies["rwsdk-tools"])
+  ) {
+    return;
+  }
+
+  console.log("\x1b[36mAdding rwsdk-tools to your dev dependencies...\x1b[0m");
+  addPackages(["rwsdk-tools"], { dev: true, cwd: projectPath });
+}
+
+/**
+ * Run a tool from the installed package, for package.json scripts in run mode
+ * @param {string} name - The tool's `run` name, e.g. "routes"
+ * @param {string[]} toolArgs - Arguments passed on to the tool
+ */
+function runTool(name, toolArgs) {
+  const entry = copiedScripts.find(
+    (script) => script.run === name || script.script === name
+  );
+  if (!entry) {
+    console.error(
+      `\x1b[31mUnknown tool: ${name} (expected ${copiedScripts
+        .map((script) => script.run)
+        .join(", ")})\x1b[0m`
+    );
+    process.exit(1);
+  }
+
+  // TypeScript tools run through tsx, like their copies do
+  const scriptArgs = entry.file.endsWith(".ts")
+    ? [require.resolve("tsx/cli"), entry.source]
+    : [entry.source];
+  const result = spawnSync(process.execPath, [...scriptArgs, ...toolArgs], {
+    cwd: config.defaultInstallPath,
+    stdio: "inherit",
+  });
+
+  if (result.error) {
+    console.error(`\x1b[31mError running ${name}: ${result.error.message}\x1b[0m`);
+    process.exit(1);
+  }
+  process.exit(result.status === null ? 1 : result.status);
+}
+
 /**
  * Add a script to the target project's package.json
  * @param {string} projectPath - Path to the project
@@ -197,6 +759,13 @@ function addScriptToPackageJson(projectPath, scriptName, scriptCommand) {
     }
 
     // Add or update the script
+    if (!isDryRun()) {
+      const previousCommand = packageJson.scripts[scriptName];
+      recordScript(
+        scriptName,
+        previousCommand === undefined ? null : previousCommand
+      );
+    }
     packageJson.scripts[scriptName] = scriptCommand;
 
     // Write the updated package.json back to the file
@@ -206,10 +775,9 @@ function addScriptToPackageJson(projectPath, scriptName, scriptCommand) {
       : packageJsonContent.includes('    "')
       ? 4
       : 2;
-    fs.writeFileSync(
-      packageJsonPath,
-      JSON.stringify(packageJson, null, spacing)
-    );
+    writeFile(packageJsonPath, JSON.stringify(packageJson, null, spacing), {
+      journal: false,
+    });
 
     console.log(
       `\x1b[32m✓ Added '${scriptName}' script to package.json: '${scriptCommand}'\x1b[0m`
@@ -239,7 +807,7 @@ function installComponentGeneratorTool() {
     }
 
     // Copy plopfile.mjs to project root
-    fs.copyFileSync(sourcePlopfilePath, plopfilePath);
+    copyFile(sourcePlopfilePath, plopfilePath);
     console.log(`\x1b[32m\u2713 Copied plopfile.mjs to ${plopfilePath}\x1b[0m`);
 
     // Create plop-templates directory and copy templates
@@ -248,25 +816,30 @@ function installComponentGeneratorTool() {
 
     if (fs.existsSync(templateSourceDir)) {
       // Create the target directory if it doesn't exist
-      if (!fs.existsSync(templateTargetDir)) {
-        fs.mkdirSync(templateTargetDir, { recursive: true });
-      }
-
-      // Copy the component templates directory
-      const componentSourceDir = path.join(templateSourceDir, "components");
-      const componentTargetDir = path.join(templateTargetDir, "component");
+      ensureDir(templateTargetDir);
+
+      // Copy the templates of each generator; the component templates are
+      // kept in "components" here but the plopfile reads "component"
+      const templateDirs = fs
+        .readdirSync(templateSourceDir)
+        .filter((dir) =>
+          fs.statSync(path.join(templateSourceDir, dir)).isDirectory()
+        );
 
-      if (fs.existsSync(componentSourceDir)) {
-        if (!fs.existsSync(componentTargetDir)) {
-          fs.mkdirSync(componentTargetDir, { recursive: true });
-        }
+      for (const dir of templateDirs) {
+        const sourceDir = path.join(templateSourceDir, dir);
+        const targetDir = path.join(
+          templateTargetDir,
+          dir === "components" ? "component" : dir
+        );
+        ensureDir(targetDir);
 
         // Copy all template files
-        const templateFiles = fs.readdirSync(componentSourceDir);
+        const templateFiles = fs.readdirSync(sourceDir);
         templateFiles.forEach((file) => {
-          const sourcePath = path.join(componentSourceDir, file);
-          const targetPath = path.join(componentTargetDir, file);
-          fs.copyFileSync(sourcePath, targetPath);
+          const sourcePath = path.join(sourceDir, file);
+          const targetPath = path.join(targetDir, file);
+          copyFile(sourcePath, targetPath);
           console.log(
             `\x1b[32m\u2713 Copied template ${file} to ${targetPath}\x1b[0m`
           );
@@ -277,6 +850,23 @@ function installComponentGeneratorTool() {
     // Add scripts to package.json
     addScriptToPackageJson(targetPath, "plop", "plop");
     addScriptToPackageJson(targetPath, "component", "plop component");
+    addScriptToPackageJson(targetPath, "page", "plop page");
+    addScriptToPackageJson(
+      targetPath,
+      "server-function",
+      "plop server-function"
+    );
+    addScriptToPackageJson(
+      targetPath,
+      "client-component",
+      "plop client-component"
+    );
+    addScriptToPackageJson(
+      targetPath,
+      "component:rename",
+      "plop component:rename"
+    );
+    addScriptToPackageJson(targetPath, "component:move", "plop component:move");
     addScriptToPackageJson(targetPath, "restructure", "plop restructure");
     addScriptToPackageJson(
       targetPath,
@@ -295,12 +885,8 @@ function installComponentGeneratorTool() {
         );
 
         try {
-          // Run the pnpm install command to install plop
-          const { execSync } = require("child_process");
-          execSync("pnpm install -D plop", {
-            cwd: targetPath,
-            stdio: "inherit", // Show the output to the user
-          });
+          // Install plop as a dev dependency
+          addPackages(["plop"], { dev: true, cwd: targetPath });
 
           console.log("\n\x1b[32m\u2705 Plop installed successfully!\x1b[0m\n");
         } catch (error) {
@@ -310,7 +896,9 @@ function installComponentGeneratorTool() {
           console.log(
             "\n\x1b[33m\u26A0\uFE0F Please install plop manually by running:\x1b[0m"
           );
-          console.log("\n  pnpm install -D plop\n");
+          console.log(
+            `\n  ${getPackageManager(targetPath).add(["plop"], { dev: true })}\n`
+          );
         }
       } else {
         console.log(
@@ -326,7 +914,7 @@ function installComponentGeneratorTool() {
       "\x1b[32m\u2713 Component generator tool installed successfully!\x1b[0m"
     );
     console.log("\n\n👉 \x1b[1mNext steps:\x1b[0m");
-    console.log("  pnpm run component\n\n");
+    console.log(`  ${getPackageManager(targetPath).run("component")}\n\n`);
   } catch (error) {
     console.error(
       `\x1b[31mError installing component generator tool: ${error.message}\x1b[0m`
@@ -363,45 +951,6 @@ function checkPlopInstalled(projectPath) {
   return false;
 }
 
-/**
- * Check if Tailwind CSS dependencies are installed in the project
- * @param {string} projectPath - Path to the project
- * @returns {boolean} - Whether Tailwind dependencies are installed
- */
-function checkTailwindInstalled(projectPath) {
-  const packageJsonPath = path.join(projectPath, "package.json");
-
-  try {
-    if (fs.existsSync(packageJsonPath)) {
-      const packageJsonContent = fs.readFileSync(packageJsonPath, "utf8");
-      const packageJson = JSON.parse(packageJsonContent);
-
-      // Check if tailwindcss and @tailwindcss/vite are in dependencies or devDependencies
-      const hasTailwindDep =
-        packageJson.dependencies && packageJson.dependencies.tailwindcss;
-      const hasTailwindDevDep =
-        packageJson.devDependencies && packageJson.devDependencies.tailwindcss;
-
-      const hasTailwindViteDep =
-        packageJson.dependencies &&
-        packageJson.dependencies["@tailwindcss/vite"];
-      const hasTailwindViteDevDep =
-        packageJson.devDependencies &&
-        packageJson.devDependencies["@tailwindcss/vite"];
-
-      // Return true if both packages are installed (in either dependencies or devDependencies)
-      return (
-        (hasTailwindDep || hasTailwindDevDep) &&
-        (hasTailwindViteDep || hasTailwindViteDevDep)
-      );
-    }
-  } catch (error) {
-    // Ignore errors when checking for tailwind
-  }
-
-  return false;
-}
-
 /**
  * Install and set up Tailwind CSS for an RWSDK project
  */
@@ -412,185 +961,50 @@ function installTailwindSetup() {
     "\x1b[36mSetting up Tailwind CSS for your RWSDK project...\x1b[0m"
   );
 
+  let result;
   try {
-    // Step 1: Check if the project has the required files
-    const viteConfigPath = path.join(targetPath, "vite.config.mts");
-    const documentPath = path.join(targetPath, "src", "app", "Document.tsx");
-
-    if (!fs.existsSync(viteConfigPath)) {
-      console.error(
-        `\x1b[31mError: vite.config.mts not found at ${viteConfigPath}\x1b[0m`
-      );
-      console.error("Make sure you are in an RWSDK project directory.");
-      process.exit(1);
-    }
-
-    if (!fs.existsSync(documentPath)) {
-      console.error(
-        `\x1b[31mError: Document.tsx not found at ${documentPath}\x1b[0m`
-      );
-      console.error("Make sure you are in an RWSDK project directory.");
-      process.exit(1);
-    }
-
-    // Step 2: Create or update the styles.css file
-    const stylesDir = path.join(targetPath, "src", "app");
-    const stylesPath = path.join(stylesDir, "styles.css");
-
-    if (!fs.existsSync(stylesDir)) {
-      fs.mkdirSync(stylesDir, { recursive: true });
-    }
-
-    if (fs.existsSync(stylesPath)) {
-      // File exists, check if it already has the tailwind import
-      let stylesContent = fs.readFileSync(stylesPath, "utf8");
-
-      if (!stylesContent.includes('@import "tailwindcss"')) {
-        // Add the import at the top of the file
-        stylesContent = '@import "tailwindcss";\n' + stylesContent;
-        fs.writeFileSync(stylesPath, stylesContent);
-        console.log(
-          `\x1b[32m\u2713 Added Tailwind import to existing styles.css file at ${stylesPath}\x1b[0m`
-        );
-      } else {
-        console.log(
-          `\x1b[32m\u2713 Tailwind import already exists in styles.css\x1b[0m`
-        );
-      }
-    } else {
-      // File doesn't exist, create it with just the tailwind import
-      fs.writeFileSync(stylesPath, '@import "tailwindcss";');
-      console.log(
-        `\x1b[32m\u2713 Created styles.css file at ${stylesPath}\x1b[0m`
-      );
-    }
-
-    // Step 3: Update the vite.config.mts file
-    let viteConfig = fs.readFileSync(viteConfigPath, "utf8");
-
-    // Check if tailwindcss is already imported
-    if (!viteConfig.includes("import tailwindcss from '@tailwindcss/vite'")) {
-      // Add the import statement at the top of the file
-      viteConfig = "import tailwindcss from '@tailwindcss/vite'\n" + viteConfig;
-      console.log(
-        "\x1b[32m\u2713 Added tailwindcss import to vite.config.mts\x1b[0m"
-      );
-    }
-
-    // Check if the environments config exists
-    if (!viteConfig.includes("environments:")) {
-      // Add the environments config
-      viteConfig = viteConfig.replace(
-        "export default defineConfig({",
-        "export default defineConfig({\n  environments: {\n    ssr: {},\n  },"
-      );
-      console.log(
-        "\x1b[32m\u2713 Added environments config to vite.config.mts\x1b[0m"
-      );
-    }
-
-    // Check if tailwindcss is already in the plugins array
-    if (!viteConfig.includes("tailwindcss()")) {
-      // Add tailwindcss to the plugins array
-      viteConfig = viteConfig.replace(
-        /plugins:\s*\[([^\]]*)\]/,
-        (match, plugins) => {
-          if (plugins.trim().endsWith(",")) {
-            return `plugins: [${plugins} tailwindcss()]`;
-          } else if (plugins.trim()) {
-            return `plugins: [${plugins}, tailwindcss()]`;
-          } else {
-            return `plugins: [tailwindcss()]`;
-          }
-        }
-      );
-      console.log(
-        "\x1b[32m\u2713 Added tailwindcss to plugins array in vite.config.mts\x1b[0m"
-      );
-    }
-
-    // Write the updated vite.config.mts file
-    fs.writeFileSync(viteConfigPath, viteConfig);
-
-    // Step 4: Update the Document.tsx file
-    let documentContent = fs.readFileSync(documentPath, "utf8");
-
-    // Check if styles are already imported
-    if (!documentContent.includes("import styles from './styles.css?url'")) {
-      // Always add the import statement at the very top of the file
-      documentContent = `import styles from './styles.css?url';\n\n${documentContent}`;
-      console.log("\x1b[32m\u2713 Added styles import to Document.tsx\x1b[0m");
-
-      // Double-check that the import was added
-      if (!documentContent.includes("import styles from './styles.css?url'")) {
-        console.log(
-          "\x1b[33m\u26A0\uFE0F Warning: Import may not have been added correctly. Trying alternative method...\x1b[0m"
-        );
-        // Try a more direct approach by splitting into lines
-        const lines = documentContent.split("\n");
-        lines.unshift(`import styles from './styles.css?url';`);
-        documentContent = lines.join("\n");
-        console.log(
-          "\x1b[32m\u2713 Added styles import using alternative method\x1b[0m"
-        );
-      }
-    }
-
-    // Check if the link tag is already in the head
-    if (!documentContent.includes('<link rel="stylesheet" href={styles}')) {
-      // Add the link tag to the head
-      documentContent = documentContent.replace(
-        /<head>(\s*)/,
-        '<head>$1<link rel="stylesheet" href={styles} />$1'
-      );
-      console.log(
-        "\x1b[32m\u2713 Added stylesheet link to Document.tsx\x1b[0m"
-      );
-    }
-
-    // Write the updated Document.tsx file
-    fs.writeFileSync(documentPath, documentContent);
+    // Install the packages below, after the changes have been listed
+    result = setupTailwind({ cwd: targetPath, installPackages: false });
+  } catch (error) {
+    console.error(
+      `\x1b[31mError setting up Tailwind CSS: ${error.message}\x1b[0m`
+    );
+    console.error("Make sure you are in an RWSDK project directory.");
+    process.exit(1);
+  }
 
-    // Step 5: Check if dependencies are installed and install them if needed
-    const tailwindInstalled = checkTailwindInstalled(targetPath);
+  for (const change of result.changes) {
+    console.log(`\x1b[32m\u2713 ${change}\x1b[0m`);
+  }
+  console.log("\n\x1b[32m\u2713 Tailwind CSS setup complete!\x1b[0m");
 
-    console.log("\n\x1b[32m\u2713 Tailwind CSS setup complete!\x1b[0m");
+  const { dependencies } = result;
+  if (dependencies.alreadyInstalled) {
+    console.log(
+      "\n\x1b[32m\u2705 Tailwind dependencies are already installed. You're all set!\x1b[0m\n"
+    );
+    return;
+  }
 
-    if (!tailwindInstalled) {
-      console.log(
-        "\n\x1b[33m\u26A0\uFE0F Installing required dependencies...\x1b[0m"
-      );
+  console.log(
+    "\n\x1b[33m\u26A0\uFE0F Installing required dependencies...\x1b[0m"
+  );
 
-      try {
-        // Run the pnpm install command as regular dependencies (not dev dependencies)
-        const { execSync } = require("child_process");
-        execSync("pnpm install tailwindcss @tailwindcss/vite", {
-          cwd: targetPath,
-          stdio: "inherit", // Show the output to the user
-        });
+  try {
+    // Install as regular dependencies (not dev dependencies)
+    addPackages(dependencies.packages, { cwd: targetPath });
 
-        console.log(
-          "\n\x1b[32m\u2705 Tailwind dependencies installed successfully!\x1b[0m\n"
-        );
-      } catch (error) {
-        console.error(
-          `\n\x1b[31m\u274C Error installing dependencies: ${error.message}\x1b[0m`
-        );
-        console.log(
-          "\n\x1b[33m\u26A0\uFE0F Please install the dependencies manually by running:\x1b[0m"
-        );
-        console.log("\n  pnpm install tailwindcss @tailwindcss/vite\n");
-      }
-    } else {
-      console.log(
-        "\n\x1b[32m\u2705 Tailwind dependencies are already installed. You're all set!\x1b[0m\n"
-      );
-    }
+    console.log(
+      "\n\x1b[32m\u2705 Tailwind dependencies installed successfully!\x1b[0m\n"
+    );
   } catch (error) {
     console.error(
-      `\x1b[31mError setting up Tailwind CSS: ${error.message}\x1b[0m`
+      `\n\x1b[31m\u274C Error installing dependencies: ${error.message}\x1b[0m`
     );
-    process.exit(1);
+    console.log(
+      "\n\x1b[33m\u26A0\uFE0F Please install the dependencies manually by running:\x1b[0m"
+    );
+    console.log(`\n  ${dependencies.command}\n`);
   }
 }
 
@@ -620,51 +1034,17 @@ function installShadcnSetup() {
  */
 function installSeedToSqlTool() {
   const targetPath = config.defaultInstallPath;
-  const toolPath = path.join(config.toolsDir, "seedToSql");
 
   console.log("\x1b[36mInstalling Seed to SQL converter tool...\x1b[0m");
 
   try {
-    // Create src/scripts directory if it doesn't exist
-    const scriptsDir = path.join(targetPath, "src", "scripts");
-    fs.mkdirSync(scriptsDir, { recursive: true });
-
-    // Copy seedToSql.mjs to src/scripts directory
-    const sourcePath = path.join(toolPath, "seedToSql.mjs");
-    const destPath = path.join(scriptsDir, "seedToSql.mjs");
-
-    if (!fs.existsSync(sourcePath)) {
-      console.error(
-        `\x1b[31mError: seedToSql.mjs not found at ${sourcePath}\x1b[0m`
-      );
-      process.exit(1);
-    }
-
-    fs.copyFileSync(sourcePath, destPath);
-    console.log(`\x1b[32m\u2713 Copied seedToSql.mjs to ${destPath}\x1b[0m`);
-
-    // Make the script executable
-    try {
-      fs.chmodSync(destPath, "755");
-      console.log(`\x1b[32m\u2713 Made seedToSql.mjs executable\x1b[0m`);
-    } catch (error) {
-      console.warn(
-        `\x1b[33mWarning: Could not make seedToSql.mjs executable: ${error.message}\x1b[0m`
-      );
-    }
-
-    // Add script to package.json
-    addScriptToPackageJson(
-      targetPath,
-      "seedtosql",
-      "node src/scripts/seedToSql.mjs"
-    );
+    installToolScript(targetPath, "seedtosql");
 
     console.log(
       "\x1b[32m\u2713 Seed to SQL converter tool installed successfully!\x1b[0m"
     );
     console.log("\n\n👉 \x1b[1mNext Steps:\x1b[0m");
-    console.log("  pnpm run seedtosql\n\n");
+    console.log(`  ${getPackageManager(targetPath).run("seedtosql")}\n\n`);
   } catch (error) {
     console.error(
       `\x1b[31mError installing Seed to SQL converter tool: ${error.message}\x1b[0m`
@@ -680,40 +1060,15 @@ function installMergePrismaTool() {
   console.log("\x1b[36mInstalling Prisma schema merger tool...\x1b[0m");
 
   const projectPath = config.defaultInstallPath;
-  const scriptsDir = path.join(projectPath, "src", "scripts");
-  const sourceFile = path.join(
-    __dirname,
-    "tools",
-    "mergePrisma",
-    "mergePrismaSchema.mjs"
-  );
-  const targetFile = path.join(scriptsDir, "mergePrismaSchema.mjs");
 
   try {
-    // Create scripts directory if it doesn't exist
-    if (!fs.existsSync(scriptsDir)) {
-      fs.mkdirSync(scriptsDir, { recursive: true });
-      console.log(`\x1b[32m✓ Created scripts directory: ${scriptsDir}\x1b[0m`);
-    }
-
-    // Copy the mergePrismaSchema.mjs file to the scripts directory
-    fs.copyFileSync(sourceFile, targetFile);
-    console.log(
-      `\x1b[32m✓ Copied mergePrismaSchema.mjs to ${targetFile}\x1b[0m`
-    );
-
-    // Add the script to package.json
-    addScriptToPackageJson(
-      projectPath,
-      "merge",
-      "node src/scripts/mergePrismaSchema.mjs"
-    );
+    installToolScript(projectPath, "merge");
 
     console.log(
       "\n\x1b[32mPrisma schema merger tool installed successfully!\x1b[0m"
     );
     console.log("\n\n👉 \x1b[1mNext steps:\x1b[0m");
-    console.log("  pnpm merge\n\n");
+    console.log(`  ${getPackageManager(projectPath).run("merge")}\n\n`);
   } catch (error) {
     console.error(
       `Error installing Prisma schema merger tool: ${error.message}`
@@ -735,7 +1090,11 @@ function installEmailTool() {
     fs.chmodSync(emailScriptPath, "755");
 
     // Execute the email setup script
-    execSync(`node ${emailScriptPath}`, { stdio: "inherit" });
+    // Forward flags such as --react-email to the script
+    const flags = process.argv.slice(2).filter((arg) => arg.startsWith("--"));
+    execSync(`node ${emailScriptPath} ${flags.join(" ")}`.trim(), {
+      stdio: "inherit",
+    });
 
     console.log("\x1b[32m✓ Email functionality set up successfully!\x1b[0m");
   } catch (error) {
@@ -776,41 +1135,17 @@ function installWindsurfTool() {
  */
 function installAddonGenerateTool() {
   const targetPath = config.defaultInstallPath;
-  const toolPath = path.join(config.toolsDir, "addonGenerate");
 
   console.log("\x1b[36mInstalling addonGenerate tool...\x1b[0m");
 
   try {
-    // Create src/scripts directory if it doesn't exist
-    const scriptsDir = path.join(targetPath, "src", "scripts");
-    fs.mkdirSync(scriptsDir, { recursive: true });
-
-    // Copy generateAddonConfig.mjs to src/scripts directory
-    const sourcePath = path.join(toolPath, "generateAddonConfig.mjs");
-    const destPath = path.join(scriptsDir, "generateAddonConfig.mjs");
-
-    if (!fs.existsSync(sourcePath)) {
-      console.error(
-        `Error: generateAddonConfig.mjs not found at ${sourcePath}`
-      );
-      process.exit(1);
-    }
-
-    fs.copyFileSync(sourcePath, destPath);
-    console.log(
-      `\x1b[32m✓ Copied generateAddonConfig.mjs to ${destPath}\x1b[0m`
-    );
-
-    // Add script to package.json
-    addScriptToPackageJson(
-      targetPath,
-      "addon:generate",
-      "node src/scripts/generateAddonConfig.mjs"
-    );
+    installToolScript(targetPath, "addon-generate");
 
     console.log("\x1b[32m✓ addonGenerate tool installed successfully!\x1b[0m");
     console.log("\n\n👉 \x1b[1mNext steps:\x1b[0m");
-    console.log("  pnpm addon:generate <addonName>\n\n");
+    console.log(
+      `  ${getPackageManager(targetPath).run("addon:generate", "<addonName>")}\n\n`
+    );
   } catch (error) {
     console.error(
       `\x1b[31mError installing addonGenerate tool: ${error.message}\x1b[0m`
@@ -824,45 +1159,27 @@ function installAddonGenerateTool() {
  */
 function installAddonInstallTool() {
   const targetPath = config.defaultInstallPath;
-  const toolPath = path.join(config.toolsDir, "addonInstall");
 
   console.log("\x1b[36mInstalling addonInstall tool...\x1b[0m");
 
   try {
-    // Create src/scripts directory if it doesn't exist
-    const scriptsDir = path.join(targetPath, "src", "scripts");
-    fs.mkdirSync(scriptsDir, { recursive: true });
-
-    // Copy installAddon.mjs to src/scripts directory
-    const sourcePath = path.join(toolPath, "installAddon.mjs");
-    const destPath = path.join(scriptsDir, "installAddon.mjs");
-
-    if (!fs.existsSync(sourcePath)) {
-      console.error(
-        `Error: installAddon.mjs not found at ${sourcePath}`
-      );
-      process.exit(1);
-    }
-
-    fs.copyFileSync(sourcePath, destPath);
-    console.log(
-      `\x1b[32m✓ Copied installAddon.mjs to ${destPath}\x1b[0m`
-    );
-
-    // Add script to package.json
-    addScriptToPackageJson(
-      targetPath,
-      "addon:install",
-      "node src/scripts/installAddon.mjs"
-    );
+    installToolScript(targetPath, "addon-install");
+    const paths = getPaths(targetPath);
 
     console.log("\x1b[32m✓ addonInstall tool installed successfully!\x1b[0m");
     console.log("\n\n👉 \x1b[1mNext steps:\x1b[0m");
-    console.log("  pnpm addon:install install <addonName> [options]\n\n");
+    console.log(
+      `  ${getPackageManager(targetPath).run(
+        "addon:install",
+        "install <addonName> [options]"
+      )}\n\n`
+    );
     console.log("  Options:\n");
     console.log("    --repo <url>    Install from a GitHub repository");
     console.log("    --source <path> Full path to the addon directory");
-    console.log("    --dest <path>   Destination directory (defaults to src/app/addons)\n");
+    console.log(
+      `    --dest <path>   Destination directory (defaults to ${paths.addons})\n`
+    );
   } catch (error) {
     console.error(
       `\x1b[31mError installing addonInstall tool: ${error.message}\x1b[0m`
@@ -0,0 +1,128 @@
+/**
+ * Project configuration
+ *
+ * Reads `rwsdk-tools.config.json` from the project root. The config describes
+ * non-default project layouts and answers the tools' prompts up front so they
+ * can run from scripts and CI jobs:
+ *
+ *   {
+ *     "paths": { "worker": "src/server.tsx", "components": "src/components" },
+ *     "yes": true,
+ *     "mode": "run",
+ *     "email": { "reactEmail": false },
+ *     "component": { "structure": "folder", "stories": true, "templates": "templates/plop" },
+ *     "routes": { "sitemap": { "baseUrl": "https://example.com" } },
+ *     "addons": { "env": { "RESEND_API": "re_123" } },
+ *     "plugins": ["./tools/rwsdk-tools-plugin.js"]
+ *   }
+ *
+ * `--yes` (or `"yes": true`) makes every prompt that the config doesn't answer
+ * take its default. Without a TTY the tools never prompt either.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILE = "rwsdk-tools.config.json";
+const YES_ENV = "RWSDK_TOOLS_YES";
+
+// Project paths, relative to the project root
+const defaultPaths = {
+  worker: "src/worker.tsx",
+  links: "src/app/shared/links.ts",
+  api: "src/app/shared/api.ts",
+  manifest: "src/app/shared/routes.manifest.json",
+  sitemap: "public/sitemap.xml",
+  app: "src/app",
+  lib: "src/app/lib",
+  components: "src/app/components",
+  styles: "src/app/styles.css",
+  document: "src/app/Document.tsx",
+  addons: "src/app/addons",
+  prisma: "prisma",
+  scripts: "src/scripts",
+};
+
+/**
+ * Load the project config
+ * @param {string} projectRoot - Path to the project
+ * @returns {Object} - The config, or an empty object if there is none
+ */
+function loadConfig(projectRoot = process.cwd()) {
+  const configPath = path.join(projectRoot, CONFIG_FILE);
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the project paths, with the configured paths overriding the defaults
+ * @param {string} projectRoot - Path to the project
+ * @returns {Object} - Paths relative to the project root
+ */
+function getPaths(projectRoot = process.cwd()) {
+  const paths = { ...defaultPaths, ...(loadConfig(projectRoot).paths || {}) };
+
+  // Normalize so the paths can be used in scripts and messages as-is
+  for (const [name, value] of Object.entries(paths)) {
+    paths[name] = path.posix
+      .normalize(value.replace(/\\/g, "/"))
+      .replace(/\/$/, "");
+  }
+  return paths;
+}
+
+/**
+ * Build the relative import specifier from one project file to another
+ * @param {string} fromFile - The importing file
+ * @param {string} toFile - The imported file
+ * @returns {string} - The specifier, e.g. "./styles.css"
+ */
+function importPath(fromFile, toFile) {
+  const relativePath = path
+    .relative(path.dirname(fromFile), toFile)
+    .split(path.sep)
+    .join("/");
+  return relativePath.startsWith(".") ? relativePath : `./${relativePath}`;
+}
+
+/**
+ * Answer every prompt with its default, in this process and its children
+ * @param {boolean} enabled - Whether to skip prompts
+ */
+function setAssumeYes(enabled) {
+  if (enabled) {
+    process.env[YES_ENV] = "1";
+  } else {
+    delete process.env[YES_ENV];
+  }
+}
+
+/**
+ * Whether the tools may prompt the user
+ * @param {string} projectRoot - Path to the project
+ * @returns {boolean} - False for `--yes`, `"yes": true` or when there is no TTY
+ */
+function isInteractive(projectRoot = process.cwd()) {
+  if (process.env[YES_ENV] === "1" || loadConfig(projectRoot).yes === true) {
+    return false;
+  }
+
+  return Boolean(process.stdin.isTTY);
+}
+
+module.exports = {
+  CONFIG_FILE,
+  defaultPaths,
+  loadConfig,
+  getPaths,
+  importPath,
+  setAssumeYes,
+  isInteractive,
+};
@@ -0,0 +1,183 @@
+/**
+ * Copied scripts
+ *
+ * Some tools are installed by copying a script into the project's scripts
+ * directory. Each copy is stamped with the rwsdk-tools version and a hash of
+ * its content, so later versions can tell whether a copy is outdated and
+ * whether it was edited by hand:
+ *
+ *   #!/usr/bin/env node
+ *   // Copied by rwsdk-tools 0.4.1 (sha256:3f2a9c0d1b7e6a45). Update with `npx rwsdk-tools update`.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { writeFile } = require("./operations");
+const { version } = require("../package.json");
+
+const toolsDir = path.join(__dirname, "..", "tools");
+
+const STAMP_PATTERN =
+  /^\/\/ Copied by rwsdk-tools (\S+) \(sha256:([0-9a-f]+)\)\..*\n/m;
+
+// Tools that are installed as a package.json script, which either runs a copy
+// in the scripts directory or `rwsdk-tools run <run>`
+const copiedScripts = [
+  {
+    tool: "routes",
+    run: "routes",
+    script: "routes",
+    file: "generateRoutes.ts",
+    source: path.join(toolsDir, "generateRoutes", "generateRoutes.ts"),
+  },
+  {
+    tool: "merge",
+    run: "merge",
+    script: "merge",
+    file: "mergePrismaSchema.mjs",
+    source: path.join(toolsDir, "mergePrisma", "mergePrismaSchema.mjs"),
+  },
+  {
+    tool: "seedtosql",
+    run: "seedtosql",
+    script: "seedtosql",
+    file: "seedToSql.mjs",
+    source: path.join(toolsDir, "seedToSql", "seedToSql.mjs"),
+  },
+  {
+    tool: "addon generate",
+    run: "addon-generate",
+    script: "addon:generate",
+    file: "generateAddonConfig.mjs",
+    source: path.join(toolsDir, "addonGenerate", "generateAddonConfig.mjs"),
+  },
+  {
+    tool: "addon install",
+    run: "addon-install",
+    script: "addon:install",
+    file: "installAddon.mjs",
+    source: path.join(toolsDir, "addonInstall", "installAddon.mjs"),
+  },
+];
+
+/**
+ * Hash script content for the stamp
+ * @param {string} content - Script content without a stamp
+ * @returns {string} - The first 16 hex characters of the SHA-256
+ */
+function hashContent(content) {
+  return crypto
+    .createHash("sha256")
+    .update(content)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Add the version stamp to a script, after its shebang if it has one
+ * @param {string} content - Script content without a stamp
+ * @returns {string} - The stamped content
+ */
+function stampScript(content) {
+  const stamp = `// Copied by rwsdk-tools ${version} (sha256:${hashContent(
+    content
+  )}). Update with \`npx rwsdk-tools update\`.\n`;
+
+  if (content.startsWith("#!")) {
+    const lineEnd = content.indexOf("\n") + 1;
+    return content.slice(0, lineEnd) + stamp + content.slice(lineEnd);
+  }
+  return stamp + content;
+}
+
+/**
+ * Read the version stamp of a copied script
+ * @param {string} content - The copied script
+ * @returns {Object|null} - `{ version, hash, body }` with the body being the
+ *   content without the stamp, or null if the script isn't stamped
+ */
+function readStamp(content) {
+  const match = content.match(STAMP_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    version: match[1],
+    hash: match[2],
+    body:
+      content.slice(0, match.index) +
+      content.slice(match.index + match[0].length),
+  };
+}
+
+/**
+ * Copy a tool script into the project with a version stamp
+ * @param {string} sourcePath - The script in this package
+ * @param {string} destPath - Where to copy it
+ * @returns {boolean} - Whether the copy changed
+ */
+function copyStampedScript(sourcePath, destPath) {
+  return writeFile(destPath, stampScript(fs.readFileSync(sourcePath, "utf8")));
+}
+
+/**
+ * Compare a project's copy of a tool script with the installed rwsdk-tools
+ * @param {string} projectRoot - Path to the project
+ * @param {string} scriptsDir - The scripts directory, relative to the project
+ * @param {Object} entry - The tool in `copiedScripts`
+ * @returns {Object} - The status ("missing", "current" or "outdated"), the
+ *   stamp, whether the copy was edited by hand (null when it can't be told)
+ *   and the current and latest content
+ */
+function inspectCopiedScript(projectRoot, scriptsDir, entry) {
+  const relativePath = `${scriptsDir}/${entry.file}`;
+  const filePath = path.join(projectRoot, relativePath);
+  const latestContent = stampScript(fs.readFileSync(entry.source, "utf8"));
+
+  if (!fs.existsSync(filePath)) {
+    return {
+      ...entry,
+      relativePath,
+      filePath,
+      status: "missing",
+      stamp: null,
+      edited: false,
+      content: null,
+      latestContent,
+    };
+  }
+
+  const content = fs.readFileSync(filePath, "utf8");
+  const stamp = readStamp(content);
+  const status = content === latestContent ? "current" : "outdated";
+
+  let edited = false;
+  if (stamp) {
+    edited = hashContent(stamp.body) !== stamp.hash;
+  } else if (status === "outdated") {
+    // Unstamped copies predate stamping, so an edit can't be told apart from
+    // an older version unless the content matches the latest one
+    edited = content === fs.readFileSync(entry.source, "utf8") ? false : null;
+  }
+
+  return {
+    ...entry,
+    relativePath,
+    filePath,
+    status,
+    stamp,
+    edited,
+    content,
+    latestContent,
+  };
+}
+
+module.exports = {
+  copiedScripts,
+  stampScript,
+  readStamp,
+  copyStampedScript,
+  inspectCopiedScript,
+};
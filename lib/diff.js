@@ -0,0 +1,202 @@
+/**
+ * Unified diff helper
+ *
+ * Produces `diff -u` style output for two versions of a text file. Used to
+ * show the planned edits in dry-run mode and outdated scripts in `update`.
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Split text into lines, without treating a trailing newline as an extra line
+ * @param {string} text - Text to split
+ * @returns {string[]} - The lines of the text
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute a line-level edit script using a longest common subsequence table
+ * @param {string[]} oldLines - Lines of the original text
+ * @param {string[]} newLines - Lines of the updated text
+ * @returns {Array<{type: string, line: string}>} - Edit operations in order
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // lcs[i][j] holds the LCS length of oldLines[i:] and newLines[j:]
+  const lcs = Array.from({ length: rows + 1 }, () =>
+    new Array(cols + 1).fill(0)
+  );
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] =
+        oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      operations.push({ type: " ", line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      operations.push({ type: "-", line: oldLines[i] });
+      i++;
+    } else {
+      operations.push({ type: "+", line: newLines[j] });
+      j++;
+    }
+  }
+
+  while (i < rows) {
+    operations.push({ type: "-", line: oldLines[i++] });
+  }
+  while (j < cols) {
+    operations.push({ type: "+", line: newLines[j++] });
+  }
+
+  return operations;
+}
+
+/**
+ * Group edit operations into hunks with surrounding context
+ * @param {Array<{type: string, line: string}>} operations - Edit operations
+ * @returns {Array<Object>} - Hunks with their line ranges and operations
+ */
+function buildHunks(operations) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailingContext = 0;
+
+  operations.forEach((operation, index) => {
+    if (operation.type !== " ") {
+      if (!current) {
+        // Start a new hunk, pulling in the preceding context lines
+        const contextStart = Math.max(0, index - CONTEXT_LINES);
+        const context = operations.slice(contextStart, index);
+        current = {
+          oldStart: oldLine - context.length,
+          newStart: newLine - context.length,
+          operations: [...context],
+        };
+        hunks.push(current);
+      }
+      current.operations.push(operation);
+      trailingContext = 0;
+    } else if (current) {
+      // Keep the hunk open while the next change is close enough to merge
+      const nextChange = operations.findIndex(
+        (candidate, candidateIndex) =>
+          candidateIndex > index && candidate.type !== " "
+      );
+
+      if (
+        trailingContext < CONTEXT_LINES ||
+        (nextChange !== -1 && nextChange - index <= CONTEXT_LINES)
+      ) {
+        current.operations.push(operation);
+        trailingContext++;
+      } else {
+        current = null;
+        trailingContext = 0;
+      }
+    }
+
+    if (operation.type !== "+") oldLine++;
+    if (operation.type !== "-") newLine++;
+  });
+
+  return hunks.map((hunk) => {
+    const oldCount = hunk.operations.filter((op) => op.type !== "+").length;
+    const newCount = hunk.operations.filter((op) => op.type !== "-").length;
+    return {
+      ...hunk,
+      oldStart: oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart,
+      newStart: newCount === 0 ? hunk.newStart - 1 : hunk.newStart,
+      oldCount,
+      newCount,
+    };
+  });
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string|null} oldText - Original content, or null if the file is new
+ * @param {string|null} newText - Updated content, or null if the file is removed
+ * @param {string} fileName - Name of the file shown in the diff header
+ * @returns {string} - The unified diff, or an empty string if nothing changed
+ */
+function createUnifiedDiff(oldText, newText, fileName) {
+  if (oldText === newText) {
+    return "";
+  }
+
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = buildHunks(operations);
+
+  if (hunks.length === 0) {
+    return "";
+  }
+
+  const output = [
+    `--- ${oldText === null ? "/dev/null" : `a/${fileName}`}`,
+    `+++ ${newText === null ? "/dev/null" : `b/${fileName}`}`,
+  ];
+
+  for (const hunk of hunks) {
+    output.push(
+      `@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`
+    );
+    hunk.operations.forEach((op) => output.push(`${op.type}${op.line}`));
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * Add terminal colors to a unified diff
+ * @param {string} diff - The unified diff
+ * @returns {string} - The colored diff
+ */
+function colorizeDiff(diff) {
+  return diff
+    .split("\n")
+    .map((line) => {
+      if (line.startsWith("+++") || line.startsWith("---")) {
+        return `\x1b[1m${line}\x1b[0m`;
+      }
+      if (line.startsWith("@@")) {
+        return `\x1b[36m${line}\x1b[0m`;
+      }
+      if (line.startsWith("+")) {
+        return `\x1b[32m${line}\x1b[0m`;
+      }
+      if (line.startsWith("-")) {
+        return `\x1b[31m${line}\x1b[0m`;
+      }
+      return line;
+    })
+    .join("\n");
+}
+
+module.exports = { createUnifiedDiff, colorizeDiff };
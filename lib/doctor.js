@@ -0,0 +1,463 @@
+/**
+ * Doctor command
+ *
+ * Inspects an RWSDK project and reports which rwsdk-tools are installed and
+ * whether they are wired up correctly. Every finding has a severity and a
+ * suggested command that fixes it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getPackageManager } = require("./packageManager");
+const { getPaths, importPath } = require("./config");
+const { copiedScripts, inspectCopiedScript } = require("./copiedScripts");
+
+/**
+ * Read a project file if it exists
+ * @param {string} projectRoot - Path to the project
+ * @param {string} relativePath - Path of the file relative to the project
+ * @returns {string|null} - The file content, or null if it doesn't exist
+ */
+function readProjectFile(projectRoot, relativePath) {
+  const filePath = path.join(projectRoot, relativePath);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+/**
+ * Check whether a package is a dependency or dev dependency
+ * @param {Object} packageJson - The project's package.json
+ * @param {string} name - Package name
+ * @returns {boolean} - Whether the package is installed
+ */
+function hasDependency(packageJson, name) {
+  return Boolean(
+    (packageJson.dependencies && packageJson.dependencies[name]) ||
+      (packageJson.devDependencies && packageJson.devDependencies[name])
+  );
+}
+
+/**
+ * Check the Tailwind CSS setup
+ */
+function checkTailwind(project, report) {
+  const { root, packageJson, paths, pm } = project;
+  const viteConfig = readProjectFile(root, "vite.config.mts");
+  const styles = readProjectFile(root, paths.styles);
+  const document = readProjectFile(root, paths.document);
+
+  const installed =
+    hasDependency(packageJson, "tailwindcss") ||
+    (styles !== null && styles.includes('@import "tailwindcss"'));
+  report.tool("tailwind", installed);
+  if (!installed) {
+    return;
+  }
+
+  const fix = "npx rwsdk-tools tailwind";
+
+  if (
+    !hasDependency(packageJson, "tailwindcss") ||
+    !hasDependency(packageJson, "@tailwindcss/vite")
+  ) {
+    report.error(
+      "tailwind",
+      "tailwindcss and @tailwindcss/vite must both be dependencies",
+      pm.add(["tailwindcss", "@tailwindcss/vite"])
+    );
+  }
+
+  if (viteConfig === null) {
+    report.error("tailwind", "vite.config.mts not found", fix);
+  } else {
+    if (!viteConfig.includes("@tailwindcss/vite")) {
+      report.error(
+        "tailwind",
+        "vite.config.mts does not import @tailwindcss/vite",
+        fix
+      );
+    }
+    if (!/plugins:\s*\[[^\]]*tailwindcss\(\)/.test(viteConfig)) {
+      report.error(
+        "tailwind",
+        "tailwindcss() is missing from the plugins array in vite.config.mts",
+        fix
+      );
+    }
+  }
+
+  if (styles === null) {
+    report.error("tailwind", `${paths.styles} not found`, fix);
+  } else if (!styles.includes('@import "tailwindcss"')) {
+    report.error(
+      "tailwind",
+      `${paths.styles} does not contain @import "tailwindcss"`,
+      fix
+    );
+  }
+
+  if (document === null) {
+    report.error("tailwind", `${paths.document} not found`, fix);
+  } else {
+    const stylesImport = `${importPath(
+      path.join(root, paths.document),
+      path.join(root, paths.styles)
+    )}?url`;
+    if (
+      !document.includes(`from '${stylesImport}'`) &&
+      !document.includes(`from "${stylesImport}"`)
+    ) {
+      report.error(
+        "tailwind",
+        `${paths.document} does not import ${stylesImport}`,
+        fix
+      );
+    }
+    if (!document.includes('<link rel="stylesheet" href={styles}')) {
+      report.error(
+        "tailwind",
+        `${paths.document} does not link the stylesheet in <head>`,
+        fix
+      );
+    }
+  }
+}
+
+/**
+ * Check the shadcn setup
+ */
+function checkShadcn(project, report) {
+  const { root, packageJson, paths, pm } = project;
+  const componentsJsonContent = readProjectFile(root, "components.json");
+  report.tool("shadcn", componentsJsonContent !== null);
+  if (componentsJsonContent === null) {
+    return;
+  }
+
+  const fix = "npx rwsdk-tools shadcn";
+  let componentsJson;
+  try {
+    componentsJson = JSON.parse(componentsJsonContent);
+  } catch (error) {
+    report.error(
+      "shadcn",
+      `components.json is not valid JSON: ${error.message}`,
+      fix
+    );
+    return;
+  }
+
+  // shadcn resolves "@/..." aliases through the "@/*" -> "src/*" path mapping
+  const aliases = componentsJson.aliases || {};
+  const expectedAliases = {};
+  if (paths.lib.startsWith("src/")) {
+    expectedAliases.utils = `@/${paths.lib.slice(4)}/utils`;
+  }
+  if (paths.components.startsWith("src/")) {
+    expectedAliases.components = `@/${paths.components.slice(4)}`;
+    expectedAliases.ui = `@/${paths.components.slice(4)}/ui`;
+  }
+  for (const [name, expected] of Object.entries(expectedAliases)) {
+    if (aliases[name] !== expected) {
+      report.warning(
+        "shadcn",
+        `components.json alias "${name}" is ${
+          aliases[name] ? `"${aliases[name]}"` : "missing"
+        }; expected "${expected}" (src/${expected.slice(2)})`,
+        fix
+      );
+    }
+  }
+
+  if (
+    componentsJson.tailwind &&
+    componentsJson.tailwind.css &&
+    !fs.existsSync(path.join(root, componentsJson.tailwind.css))
+  ) {
+    report.error(
+      "shadcn",
+      `components.json points at ${componentsJson.tailwind.css}, which does not exist`,
+      fix
+    );
+  }
+
+  const utilsPath = `${paths.lib}/utils.ts`;
+  if (!fs.existsSync(path.join(root, utilsPath))) {
+    report.error("shadcn", `${utilsPath} (the cn helper) not found`, fix);
+  }
+
+  const styles = readProjectFile(root, paths.styles);
+  if (styles !== null && !styles.includes("@custom-variant dark")) {
+    report.warning(
+      "shadcn",
+      `${paths.styles} does not contain the shadcn theme variables`,
+      fix
+    );
+  }
+
+  const missingPackages = [
+    "class-variance-authority",
+    "clsx",
+    "tailwind-merge",
+    "tw-animate-css",
+  ].filter((name) => !hasDependency(packageJson, name));
+  if (missingPackages.length > 0) {
+    report.error(
+      "shadcn",
+      `Missing shadcn dependencies: ${missingPackages.join(", ")}`,
+      pm.add(missingPackages)
+    );
+  }
+}
+
+/**
+ * Check the tools that copy a script into the scripts directory
+ */
+function checkCopiedScripts(project, report) {
+  const { root, packageJson, paths, pm } = project;
+  const scripts = packageJson.scripts || {};
+
+  for (const entry of copiedScripts) {
+    const scriptPath = `${paths.scripts}/${entry.file}`;
+    const installed = Boolean(scripts[entry.script]);
+    report.tool(entry.tool, installed);
+    if (!installed) {
+      continue;
+    }
+
+    const fix = `npx rwsdk-tools ${entry.tool}`;
+
+    // Run mode: the script runs the tool from the installed package
+    if (scripts[entry.script].includes(`rwsdk-tools run ${entry.run}`)) {
+      if (!hasDependency(packageJson, "rwsdk-tools")) {
+        report.error(
+          entry.tool,
+          `The "${entry.script}" script runs rwsdk-tools, which is not a dependency`,
+          pm.add(["rwsdk-tools"], { dev: true })
+        );
+      }
+      continue;
+    }
+
+    const copy = inspectCopiedScript(root, paths.scripts, entry);
+
+    if (!scripts[entry.script].includes(entry.file)) {
+      report.warning(
+        entry.tool,
+        `The "${entry.script}" script does not run ${scriptPath}`,
+        fix
+      );
+    }
+
+    if (copy.status === "missing") {
+      report.error(
+        entry.tool,
+        `The "${entry.script}" script is set up but ${scriptPath} is missing`,
+        fix
+      );
+    } else if (copy.status === "outdated") {
+      const message = copy.edited
+        ? `${scriptPath} was edited by hand and is not the version shipped with rwsdk-tools`
+        : copy.edited === null
+        ? `${scriptPath} differs from the version shipped with rwsdk-tools (outdated or edited)`
+        : `${scriptPath} is outdated (copied by ${
+            copy.stamp ? `rwsdk-tools ${copy.stamp.version}` : "an older rwsdk-tools"
+          })`;
+      report.warning(entry.tool, message, "npx rwsdk-tools update");
+    }
+  }
+}
+
+/**
+ * Check the generated links file for the routes tool
+ */
+function checkRoutes(project, report) {
+  const { root, packageJson, paths, pm } = project;
+  if (!(packageJson.scripts || {}).routes) {
+    return;
+  }
+
+  if (!fs.existsSync(path.join(root, paths.worker))) {
+    report.error("routes", `${paths.worker} not found`, null);
+  }
+  // Copies of the generator parse the worker with the project's TypeScript
+  if (
+    !packageJson.scripts.routes.includes("rwsdk-tools run") &&
+    !hasDependency(packageJson, "typescript")
+  ) {
+    report.error(
+      "routes",
+      "The routes generator needs the typescript package",
+      pm.add(["typescript"], { dev: true })
+    );
+  }
+  if (!fs.existsSync(path.join(root, paths.links))) {
+    report.warning(
+      "routes",
+      `${paths.links} has not been generated yet`,
+      pm.run("routes")
+    );
+  }
+}
+
+/**
+ * Check the prisma layout expected by mergePrismaSchema.mjs
+ */
+function checkPrisma(project, report) {
+  const { root, packageJson, paths, pm } = project;
+  if (!(packageJson.scripts || {}).merge) {
+    return;
+  }
+
+  const schemaDir = path.join(root, paths.prisma, "schema");
+  if (!fs.existsSync(schemaDir)) {
+    report.warning(
+      "merge",
+      `${paths.prisma}/schema/ not found; mergePrismaSchema.mjs merges the .prisma files in that directory`,
+      `mkdir -p ${paths.prisma}/schema`
+    );
+    return;
+  }
+
+  const schemaFiles = fs
+    .readdirSync(schemaDir)
+    .filter((file) => file.endsWith(".prisma"));
+  if (
+    schemaFiles.length === 0 &&
+    !fs.existsSync(path.join(schemaDir, "schema.prisma.bak"))
+  ) {
+    report.warning(
+      "merge",
+      `${paths.prisma}/schema/ contains no .prisma files to merge`,
+      `cp ${paths.prisma}/schema.prisma ${paths.prisma}/schema/schema.prisma`
+    );
+  }
+  if (
+    schemaFiles.includes("schema.prisma") &&
+    fs.existsSync(path.join(root, paths.prisma, "schema.prisma"))
+  ) {
+    report.info(
+      "merge",
+      `${paths.prisma}/schema/schema.prisma and ${paths.prisma}/schema.prisma both exist; the merge overwrites ${paths.prisma}/schema.prisma`,
+      pm.run("merge")
+    );
+  }
+}
+
+/**
+ * Check the component generator setup
+ */
+function checkComponentGenerator(project, report) {
+  const { root, packageJson, pm } = project;
+  const installed = fs.existsSync(path.join(root, "plopfile.mjs"));
+  report.tool("component", installed);
+  if (!installed) {
+    return;
+  }
+
+  const fix = "npx rwsdk-tools component";
+
+  if (!hasDependency(packageJson, "plop")) {
+    report.error(
+      "component",
+      "plop is not installed",
+      pm.add(["plop"], { dev: true })
+    );
+  }
+
+  const missingTemplates = [
+    "component.hbs",
+    "index.hbs",
+    "stories.hbs",
+    "test.hbs",
+  ].filter(
+    (file) =>
+      !fs.existsSync(path.join(root, "plop-templates", "component", file))
+  );
+  if (missingTemplates.length > 0) {
+    report.error(
+      "component",
+      `Missing templates in plop-templates/component: ${missingTemplates.join(", ")}`,
+      fix
+    );
+  }
+
+  // Plopfiles copied by older versions lack some generators, so only check
+  // the templates of the generators the plopfile has
+  const plopfile = readProjectFile(root, "plopfile.mjs") || "";
+  const generatorTemplates = {
+    page: ["page/page.hbs"],
+    "server-function": [
+      "server-function/functions.hbs",
+      "server-function/call-site.hbs",
+    ],
+    "client-component": ["client-component/client-component.hbs"],
+  };
+  for (const [generator, templates] of Object.entries(generatorTemplates)) {
+    if (!plopfile.includes(`setGenerator("${generator}"`)) {
+      continue;
+    }
+    for (const template of templates) {
+      if (!fs.existsSync(path.join(root, "plop-templates", template))) {
+        report.error(
+          "component",
+          `Missing template plop-templates/${template}`,
+          fix
+        );
+      }
+    }
+  }
+
+  if (!(packageJson.scripts || {}).component) {
+    report.warning("component", 'The "component" script is missing', fix);
+  }
+}
+
+/**
+ * Inspect a project and collect findings
+ * @param {string} projectRoot - Path to the project
+ * @returns {{tools: Array<{name: string, installed: boolean}>, findings: Array<{severity: string, tool: string, message: string, fix: string|null}>}}
+ */
+function runDoctor(projectRoot = process.cwd()) {
+  const tools = [];
+  const findings = [];
+  const add = (severity) => (tool, message, fix) =>
+    findings.push({ severity, tool, message, fix });
+  const report = {
+    tool: (name, installed) => tools.push({ name, installed }),
+    error: add("error"),
+    warning: add("warning"),
+    info: add("info"),
+  };
+
+  const packageJsonContent = readProjectFile(projectRoot, "package.json");
+  if (packageJsonContent === null) {
+    report.error(
+      "project",
+      "package.json not found; run the doctor from the root of an RWSDK project",
+      null
+    );
+    return { tools, findings };
+  }
+
+  const packageJson = JSON.parse(packageJsonContent);
+  const project = {
+    root: projectRoot,
+    packageJson,
+    paths: getPaths(projectRoot),
+    pm: getPackageManager(projectRoot),
+  };
+  if (!hasDependency(packageJson, "rwsdk")) {
+    report.warning("project", "rwsdk is not a dependency of this project", null);
+  }
+
+  checkTailwind(project, report);
+  checkShadcn(project, report);
+  checkComponentGenerator(project, report);
+  checkCopiedScripts(project, report);
+  checkRoutes(project, report);
+  checkPrisma(project, report);
+
+  return { tools, findings };
+}
+
+module.exports = { runDoctor };
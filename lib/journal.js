@@ -0,0 +1,209 @@
+/**
+ * Install journal
+ *
+ * Records what each run of the CLI changed in a project (files written with
+ * their previous contents, package.json scripts and packages added) under
+ * `.rwsdk-tools/journal/`, so that `rwsdk-tools undo` can revert a run.
+ *
+ * The active run is shared with child processes through environment
+ * variables, so tool scripts launched by the CLI append to the same journal.
+ * Paths are recorded relative to the project root the run was started for,
+ * which need not be the current directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const JOURNAL_DIR = path.join(".rwsdk-tools", "journal");
+const RUN_ID_ENV = "RWSDK_TOOLS_RUN_ID";
+const RUN_COMMAND_ENV = "RWSDK_TOOLS_RUN_COMMAND";
+const RUN_ROOT_ENV = "RWSDK_TOOLS_RUN_ROOT";
+
+/**
+ * Get the journal directory of a project
+ * @param {string} projectRoot - Path to the project
+ * @returns {string} - Path to the journal directory
+ */
+function getJournalDir(projectRoot = process.cwd()) {
+  return path.join(projectRoot, JOURNAL_DIR);
+}
+
+/**
+ * Start a journaled run, unless one was already started by a parent process
+ * @param {string} command - The command being run (e.g. "tailwind")
+ * @param {string} projectRoot - Path to the project the run changes
+ * @returns {string} - The id of the active run
+ */
+function startRun(command, projectRoot = process.cwd()) {
+  if (!process.env[RUN_ID_ENV]) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    process.env[RUN_ID_ENV] = `${timestamp}-${command.replace(/\W+/g, "-")}`;
+    process.env[RUN_COMMAND_ENV] = command;
+    process.env[RUN_ROOT_ENV] = path.resolve(projectRoot);
+  }
+
+  return process.env[RUN_ID_ENV];
+}
+
+/**
+ * Get the project root of the active run
+ * @returns {string} - Path to the project
+ */
+function getRunRoot() {
+  return process.env[RUN_ROOT_ENV] || process.cwd();
+}
+
+/**
+ * Get the id of the active run
+ * @returns {string|undefined} - The run id, if a run is active
+ */
+function getActiveRunId() {
+  return process.env[RUN_ID_ENV];
+}
+
+/**
+ * Read a journal file
+ * @param {string} journalPath - Path to the journal file
+ * @returns {Object} - The parsed journal
+ */
+function readJournal(journalPath) {
+  return JSON.parse(fs.readFileSync(journalPath, "utf8"));
+}
+
+/**
+ * Append an entry to the journal of the active run
+ * @param {Object} entry - The change to record
+ * @param {Function} isDuplicate - Returns true if an existing entry already covers this change
+ */
+function record(entry, isDuplicate = () => false) {
+  const runId = getActiveRunId();
+  if (!runId) {
+    return;
+  }
+
+  const journalDir = getJournalDir(getRunRoot());
+  const journalPath = path.join(journalDir, `${runId}.json`);
+  const journal = fs.existsSync(journalPath)
+    ? readJournal(journalPath)
+    : {
+        id: runId,
+        command: process.env[RUN_COMMAND_ENV] || runId,
+        startedAt: new Date().toISOString(),
+        entries: [],
+      };
+
+  // Only the first change to a file or script matters for undo
+  if (journal.entries.some(isDuplicate)) {
+    return;
+  }
+
+  journal.entries.push(entry);
+  fs.mkdirSync(journalDir, { recursive: true });
+  fs.writeFileSync(journalPath, JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Record a file about to be written
+ * @param {string} filePath - Absolute path of the file
+ * @param {string|null} previousContent - Content before the write, or null if the file is new
+ */
+function recordFile(filePath, previousContent) {
+  const relativePath = path.relative(getRunRoot(), filePath);
+  record(
+    { type: "file", path: relativePath, previousContent },
+    (existing) => existing.type === "file" && existing.path === relativePath
+  );
+}
+
+/**
+ * Record a directory about to be created
+ * @param {string} dirPath - Absolute path of the directory
+ */
+function recordDirectory(dirPath) {
+  const relativePath = path.relative(getRunRoot(), dirPath);
+  record(
+    { type: "directory", path: relativePath },
+    (existing) =>
+      existing.type === "directory" && existing.path === relativePath
+  );
+}
+
+/**
+ * Record a package.json script about to be added or changed
+ * @param {string} name - Name of the script
+ * @param {string|null} previousCommand - Previous command, or null if the script is new
+ */
+function recordScript(name, previousCommand) {
+  record(
+    { type: "script", name, previousCommand },
+    (existing) => existing.type === "script" && existing.name === name
+  );
+}
+
+/**
+ * Record packages about to be added to the project
+ * @param {string[]} packages - Package names
+ * @param {Object} options - Install options
+ * @param {boolean} options.dev - Whether they were added as dev dependencies
+ */
+function recordPackages(packages, { dev = false } = {}) {
+  if (packages.length > 0) {
+    record({ type: "packages", packages, dev });
+  }
+}
+
+/**
+ * List the journaled runs of a project, most recent first
+ * @param {string} projectRoot - Path to the project
+ * @returns {Object[]} - The journals
+ */
+function listRuns(projectRoot = process.cwd()) {
+  const journalDir = getJournalDir(projectRoot);
+  if (!fs.existsSync(journalDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(journalDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => readJournal(path.join(journalDir, file)))
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Mark a run as undone so it is no longer the target of a bare `undo`
+ * @param {Object} journal - The journal of the run
+ * @param {string} projectRoot - Path to the project
+ */
+function markUndone(journal, projectRoot = process.cwd()) {
+  const journalPath = path.join(getJournalDir(projectRoot), `${journal.id}.json`);
+  fs.writeFileSync(
+    journalPath,
+    JSON.stringify({ ...journal, undoneAt: new Date().toISOString() }, null, 2)
+  );
+}
+
+/**
+ * Replace the entries of a journaled run, e.g. with the changes that are
+ * still to be undone
+ * @param {Object} journal - The journal of the run
+ * @param {Object[]} entries - The entries to keep
+ * @param {string} projectRoot - Path to the project
+ */
+function saveEntries(journal, entries, projectRoot = process.cwd()) {
+  const journalPath = path.join(getJournalDir(projectRoot), `${journal.id}.json`);
+  fs.writeFileSync(journalPath, JSON.stringify({ ...journal, entries }, null, 2));
+}
+
+module.exports = {
+  startRun,
+  getActiveRunId,
+  getRunRoot,
+  recordFile,
+  recordDirectory,
+  recordScript,
+  recordPackages,
+  listRuns,
+  markUndone,
+  saveEntries,
+};
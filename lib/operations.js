@@ -0,0 +1,278 @@
+/**
+ * Project operations
+ *
+ * Every change an installer makes to a project (writing files, creating
+ * directories, running shell commands) goes through these helpers so that
+ * `--dry-run` can print the plan instead of touching disk.
+ *
+ * Dry-run state lives in an environment variable so that tool scripts
+ * launched as child processes (shadcn, email, windsurf) inherit it. Outside
+ * of a dry run, each change is recorded in the install journal for `undo`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { createUnifiedDiff, colorizeDiff } = require("./diff");
+const { recordFile, recordDirectory, recordPackages } = require("./journal");
+const { getPackageManager } = require("./packageManager");
+
+const DRY_RUN_ENV = "RWSDK_TOOLS_DRY_RUN";
+
+/**
+ * Whether the current run is a dry run
+ * @returns {boolean} - True if no changes should be made
+ */
+function isDryRun() {
+  return process.env[DRY_RUN_ENV] === "1";
+}
+
+/**
+ * Enable or disable dry-run mode for this process and its children
+ * @param {boolean} enabled - Whether to enable dry-run mode
+ */
+function setDryRun(enabled) {
+  if (enabled) {
+    process.env[DRY_RUN_ENV] = "1";
+  } else {
+    delete process.env[DRY_RUN_ENV];
+  }
+}
+
+/**
+ * Format a path relative to the current working directory for display
+ * @param {string} filePath - Absolute or relative path
+ * @returns {string} - The display path
+ */
+function displayPath(filePath) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  if (!relativePath) {
+    return ".";
+  }
+  return relativePath.startsWith("..") ? filePath : relativePath;
+}
+
+/**
+ * Print a dry-run plan entry
+ * @param {string} message - Description of the planned change
+ */
+function logPlan(message) {
+  console.log(`\x1b[35m[dry-run]\x1b[0m ${message}`);
+}
+
+/**
+ * Write a file, creating its parent directory if needed
+ * @param {string} filePath - Path of the file to write
+ * @param {string} content - New content of the file
+ * @param {Object} options - Write options
+ * @param {boolean} options.journal - Whether to record the write for undo
+ * @returns {boolean} - Whether the file content changed
+ */
+function writeFile(filePath, content, { journal = true } = {}) {
+  const previousContent = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, "utf8")
+    : null;
+
+  if (previousContent === content) {
+    return false;
+  }
+
+  if (isDryRun()) {
+    const name = displayPath(filePath);
+    if (previousContent === null) {
+      // New files are listed rather than dumped in full
+      logPlan(`Create ${name} (${content.split("\n").length} lines)`);
+    } else {
+      logPlan(`Update ${name}`);
+      console.log(
+        colorizeDiff(createUnifiedDiff(previousContent, content, name))
+      );
+    }
+    return true;
+  }
+
+  ensureDir(path.dirname(filePath));
+  if (journal) {
+    recordFile(filePath, previousContent);
+  }
+  fs.writeFileSync(filePath, content);
+  return true;
+}
+
+/**
+ * Remove a file from the project
+ * @param {string} filePath - Path of the file to remove
+ * @param {Object} options - Remove options
+ * @param {boolean} options.journal - Whether to record the content for undo
+ */
+function removeFile(filePath, { journal = true } = {}) {
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+
+  if (isDryRun()) {
+    logPlan(`Delete ${displayPath(filePath)}`);
+    return;
+  }
+
+  if (journal) {
+    recordFile(filePath, fs.readFileSync(filePath, "utf8"));
+  }
+  fs.unlinkSync(filePath);
+}
+
+/**
+ * Copy a file into the project
+ * @param {string} sourcePath - Path of the file to copy
+ * @param {string} destPath - Destination path
+ * @returns {boolean} - Whether the destination content changed
+ */
+function copyFile(sourcePath, destPath) {
+  return writeFile(destPath, fs.readFileSync(sourcePath, "utf8"));
+}
+
+/**
+ * Create a directory (and its parents) if it doesn't exist
+ * @param {string} dirPath - Path of the directory
+ * @returns {boolean} - Whether the directory had to be created
+ */
+function ensureDir(dirPath) {
+  if (fs.existsSync(dirPath)) {
+    return false;
+  }
+
+  if (isDryRun()) {
+    logPlan(`Create directory ${displayPath(dirPath)}`);
+    return true;
+  }
+
+  // Record the outermost directory that is about to be created
+  let topDir = dirPath;
+  while (!fs.existsSync(path.dirname(topDir))) {
+    topDir = path.dirname(topDir);
+  }
+  recordDirectory(topDir);
+
+  fs.mkdirSync(dirPath, { recursive: true });
+  return true;
+}
+
+/**
+ * Check whether a directory tree contains no files
+ * @param {string} dirPath - Path of the directory
+ * @returns {boolean} - True if the tree only contains (empty) directories
+ */
+function isEmptyTree(dirPath) {
+  return fs
+    .readdirSync(dirPath, { withFileTypes: true })
+    .every(
+      (entry) =>
+        entry.isDirectory() && isEmptyTree(path.join(dirPath, entry.name))
+    );
+}
+
+/**
+ * Remove a directory if it no longer contains any files
+ * @param {string} dirPath - Path of the directory
+ * @returns {boolean} - Whether the directory was (or would be) removed
+ */
+function removeEmptyDir(dirPath) {
+  if (!fs.existsSync(dirPath) || !isEmptyTree(dirPath)) {
+    return false;
+  }
+
+  if (isDryRun()) {
+    logPlan(`Delete directory ${displayPath(dirPath)}`);
+    return true;
+  }
+
+  fs.rmSync(dirPath, { recursive: true });
+  return true;
+}
+
+/**
+ * Change the permissions of a project file
+ * @param {string} filePath - Path of the file
+ * @param {string|number} mode - New file mode
+ */
+function chmod(filePath, mode) {
+  if (isDryRun()) {
+    logPlan(`chmod ${mode} ${displayPath(filePath)}`);
+    return;
+  }
+
+  fs.chmodSync(filePath, mode);
+}
+
+/**
+ * Run a shell command
+ * @param {string} command - Command to run
+ * @param {Object} options - Options passed to execSync
+ */
+function runCommand(command, options = {}) {
+  if (isDryRun()) {
+    const cwd = options.cwd ? ` (in ${displayPath(options.cwd)})` : "";
+    logPlan(`Run: ${command}${cwd}`);
+    return;
+  }
+
+  execSync(command, options);
+}
+
+/**
+ * Get the package name of an install specifier
+ * @param {string} specifier - e.g. "foo", "foo@^2" or "@scope/foo@latest"
+ * @returns {string} - The name without the version
+ */
+function packageName(specifier) {
+  const versionAt = specifier.indexOf("@", 1);
+  return versionAt === -1 ? specifier : specifier.slice(0, versionAt);
+}
+
+/**
+ * Add packages to the project's dependencies with its package manager
+ * @param {string[]} packages - Package names
+ * @param {Object} options - Install options
+ * @param {boolean} options.dev - Add them as dev dependencies
+ * @param {string} options.cwd - Project directory
+ * @param {string} options.stdio - stdio of the package manager (default "inherit")
+ */
+function addPackages(
+  packages,
+  { dev = false, cwd = process.cwd(), stdio = "inherit" } = {}
+) {
+  const command = getPackageManager(cwd).add(packages, { dev });
+
+  // Only packages that weren't already dependencies are undone later
+  const packageJsonPath = path.join(cwd, "package.json");
+  let existing = {};
+  if (fs.existsSync(packageJsonPath)) {
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+    existing = {
+      ...(packageJson.dependencies || {}),
+      ...(packageJson.devDependencies || {}),
+    };
+  }
+  const newPackages = packages
+    .map(packageName)
+    .filter((name) => !existing[name]);
+
+  // Throws when the install fails, so only installed packages are recorded
+  runCommand(command, { cwd, stdio });
+  if (!isDryRun()) {
+    recordPackages(newPackages, { dev });
+  }
+}
+
+module.exports = {
+  isDryRun,
+  setDryRun,
+  writeFile,
+  copyFile,
+  removeFile,
+  ensureDir,
+  removeEmptyDir,
+  chmod,
+  runCommand,
+  addPackages,
+};
@@ -0,0 +1,135 @@
+/**
+ * Package manager detection
+ *
+ * Works out whether a project uses npm, yarn, pnpm or bun and builds the
+ * matching add/remove/run commands. The choice can be forced with
+ * `--pm=<name>`, which is passed to tool scripts launched as child processes
+ * through an environment variable.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PACKAGE_MANAGER_ENV = "RWSDK_TOOLS_PM";
+const DEFAULT_PACKAGE_MANAGER = "pnpm";
+
+// Checked in order, so a project with several lockfiles gets the first match
+const lockfiles = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["bun.lockb", "bun"],
+  ["bun.lock", "bun"],
+  ["yarn.lock", "yarn"],
+  ["package-lock.json", "npm"],
+];
+
+const commands = {
+  npm: {
+    add: (packages, dev) => `npm install ${dev ? "-D " : ""}${packages}`,
+    remove: (packages) => `npm uninstall ${packages}`,
+    // npm needs "--" to forward flags to the script
+    run: (script, args) => `npm run ${script}${args ? ` -- ${args}` : ""}`,
+    dlx: (command) => `npx ${command}`,
+  },
+  yarn: {
+    add: (packages, dev) => `yarn add ${dev ? "-D " : ""}${packages}`,
+    remove: (packages) => `yarn remove ${packages}`,
+    run: (script, args) => `yarn ${script}${args ? ` ${args}` : ""}`,
+    // `yarn dlx` only exists from Yarn 2 onwards
+    dlx: (command) => `npx ${command}`,
+  },
+  pnpm: {
+    add: (packages, dev) => `pnpm add ${dev ? "-D " : ""}${packages}`,
+    remove: (packages) => `pnpm remove ${packages}`,
+    run: (script, args) => `pnpm ${script}${args ? ` ${args}` : ""}`,
+    dlx: (command) => `pnpm dlx ${command}`,
+  },
+  bun: {
+    add: (packages, dev) => `bun add ${dev ? "-d " : ""}${packages}`,
+    remove: (packages) => `bun remove ${packages}`,
+    run: (script, args) => `bun run ${script}${args ? ` ${args}` : ""}`,
+    dlx: (command) => `bunx ${command}`,
+  },
+};
+
+const packageManagers = Object.keys(commands);
+
+/**
+ * Force a package manager for this process and its children
+ * @param {string} name - npm, yarn, pnpm or bun
+ */
+function setPackageManager(name) {
+  if (!packageManagers.includes(name)) {
+    throw new Error(
+      `Unknown package manager: ${name} (expected ${packageManagers.join(", ")})`
+    );
+  }
+  process.env[PACKAGE_MANAGER_ENV] = name;
+}
+
+/**
+ * Detect the package manager of a project
+ *
+ * Uses the `--pm` override first, then the `packageManager` field of
+ * package.json, then the lockfile in the project or one of its parent
+ * directories (for workspaces). Falls back to pnpm, the RWSDK default.
+ * @param {string} projectRoot - Path to the project
+ * @returns {string} - npm, yarn, pnpm or bun
+ */
+function detectPackageManager(projectRoot = process.cwd()) {
+  const override = process.env[PACKAGE_MANAGER_ENV];
+  if (packageManagers.includes(override)) {
+    return override;
+  }
+
+  const packageJsonPath = path.join(projectRoot, "package.json");
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const { packageManager } = JSON.parse(
+        fs.readFileSync(packageJsonPath, "utf8")
+      );
+      const name = packageManager && packageManager.split("@")[0];
+      if (packageManagers.includes(name)) {
+        return name;
+      }
+    } catch (error) {
+      // An unreadable package.json is reported by the installers themselves
+    }
+  }
+
+  let dir = path.resolve(projectRoot);
+  while (true) {
+    const match = lockfiles.find(([file]) => fs.existsSync(path.join(dir, file)));
+    if (match) {
+      return match[1];
+    }
+    if (path.dirname(dir) === dir) {
+      return DEFAULT_PACKAGE_MANAGER;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Get the command builders for a project's package manager
+ * @param {string} projectRoot - Path to the project
+ * @returns {Object} - The package manager name and its command builders
+ */
+function getPackageManager(projectRoot = process.cwd()) {
+  const name = detectPackageManager(projectRoot);
+  const pm = commands[name];
+
+  return {
+    name,
+    add: (packages, { dev = false } = {}) => pm.add(packages.join(" "), dev),
+    remove: (packages) => pm.remove(packages.join(" ")),
+    run: (script, args = "") => pm.run(script, args),
+    dlx: (command) => pm.dlx(command),
+  };
+}
+
+module.exports = {
+  packageManagers,
+  setPackageManager,
+  detectPackageManager,
+  getPackageManager,
+};
@@ -0,0 +1,142 @@
+/**
+ * CLI plugins
+ *
+ * Third-party tools can add commands to the CLI. A plugin is a CommonJS
+ * module exporting a function that receives the plugin API:
+ *
+ *   module.exports = (rwsdkTools) => {
+ *     rwsdkTools.registerCommand({
+ *       name: "sentry",
+ *       description: "Set up Sentry error reporting",
+ *       includeInAll: true,
+ *       install(context) {
+ *         const script = context.copyScript(path.join(__dirname, "sentry.mjs"));
+ *         context.addScript("sentry", `node ${script}`);
+ *       },
+ *     });
+ *   };
+ *
+ * Plugins are discovered from the project's dependencies (packages named
+ * `rwsdk-tools-plugin-*` or `@scope/rwsdk-tools-plugin-*`) and from the
+ * `plugins` list in rwsdk-tools.config.json, which takes package names or
+ * paths relative to the project root.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createRequire } = require("module");
+const { loadConfig } = require("./config");
+
+const PLUGIN_PACKAGE_PATTERN = /^(@[^/]+\/)?rwsdk-tools-plugin-/;
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9:-]*$/;
+
+/**
+ * Find the plugins a project uses
+ * @param {string} projectRoot - Path to the project
+ * @returns {string[]} - Package names and paths relative to the project root
+ */
+function findPlugins(projectRoot = process.cwd()) {
+  const specifiers = [];
+
+  const packageJsonPath = path.join(projectRoot, "package.json");
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      const dependencies = {
+        ...(packageJson.dependencies || {}),
+        ...(packageJson.devDependencies || {}),
+      };
+      specifiers.push(
+        ...Object.keys(dependencies).filter((name) =>
+          PLUGIN_PACKAGE_PATTERN.test(name)
+        )
+      );
+    } catch (error) {
+      // An unreadable package.json is reported by the installers themselves
+    }
+  }
+
+  const configured = loadConfig(projectRoot).plugins || [];
+  if (!Array.isArray(configured)) {
+    throw new Error('"plugins" in rwsdk-tools.config.json must be an array');
+  }
+
+  for (const specifier of configured) {
+    if (!specifiers.includes(specifier)) {
+      specifiers.push(specifier);
+    }
+  }
+
+  return specifiers;
+}
+
+/**
+ * Check a command registered by a plugin
+ * @param {Object} command - The command
+ * @param {string[]} reservedNames - Names that are already taken
+ */
+function validateCommand(command, reservedNames) {
+  if (!command || typeof command !== "object") {
+    throw new Error("registerCommand expects a command object");
+  }
+  if (!COMMAND_NAME_PATTERN.test(command.name || "")) {
+    throw new Error(
+      `Invalid command name "${command.name}" (use lowercase letters, digits, ":" and "-")`
+    );
+  }
+  if (reservedNames.includes(command.name)) {
+    throw new Error(`The "${command.name}" command already exists`);
+  }
+  if (typeof command.install !== "function") {
+    throw new Error(`The "${command.name}" command has no install function`);
+  }
+}
+
+/**
+ * Load the plugins of a project and collect the commands they register
+ * @param {string} projectRoot - Path to the project
+ * @param {string[]} builtInCommands - Names of the built-in commands
+ * @returns {Object} - The registered commands and the plugins that failed to load
+ */
+function loadPlugins(projectRoot = process.cwd(), builtInCommands = []) {
+  const commands = [];
+  const errors = [];
+  // Resolve plugins the way the project itself would
+  const projectRequire = createRequire(path.join(projectRoot, "package.json"));
+
+  for (const specifier of findPlugins(projectRoot)) {
+    try {
+      const isPath = specifier.startsWith(".") || path.isAbsolute(specifier);
+      const plugin = projectRequire(
+        isPath ? path.resolve(projectRoot, specifier) : specifier
+      );
+      const register = typeof plugin === "function" ? plugin : plugin.default;
+      if (typeof register !== "function") {
+        throw new Error("The plugin does not export a function");
+      }
+
+      register({
+        registerCommand(command) {
+          validateCommand(command, [
+            ...builtInCommands,
+            ...commands.map((registered) => registered.name),
+          ]);
+          commands.push({
+            description: "",
+            usage: command.name,
+            includeInAll: false,
+            ...command,
+            plugin: specifier,
+          });
+        },
+      });
+    } catch (error) {
+      // Drop the require stack from "Cannot find module" errors
+      errors.push({ plugin: specifier, message: error.message.split("\n")[0] });
+    }
+  }
+
+  return { commands, errors };
+}
+
+module.exports = { findPlugins, loadPlugins };
@@ -0,0 +1,219 @@
+/**
+ * Tailwind CSS setup
+ *
+ * Adds Tailwind CSS to an RWSDK project: the import in the styles file, the
+ * Vite plugin, the stylesheet link in Document.tsx and the packages. Returns
+ * what it changed instead of printing, so it can back both the CLI and the
+ * programmatic API.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { writeFile, ensureDir, addPackages } = require("./operations");
+const { getPackageManager } = require("./packageManager");
+const { getPaths, importPath } = require("./config");
+
+const TAILWIND_PACKAGES = ["tailwindcss", "@tailwindcss/vite"];
+
+/**
+ * Check if Tailwind CSS dependencies are installed in the project
+ * @param {string} projectPath - Path to the project
+ * @returns {boolean} - Whether Tailwind dependencies are installed
+ */
+function checkTailwindInstalled(projectPath) {
+  const packageJsonPath = path.join(projectPath, "package.json");
+
+  try {
+    if (fs.existsSync(packageJsonPath)) {
+      const packageJsonContent = fs.readFileSync(packageJsonPath, "utf8");
+      const packageJson = JSON.parse(packageJsonContent);
+
+      // Check if tailwindcss and @tailwindcss/vite are in dependencies or devDependencies
+      const hasTailwindDep =
+        packageJson.dependencies && packageJson.dependencies.tailwindcss;
+      const hasTailwindDevDep =
+        packageJson.devDependencies && packageJson.devDependencies.tailwindcss;
+
+      const hasTailwindViteDep =
+        packageJson.dependencies &&
+        packageJson.dependencies["@tailwindcss/vite"];
+      const hasTailwindViteDevDep =
+        packageJson.devDependencies &&
+        packageJson.devDependencies["@tailwindcss/vite"];
+
+      // Return true if both packages are installed (in either dependencies or devDependencies)
+      return (
+        (hasTailwindDep || hasTailwindDevDep) &&
+        (hasTailwindViteDep || hasTailwindViteDevDep)
+      );
+    }
+  } catch (error) {
+    // Ignore errors when checking for tailwind
+  }
+
+  return false;
+}
+
+/**
+ * Add the Tailwind import to the styles file
+ * @param {string} stylesPath - Path to the styles file
+ * @param {string[]} changes - Collects descriptions of the changes
+ */
+function setupStyles(stylesPath, changes) {
+  ensureDir(path.dirname(stylesPath));
+
+  if (fs.existsSync(stylesPath)) {
+    // File exists, check if it already has the tailwind import
+    let stylesContent = fs.readFileSync(stylesPath, "utf8");
+
+    if (!stylesContent.includes('@import "tailwindcss"')) {
+      // Add the import at the top of the file
+      stylesContent = '@import "tailwindcss";\n' + stylesContent;
+      writeFile(stylesPath, stylesContent);
+      changes.push(
+        `Added Tailwind import to existing styles.css file at ${stylesPath}`
+      );
+    } else {
+      changes.push("Tailwind import already exists in styles.css");
+    }
+  } else {
+    // File doesn't exist, create it with just the tailwind import
+    writeFile(stylesPath, '@import "tailwindcss";');
+    changes.push(`Created styles.css file at ${stylesPath}`);
+  }
+}
+
+/**
+ * Add the Tailwind plugin to vite.config.mts
+ * @param {string} viteConfigPath - Path to vite.config.mts
+ * @param {string[]} changes - Collects descriptions of the changes
+ */
+function setupViteConfig(viteConfigPath, changes) {
+  let viteConfig = fs.readFileSync(viteConfigPath, "utf8");
+
+  // Check if tailwindcss is already imported
+  if (!viteConfig.includes("import tailwindcss from '@tailwindcss/vite'")) {
+    // Add the import statement at the top of the file
+    viteConfig = "import tailwindcss from '@tailwindcss/vite'\n" + viteConfig;
+    changes.push("Added tailwindcss import to vite.config.mts");
+  }
+
+  // Check if the environments config exists
+  if (!viteConfig.includes("environments:")) {
+    // Add the environments config
+    viteConfig = viteConfig.replace(
+      "export default defineConfig({",
+      "export default defineConfig({\n  environments: {\n    ssr: {},\n  },"
+    );
+    changes.push("Added environments config to vite.config.mts");
+  }
+
+  // Check if tailwindcss is already in the plugins array
+  if (!viteConfig.includes("tailwindcss()")) {
+    // Add tailwindcss to the plugins array
+    viteConfig = viteConfig.replace(
+      /plugins:\s*\[([^\]]*)\]/,
+      (match, plugins) => {
+        if (plugins.trim().endsWith(",")) {
+          return `plugins: [${plugins} tailwindcss()]`;
+        } else if (plugins.trim()) {
+          return `plugins: [${plugins}, tailwindcss()]`;
+        } else {
+          return `plugins: [tailwindcss()]`;
+        }
+      }
+    );
+    changes.push("Added tailwindcss to plugins array in vite.config.mts");
+  }
+
+  // Write the updated vite.config.mts file
+  writeFile(viteConfigPath, viteConfig);
+}
+
+/**
+ * Import the styles in Document.tsx and link them in the head
+ * @param {string} documentPath - Path to Document.tsx
+ * @param {string} stylesPath - Path to the styles file
+ * @param {string[]} changes - Collects descriptions of the changes
+ */
+function setupDocument(documentPath, stylesPath, changes) {
+  let documentContent = fs.readFileSync(documentPath, "utf8");
+  const stylesImport = `import styles from '${importPath(
+    documentPath,
+    stylesPath
+  )}?url'`;
+
+  // Check if styles are already imported
+  if (!documentContent.includes(stylesImport)) {
+    // Always add the import statement at the very top of the file
+    documentContent = `${stylesImport};\n\n${documentContent}`;
+    changes.push("Added styles import to Document.tsx");
+  }
+
+  // Check if the link tag is already in the head
+  if (!documentContent.includes('<link rel="stylesheet" href={styles}')) {
+    // Add the link tag to the head
+    documentContent = documentContent.replace(
+      /<head>(\s*)/,
+      '<head>$1<link rel="stylesheet" href={styles} />$1'
+    );
+    changes.push("Added stylesheet link to Document.tsx");
+  }
+
+  // Write the updated Document.tsx file
+  writeFile(documentPath, documentContent);
+}
+
+/**
+ * Set up Tailwind CSS in an RWSDK project
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project
+ * @param {boolean} options.installPackages - Install missing packages (default true)
+ * @param {string} options.stdio - stdio of the package manager, e.g. "inherit" (default "pipe")
+ * @returns {Object} - The changes made and the state of the Tailwind packages
+ */
+function setupTailwind({
+  cwd = process.cwd(),
+  installPackages = true,
+  stdio = "pipe",
+} = {}) {
+  const targetPath = path.resolve(cwd);
+  const paths = getPaths(targetPath);
+  const viteConfigPath = path.join(targetPath, "vite.config.mts");
+  const documentPath = path.join(targetPath, paths.document);
+  const stylesPath = path.join(targetPath, paths.styles);
+
+  if (!fs.existsSync(viteConfigPath)) {
+    throw new Error(`vite.config.mts not found at ${viteConfigPath}`);
+  }
+  if (!fs.existsSync(documentPath)) {
+    throw new Error(`Document.tsx not found at ${documentPath}`);
+  }
+
+  const changes = [];
+  setupStyles(stylesPath, changes);
+  setupViteConfig(viteConfigPath, changes);
+  setupDocument(documentPath, stylesPath, changes);
+
+  const dependencies = {
+    packages: TAILWIND_PACKAGES,
+    command: getPackageManager(targetPath).add(TAILWIND_PACKAGES),
+    alreadyInstalled: Boolean(checkTailwindInstalled(targetPath)),
+    installed: false,
+    error: null,
+  };
+
+  if (!dependencies.alreadyInstalled && installPackages) {
+    try {
+      // Install as regular dependencies (not dev dependencies)
+      addPackages(TAILWIND_PACKAGES, { cwd: targetPath, stdio });
+      dependencies.installed = true;
+    } catch (error) {
+      dependencies.error = error;
+    }
+  }
+
+  return { changes, dependencies };
+}
+
+module.exports = { setupTailwind, checkTailwindInstalled };
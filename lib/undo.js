@@ -0,0 +1,154 @@
+/**
+ * Undo command
+ *
+ * Reverts the changes recorded in the install journal for a run: restores
+ * overwritten files, deletes created files and directories, resets
+ * package.json scripts and removes added packages.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { listRuns, markUndone, saveEntries } = require("./journal");
+const { getPackageManager } = require("./packageManager");
+const {
+  isDryRun,
+  writeFile,
+  removeFile,
+  removeEmptyDir,
+  runCommand,
+} = require("./operations");
+
+/**
+ * Find the run to undo
+ * @param {string|undefined} runId - Id of the run, or undefined for the last run
+ * @param {string} projectRoot - Path to the project
+ * @returns {Object} - The journal of the run
+ */
+function findRun(runId, projectRoot) {
+  const runs = listRuns(projectRoot);
+
+  if (runId) {
+    const run = runs.find((journal) => journal.id === runId);
+    if (!run) {
+      throw new Error(`No journaled run named ${runId}`);
+    }
+    if (run.undoneAt) {
+      throw new Error(`Run ${runId} was already undone at ${run.undoneAt}`);
+    }
+    return run;
+  }
+
+  const lastRun = runs.find((journal) => !journal.undoneAt);
+  if (!lastRun) {
+    throw new Error("There are no runs left to undo");
+  }
+  return lastRun;
+}
+
+/**
+ * Reset a package.json script to its previous command
+ * @param {string} projectRoot - Path to the project
+ * @param {Object} entry - The journaled script change
+ */
+function restoreScript(projectRoot, entry) {
+  const packageJsonPath = path.join(projectRoot, "package.json");
+  if (!fs.existsSync(packageJsonPath)) {
+    return;
+  }
+
+  const packageJsonContent = fs.readFileSync(packageJsonPath, "utf8");
+  const packageJson = JSON.parse(packageJsonContent);
+  const scripts = packageJson.scripts || {};
+
+  if (entry.previousCommand === null) {
+    delete scripts[entry.name];
+  } else {
+    scripts[entry.name] = entry.previousCommand;
+  }
+  packageJson.scripts = scripts;
+
+  // Same spacing detection as addScriptToPackageJson in install.js
+  const spacing = packageJsonContent.includes('  "')
+    ? 2
+    : packageJsonContent.includes('    "')
+    ? 4
+    : 2;
+  writeFile(packageJsonPath, JSON.stringify(packageJson, null, spacing), {
+    journal: false,
+  });
+}
+
+/**
+ * Revert a single journal entry
+ * @param {string} projectRoot - Path to the project
+ * @param {Object} entry - The journaled change
+ * @returns {string} - Description of what was reverted
+ */
+function revertEntry(projectRoot, entry) {
+  switch (entry.type) {
+    case "packages":
+      runCommand(getPackageManager(projectRoot).remove(entry.packages), {
+        cwd: projectRoot,
+        stdio: "inherit",
+      });
+      return `Removed packages: ${entry.packages.join(", ")}`;
+    case "script":
+      restoreScript(projectRoot, entry);
+      return entry.previousCommand === null
+        ? `Removed '${entry.name}' script from package.json`
+        : `Restored '${entry.name}' script in package.json`;
+    case "file": {
+      const filePath = path.join(projectRoot, entry.path);
+      if (entry.previousContent === null) {
+        removeFile(filePath, { journal: false });
+        return `Deleted ${entry.path}`;
+      }
+      writeFile(filePath, entry.previousContent, { journal: false });
+      return `Restored ${entry.path}`;
+    }
+    case "directory":
+      return removeEmptyDir(path.join(projectRoot, entry.path))
+        ? `Deleted directory ${entry.path}`
+        : `Kept directory ${entry.path} (not empty)`;
+    default:
+      return `Skipped unknown change type: ${entry.type}`;
+  }
+}
+
+/**
+ * Undo a journaled run. The run is only marked as undone when every change
+ * was reverted; otherwise its journal keeps the changes that failed, so
+ * running undo again retries just those.
+ * @param {string|undefined} runId - Id of the run, or undefined for the last run
+ * @param {string} projectRoot - Path to the project
+ * @returns {Object} - `{ run, reverted, failed }`: the run, a description of
+ *   each reverted change and of each change that could not be reverted
+ */
+function undoRun(runId, projectRoot = process.cwd()) {
+  const run = findRun(runId, projectRoot);
+  const reverted = [];
+  const failed = [];
+  const failedEntries = [];
+
+  // Revert in reverse order so later changes are peeled off first
+  for (const entry of [...run.entries].reverse()) {
+    try {
+      reverted.push(revertEntry(projectRoot, entry));
+    } catch (error) {
+      failed.push(`Failed to revert ${entry.type} change: ${error.message}`);
+      failedEntries.unshift(entry);
+    }
+  }
+
+  if (!isDryRun()) {
+    if (failed.length === 0) {
+      markUndone(run, projectRoot);
+    } else {
+      saveEntries(run, failedEntries, projectRoot);
+    }
+  }
+
+  return { run, reverted, failed };
+}
+
+module.exports = { undoRun, listRuns };
@@ -0,0 +1,192 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as path from 'path';
+import { createPlopProject, type PlopProject } from './plopProject';
+
+const componentDir = 'src/app/components/ui/Button';
+
+let project: PlopProject;
+
+beforeEach(() => {
+  project = createPlopProject({
+    [`${componentDir}/Button.tsx`]: [
+      'export interface ButtonProps {',
+      '  label: string;',
+      '}',
+      '',
+      'export const Button = ({ label }: ButtonProps) => {',
+      '  const labels = { Button: label };',
+      '  return <button title="Button">{labels.Button}</button>;',
+      '};',
+      '',
+    ].join('\n'),
+    [`${componentDir}/index.ts`]: 'export { Button } from "./Button";\nexport type { ButtonProps } from "./Button";\n',
+    [`${componentDir}/Button.stories.tsx`]: [
+      'import type { Meta } from "@storybook/react";',
+      'import { Button } from "./Button";',
+      '',
+      'const meta = { title: "ui/Button", component: Button } satisfies Meta<typeof Button>;',
+      'export default meta;',
+      '',
+    ].join('\n'),
+    [`${componentDir}/Button.test.tsx`]: [
+      'import { Button } from "./Button";',
+      '',
+      'describe("Button", () => {',
+      '  it("renders the Button label", () => {',
+      '    render(<Button label="Save" />);',
+      '  });',
+      '});',
+      '',
+    ].join('\n'),
+    'src/app/pages/Home.tsx': [
+      'import { Button, type ButtonProps } from "@/app/components/ui/Button";',
+      'import { Button as Primary } from "../components/ui/Button/Button";',
+      '',
+      'export { Button } from "../components/ui/Button";',
+      '',
+      'const props: ButtonProps = { label: "Button" };',
+      '',
+      'function Label({ Button }: { Button: string }) {',
+      '  return <span>{Button}</span>;',
+      '}',
+      '',
+      'export const Home = () => (',
+      '  <>',
+      '    <Button {...props} />',
+      '    <Primary label="Primary" />',
+      '    <Label Button="text" />',
+      '  </>',
+      ');',
+      '',
+    ].join('\n'),
+  });
+});
+
+afterEach(() => {
+  project.remove();
+});
+
+describe('component:rename', () => {
+  const newDir = 'src/app/components/ui/PrimaryButton';
+
+  it('renames the files, the component and its props', () => {
+    const result = project.plop('component:rename', 'ui/Button', 'PrimaryButton');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(project.exists(componentDir), false);
+    assert.equal(
+      project.read(`${newDir}/PrimaryButton.tsx`),
+      [
+        'export interface PrimaryButtonProps {',
+        '  label: string;',
+        '}',
+        '',
+        'export const PrimaryButton = ({ label }: PrimaryButtonProps) => {',
+        // Object keys and strings are not references to the component
+        '  const labels = { Button: label };',
+        '  return <button title="Button">{labels.Button}</button>;',
+        '};',
+        '',
+      ].join('\n')
+    );
+    assert.equal(
+      project.read(`${newDir}/index.ts`),
+      'export { PrimaryButton } from "./PrimaryButton";\nexport type { PrimaryButtonProps } from "./PrimaryButton";\n'
+    );
+  });
+
+  it('renames the story title and the describe() name, not other strings', () => {
+    const result = project.plop('component:rename', 'ui/Button', 'PrimaryButton');
+    assert.equal(result.status, 0, result.stderr);
+
+    const story = project.read(`${newDir}/PrimaryButton.stories.tsx`);
+    assert.match(story, /import \{ PrimaryButton \} from "\.\/PrimaryButton";/);
+    assert.match(story, /title: "ui\/PrimaryButton", component: PrimaryButton \} satisfies Meta<typeof PrimaryButton>/);
+
+    assert.equal(
+      project.read(`${newDir}/PrimaryButton.test.tsx`),
+      [
+        'import { PrimaryButton } from "./PrimaryButton";',
+        '',
+        'describe("PrimaryButton", () => {',
+        '  it("renders the Button label", () => {',
+        '    render(<PrimaryButton label="Save" />);',
+        '  });',
+        '});',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('renames the imports of the component but keeps other bindings and exported names', () => {
+    const result = project.plop('component:rename', 'ui/Button', 'PrimaryButton');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(
+      project.read('src/app/pages/Home.tsx'),
+      [
+        'import { PrimaryButton, type PrimaryButtonProps } from "@/app/components/ui/PrimaryButton";',
+        // An alias keeps its local name
+        'import { PrimaryButton as Primary } from "../components/ui/PrimaryButton/PrimaryButton";',
+        '',
+        // Re-exports keep the name other modules import
+        'export { PrimaryButton as Button } from "../components/ui/PrimaryButton";',
+        '',
+        'const props: PrimaryButtonProps = { label: "Button" };',
+        '',
+        // A parameter named like the component is a different binding
+        'function Label({ Button }: { Button: string }) {',
+        '  return <span>{Button}</span>;',
+        '}',
+        '',
+        'export const Home = () => (',
+        '  <>',
+        '    <PrimaryButton {...props} />',
+        '    <Primary label="Primary" />',
+        '    <Label Button="text" />',
+        '  </>',
+        ');',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('previews the rename with --dry-run and can be undone', () => {
+    const before = project.read('src/app/pages/Home.tsx');
+
+    const dryRun = project.plop('component:rename', 'ui/Button', 'PrimaryButton', '--dry-run');
+    assert.equal(dryRun.status, 0, dryRun.stderr);
+    assert.match(dryRun.stdout, /\[dry-run\].* Move src\/app\/components\/ui\/Button\/Button\.tsx to src\/app\/components\/ui\/PrimaryButton\/PrimaryButton\.tsx/);
+    assert.ok(project.exists(`${componentDir}/Button.tsx`));
+    assert.equal(project.read('src/app/pages/Home.tsx'), before);
+
+    assert.equal(project.plop('component:rename', 'ui/Button', 'PrimaryButton').status, 0);
+    const undo = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'install.js'), 'undo'], {
+      cwd: project.root,
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+    assert.equal(undo.status, 0, undo.stderr);
+
+    assert.equal(project.exists(newDir), false);
+    assert.ok(project.exists(`${componentDir}/Button.tsx`));
+    assert.equal(project.read('src/app/pages/Home.tsx'), before);
+  });
+});
+
+describe('component:move', () => {
+  it('updates the import paths and keeps the names', () => {
+    const result = project.plop('component:move', 'ui/Button', 'forms');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(project.exists(componentDir), false);
+    assert.match(project.read('src/app/components/forms/Button/Button.tsx'), /export const Button = /);
+
+    const home = project.read('src/app/pages/Home.tsx');
+    assert.match(home, /import \{ Button, type ButtonProps \} from "@\/app\/components\/forms\/Button";/);
+    assert.match(home, /import \{ Button as Primary \} from "\.\.\/components\/forms\/Button\/Button";/);
+    assert.match(home, /export \{ Button \} from "\.\.\/components\/forms\/Button";/);
+  });
+});
@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// lib/ is untyped CommonJS
+const {
+  copiedScripts,
+  copyStampedScript,
+  inspectCopiedScript,
+  readStamp,
+  stampScript,
+} = require('../lib/copiedScripts');
+const { version } = require('../package.json');
+
+const installJs = path.resolve(__dirname, '..', 'install.js');
+const merge = copiedScripts.find((entry: { tool: string }) => entry.tool === 'merge');
+const source = fs.readFileSync(merge.source, 'utf8');
+
+let projectRoot: string;
+let scriptPath: string;
+
+// A copy stamped by an older version, optionally edited after copying
+const olderCopy = (body: string, editedBody = body) =>
+  stampScript(body).replace(`rwsdk-tools ${version} `, 'rwsdk-tools 0.1.0 ').replace(body, editedBody);
+
+beforeEach(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rwsdk-tools-scripts-'));
+  scriptPath = path.join(projectRoot, 'src', 'scripts', merge.file);
+  fs.mkdirSync(path.dirname(scriptPath), { recursive: true });
+  fs.writeFileSync(
+    path.join(projectRoot, 'package.json'),
+    JSON.stringify({ name: 'scripts', scripts: { merge: `node src/scripts/${merge.file}` } })
+  );
+});
+
+afterEach(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('stamps', () => {
+  it('puts the stamp after the shebang and reads it back', () => {
+    const body = '#!/usr/bin/env node\nconsole.log("merge");\n';
+    const stamped = stampScript(body);
+    const [shebang, stamp] = stamped.split('\n');
+
+    assert.equal(shebang, '#!/usr/bin/env node');
+    assert.match(
+      stamp,
+      new RegExp(`^// Copied by rwsdk-tools ${version.replace(/\./g, '\\.')} \\(sha256:[0-9a-f]{16}\\)\\. Update with \`npx rwsdk-tools update\`\\.$`)
+    );
+
+    const read = readStamp(stamped);
+    assert.equal(read.version, version);
+    assert.equal(read.body, body);
+  });
+
+  it('puts the stamp first in a script without a shebang', () => {
+    const stamped = stampScript('export {};\n');
+
+    assert.match(stamped, /^\/\/ Copied by rwsdk-tools .*\nexport \{\};\n$/);
+    assert.equal(readStamp('export {};\n'), null);
+  });
+
+  it('copies a script with the stamp', () => {
+    copyStampedScript(merge.source, scriptPath);
+
+    assert.equal(fs.readFileSync(scriptPath, 'utf8'), stampScript(source));
+  });
+});
+
+describe('inspectCopiedScript', () => {
+  const inspect = () => inspectCopiedScript(projectRoot, 'src/scripts', merge);
+
+  it('reports a missing copy', () => {
+    fs.rmSync(scriptPath, { force: true });
+
+    assert.equal(inspect().status, 'missing');
+  });
+
+  it('reports a copy of this version as current', () => {
+    copyStampedScript(merge.source, scriptPath);
+
+    const copy = inspect();
+    assert.equal(copy.status, 'current');
+    assert.equal(copy.edited, false);
+  });
+
+  it('reports a copy of an older version as outdated', () => {
+    fs.writeFileSync(scriptPath, olderCopy('console.log("old merge");\n'));
+
+    const copy = inspect();
+    assert.equal(copy.status, 'outdated');
+    assert.equal(copy.stamp.version, '0.1.0');
+    assert.equal(copy.edited, false);
+    assert.equal(copy.latestContent, stampScript(source));
+  });
+
+  it('tells a copy edited by hand from its stamp', () => {
+    fs.writeFileSync(scriptPath, olderCopy('console.log("old merge");\n', 'console.log("my merge");\n'));
+
+    assert.equal(inspect().edited, true);
+  });
+
+  it("can't tell whether an unstamped copy was edited unless it matches the source", () => {
+    fs.writeFileSync(scriptPath, source);
+    assert.deepEqual([inspect().status, inspect().edited], ['outdated', false]);
+
+    fs.writeFileSync(scriptPath, 'console.log("old merge");\n');
+    assert.deepEqual([inspect().status, inspect().edited], ['outdated', null]);
+  });
+});
+
+describe('update command', () => {
+  const cli = (...args: string[]) =>
+    spawnSync(process.execPath, [installJs, 'update', ...args], {
+      cwd: projectRoot,
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+
+  it('replaces an outdated copy, and undo restores it', () => {
+    const oldCopy = olderCopy('console.log("old merge");\n');
+    fs.writeFileSync(scriptPath, oldCopy);
+
+    const dryRun = cli('--dry-run');
+    assert.equal(dryRun.status, 0, dryRun.stderr);
+    assert.match(dryRun.stdout, /src\/scripts\/mergePrismaSchema\.mjs.* \(0\.1\.0 -> /);
+    assert.equal(fs.readFileSync(scriptPath, 'utf8'), oldCopy);
+
+    const result = cli();
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Updated 1 script/);
+    assert.equal(fs.readFileSync(scriptPath, 'utf8'), stampScript(source));
+
+    assert.match(cli().stdout, /mergePrismaSchema\.mjs is up to date/);
+
+    const undo = spawnSync(process.execPath, [installJs, 'undo'], {
+      cwd: projectRoot,
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+    assert.equal(undo.status, 0, undo.stderr);
+    assert.equal(fs.readFileSync(scriptPath, 'utf8'), oldCopy);
+  });
+
+  it('warns before replacing a copy edited by hand', () => {
+    fs.writeFileSync(scriptPath, olderCopy('console.log("old merge");\n', 'console.log("my merge");\n'));
+
+    const result = cli('merge');
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout + result.stderr, /was edited by hand/);
+    assert.equal(fs.readFileSync(scriptPath, 'utf8'), stampScript(source));
+  });
+
+  it('rejects unknown tools', () => {
+    const result = cli('lint');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown tool: lint/);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as path from 'path';
+
+// lib/ is untyped CommonJS
+const { runDoctor } = require('../lib/doctor');
+
+type Finding = { severity: string; tool: string; message: string; fix: string | null };
+
+const fixture = (name: string) => path.resolve(__dirname, 'fixtures', 'doctor', name);
+const installJs = path.resolve(__dirname, '..', 'install.js');
+
+const installedTools = (tools: Array<{ name: string; installed: boolean }>) =>
+  tools.filter(tool => tool.installed).map(tool => tool.name);
+
+describe('runDoctor', () => {
+  it('has no findings for a healthy project', () => {
+    const { tools, findings } = runDoctor(fixture('healthy'));
+
+    assert.deepEqual(installedTools(tools), ['tailwind', 'routes']);
+    assert.deepEqual(findings, []);
+  });
+
+  it('reports Tailwind that is installed but not wired up', () => {
+    const { tools, findings } = runDoctor(fixture('missing-tailwind'));
+
+    assert.deepEqual(installedTools(tools), ['tailwind']);
+    assert.deepEqual(
+      findings.map(({ severity, tool, message, fix }: Finding) => [severity, tool, message, fix]),
+      [
+        ['error', 'tailwind', 'vite.config.mts does not import @tailwindcss/vite', 'npx rwsdk-tools tailwind'],
+        ['error', 'tailwind', 'tailwindcss() is missing from the plugins array in vite.config.mts', 'npx rwsdk-tools tailwind'],
+        ['error', 'tailwind', 'src/app/Document.tsx does not import ./styles.css?url', 'npx rwsdk-tools tailwind'],
+        ['error', 'tailwind', 'src/app/Document.tsx does not link the stylesheet in <head>', 'npx rwsdk-tools tailwind'],
+      ]
+    );
+  });
+
+  it('reports a copied script from an older version', () => {
+    const { tools, findings } = runDoctor(fixture('outdated-script'));
+
+    assert.deepEqual(installedTools(tools), ['merge']);
+    assert.deepEqual(findings, [
+      {
+        severity: 'warning',
+        tool: 'merge',
+        message: 'src/scripts/mergePrismaSchema.mjs is outdated (copied by rwsdk-tools 0.1.0)',
+        fix: 'npx rwsdk-tools update',
+      },
+    ]);
+  });
+
+  it('reports a project without package.json', () => {
+    const { findings } = runDoctor(fixture('healthy/src'));
+
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].severity, 'error');
+    assert.match(findings[0].message, /package\.json not found/);
+  });
+});
+
+describe('doctor CLI', () => {
+  const doctor = (name: string) =>
+    spawnSync(process.execPath, [installJs, 'doctor'], {
+      cwd: fixture(name),
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+
+  it('exits with a non-zero status when there are errors', () => {
+    const result = doctor('missing-tailwind');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stdout + result.stderr, /tailwindcss\(\) is missing from the plugins array/);
+  });
+
+  it('exits with status 0 for warnings only', () => {
+    const result = doctor('outdated-script');
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout + result.stderr, /mergePrismaSchema\.mjs is outdated/);
+  });
+});
@@ -0,0 +1,36 @@
+import { defineApp } from "rwsdk/worker";
+import { route } from "rwsdk/router";
+
+export default defineApp([
+  route("/api/status", () => new Response("ok")),
+  route("/api/posts", ({ request }) => {
+    if (request.method === "POST") {
+      return new Response(null, { status: 201 });
+    }
+    return Response.json([]);
+  }),
+  route("/api/session", ({ request }) => {
+    if (request.method !== "DELETE") {
+      return new Response(null, { status: 405 });
+    }
+    return new Response(null, { status: 204 });
+  }),
+  route("/api/users", ({ request }) => {
+    if (request.method === "POST") {
+      return new Response(null, { status: 201 });
+    }
+    if (request.method === "PUT") {
+      return new Response(null, { status: 204 });
+    }
+    return new Response(null, { status: 405 });
+  }),
+  route("/api/items", ({ request }) => {
+    switch (request.method) {
+      case "PATCH":
+        return new Response(null, { status: 204 });
+      default:
+        return Response.json([]);
+    }
+  }),
+  route("/api/tags", { get: listTags, post: createTag }),
+]);
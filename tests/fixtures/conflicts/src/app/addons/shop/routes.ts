@@ -0,0 +1,3 @@
+import { route } from "rwsdk/router";
+
+export const shopRoutes = [route("/cart", Cart)];
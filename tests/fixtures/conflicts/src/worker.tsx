@@ -0,0 +1,15 @@
+import { defineApp } from "rwsdk/worker";
+import { render, route, prefix } from "rwsdk/router";
+import { shopRoutes } from "./app/addons/shop/routes";
+import { storeRoutes } from "./app/addons/store/routes";
+
+export default defineApp([
+  render(Document, [
+    route("/users/:id", User),
+    route("/users/new", NewUser),
+    route("/about", About),
+    route("/about", AboutAgain),
+    prefix("/shop", shopRoutes),
+    prefix("/shop", storeRoutes),
+  ]),
+]);
@@ -0,0 +1,10 @@
+export function Home() {
+  return (
+    <nav>
+      <a href="/about">About</a>
+      <a href="/abuot">About</a>
+      <a href="/downloads/report">Report</a>
+      <a href="/files/guide.pdf">Guide</a>
+    </nav>
+  );
+}
@@ -0,0 +1,11 @@
+import { defineApp } from "rwsdk/worker";
+import { render, route, index } from "rwsdk/router";
+import { Document } from "./app/Document";
+import { Home } from "./app/pages/Home";
+
+export default defineApp([
+  render(Document, [
+    index([Home]),
+    route("/about", About),
+  ]),
+]);
@@ -0,0 +1,3 @@
+import { defineLinks } from "rwsdk/router";
+
+export const link = defineLinks(["/"]);
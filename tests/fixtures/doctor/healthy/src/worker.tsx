@@ -0,0 +1,5 @@
+import { defineApp } from "rwsdk/worker";
+import { render, route } from "rwsdk/router";
+import { Document } from "@/app/Document";
+
+export default defineApp([render(Document, [route("/", () => <h1>Home</h1>)])]);
@@ -0,0 +1,10 @@
+import tailwindcss from '@tailwindcss/vite'
+import { defineConfig } from "vite";
+import { redwood } from "rwsdk/vite";
+
+export default defineConfig({
+  environments: {
+    ssr: {},
+  },
+  plugins: [redwood(), tailwindcss()],
+});
@@ -0,0 +1,6 @@
+import { defineConfig } from "vite";
+import { redwood } from "rwsdk/vite";
+
+export default defineConfig({
+  plugins: [redwood()],
+});
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Copied by rwsdk-tools 0.1.0 (sha256:7d5f9281e019a313). Update with `npx rwsdk-tools update`.
+
+// mergePrismaSchema.mjs as copied by an older rwsdk-tools
+console.log("Merging prisma/schema/*.prisma");
@@ -0,0 +1,3 @@
+import { route } from "rwsdk/router";
+
+export const userRoutes = [route("/login", Login), route("/:id/files/*", Files)];
@@ -0,0 +1,17 @@
+import { defineApp } from "rwsdk/worker";
+import { render, route, prefix, index, layout } from "rwsdk/router";
+import { userRoutes } from "./app/pages/user/routes";
+
+const API = "/api";
+
+export default defineApp([
+  render(Document, [
+    index([Home]),
+    route("/about", About),
+    layout(AppLayout, [route(`/blog/:slug?`, BlogPost)]),
+    prefix("/user", userRoutes),
+    route(`${API}/status`, () => new Response("ok")),
+    route(API + "/users", { get: listUsers, post: createUser }),
+    route(dynamicPath, Unknown),
+  ]),
+]);
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  checkLinks,
+  findDeadLinks,
+  generateLinks,
+  getRouteParams,
+  listRoutes,
+  RouteConflictError,
+} from '../tools/generateRoutes/generateRoutes';
+
+// lib/ is untyped CommonJS
+const { createUnifiedDiff } = require('../lib/diff');
+
+const fixture = (name: string) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+describe('listRoutes', () => {
+  it('extracts the routes in declaration order, through prefixes, layouts and imported arrays', async () => {
+    const { routes, conflicts } = await listRoutes({ cwd: fixture('routes') });
+
+    assert.deepEqual(
+      routes.map(route => route.path),
+      ['/', '/about', '/blog/:slug?', '/user/login', '/user/:id/files/*', '/api/status', '/api/users']
+    );
+    assert.deepEqual(conflicts, []);
+  });
+
+  it('records where each route is declared and what handles it', async () => {
+    const cwd = fixture('routes');
+    const { routes } = await listRoutes({ cwd });
+    const byPath = new Map(routes.map(route => [route.path, route]));
+
+    const login = byPath.get('/user/login')!;
+    assert.equal(path.relative(cwd, login.file), path.join('src', 'app', 'pages', 'user', 'routes.ts'));
+    assert.equal(login.line, 3);
+    assert.equal(login.handler, 'Login');
+    assert.deepEqual(login.prefixes, ['/user']);
+
+    assert.equal(byPath.get('/')!.handler, 'Home');
+    assert.equal(byPath.get('/about')!.methods, null);
+    assert.deepEqual(byPath.get('/api/status')!.methods, ['GET']);
+    assert.deepEqual(byPath.get('/api/users')!.methods, ['GET', 'POST']);
+  });
+
+  it('finds the HTTP methods of API handlers, including GET when a handler falls through', async () => {
+    const { routes } = await listRoutes({ cwd: fixture('api-methods') });
+
+    assert.deepEqual(
+      Object.fromEntries(routes.map(route => [route.path, route.methods])),
+      {
+        '/api/status': ['GET'],
+        '/api/posts': ['GET', 'POST'],
+        '/api/session': ['DELETE'],
+        '/api/users': ['POST', 'PUT'],
+        '/api/items': ['GET', 'PATCH'],
+        '/api/tags': ['GET', 'POST'],
+      }
+    );
+  });
+
+  it('warns about route paths that are not constant strings', async () => {
+    const { warnings } = await listRoutes({ cwd: fixture('routes') });
+
+    assert.deepEqual(warnings, ['Skipped a route whose path is not a constant string (src/worker.tsx:15)']);
+  });
+
+  it('reports duplicate, shadowed and colliding addon routes', async () => {
+    const { conflicts } = await listRoutes({ cwd: fixture('conflicts') });
+
+    assert.deepEqual(conflicts, [
+      '/about is declared more than once (src/worker.tsx:10, src/worker.tsx:11)',
+      '/users/new (src/worker.tsx:9) is never reached: /users/:id (src/worker.tsx:8) is declared before it and matches it',
+      'Addons "shop" and "store" are mounted at the same prefix /shop (src/app/addons/shop/routes.ts:3, src/app/addons/store/routes.ts:3)',
+    ]);
+  });
+});
+
+describe('getRouteParams', () => {
+  it('has no params for a static path', () => {
+    assert.deepEqual(getRouteParams('/about'), []);
+  });
+
+  it('parses required and optional params', () => {
+    assert.deepEqual(getRouteParams('/users/:id/posts/:slug?'), [
+      { name: 'id', optional: false },
+      { name: 'slug', optional: true },
+    ]);
+  });
+
+  it('names wildcards $0, $1, ...', () => {
+    assert.deepEqual(getRouteParams('/files/:bucket/*/versions/*'), [
+      { name: 'bucket', optional: false },
+      { name: '$0', optional: false },
+      { name: '$1', optional: false },
+    ]);
+  });
+});
+
+describe('checkLinks', () => {
+  it('renders the params of each route in the links file', async () => {
+    const { upToDate, diff } = await checkLinks({ cwd: fixture('routes'), createDiff: createUnifiedDiff });
+
+    assert.equal(upToDate, false);
+    assert.match(diff, /^\+ {2}"\/blog\/:slug\?": \{ slug\?: string \};$/m);
+    assert.match(diff, /^\+ {2}"\/user\/:id\/files\/\*": \{ id: string; \$0: string \};$/m);
+    assert.match(diff, /^\+ {2}"\/about": Record<string, never>;$/m);
+  });
+
+  it('reports every outdated generated file: links, API client, manifest and sitemap', async () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rwsdk-tools-check-'));
+    try {
+      fs.cpSync(fixture('routes'), cwd, { recursive: true });
+      fs.writeFileSync(
+        path.join(cwd, 'rwsdk-tools.config.json'),
+        JSON.stringify({ routes: { sitemap: { baseUrl: 'https://example.com' } } })
+      );
+      const { apiPath, manifestPath, sitemapPath } = await generateLinks({ cwd });
+      assert.equal((await checkLinks({ cwd })).upToDate, true);
+
+      for (const file of [apiPath!, manifestPath!, sitemapPath!]) {
+        fs.appendFileSync(file, '\n');
+      }
+      const { upToDate, outdatedPaths, diff } = await checkLinks({ cwd, createDiff: createUnifiedDiff });
+
+      assert.equal(upToDate, false);
+      assert.deepEqual(outdatedPaths, [apiPath, manifestPath, sitemapPath]);
+      assert.match(diff, /^\+\+\+ b\/src\/app\/shared\/api\.ts$/m);
+      assert.match(diff, /^\+\+\+ b\/src\/app\/shared\/routes\.manifest\.json$/m);
+      assert.match(diff, /^\+\+\+ b\/public\/sitemap\.xml$/m);
+    } finally {
+      fs.rmSync(cwd, { recursive: true, force: true });
+    }
+  });
+
+  it('fails on route conflicts', async () => {
+    await assert.rejects(checkLinks({ cwd: fixture('conflicts') }), (error: unknown) => {
+      assert.ok(error instanceof RouteConflictError);
+      assert.equal(error.conflicts.length, 3);
+      return true;
+    });
+  });
+});
+
+describe('findDeadLinks', () => {
+  it('reports hrefs no route serves and skips assets, such as those in the default Document.tsx', async () => {
+    const cwd = fixture('dead-links');
+    const { deadLinks, warnings } = await findDeadLinks({ cwd });
+
+    assert.deepEqual(
+      deadLinks.map(({ target, kind, file, line }) => ({ target, kind, file: path.relative(cwd, file), line })),
+      [{ target: '/abuot', kind: 'href', file: path.join('src', 'app', 'pages', 'Home.tsx'), line: 5 }]
+    );
+    assert.deepEqual(warnings, []);
+  });
+});
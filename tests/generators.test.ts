@@ -0,0 +1,97 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ts from 'typescript';
+import { createPlopProject, type PlopProject } from './plopProject';
+
+let project: PlopProject;
+
+before(() => {
+  project = createPlopProject();
+});
+
+after(() => {
+  project.remove();
+});
+
+// The generated files have to parse, even before the user fills them in
+const assertParses = (file: string) => {
+  const { diagnostics = [] } = ts.transpileModule(project.read(file), {
+    fileName: file,
+    reportDiagnostics: true,
+    compilerOptions: { jsx: ts.JsxEmit.ReactJSX },
+  });
+  assert.deepEqual(
+    diagnostics.map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')),
+    [],
+    `${file} does not parse`
+  );
+};
+
+describe('server-function generator', () => {
+  it('writes a "use server" module and a client call site', () => {
+    const result = project.plop('server-function', 'todos', 'createTodo, deleteTodo');
+    assert.equal(result.status, 0, result.stderr);
+
+    const functions = project.read('src/app/pages/todos/functions.ts');
+    // "use server" has to be the first statement
+    assert.match(functions, /^"use server";\n/);
+    assert.match(functions, /export interface CreateTodoInput \{/);
+    assert.match(functions, /export async function createTodo\(input: CreateTodoInput\)/);
+    assert.match(functions, /export async function deleteTodo\(input: DeleteTodoInput\)/);
+    assertParses('src/app/pages/todos/functions.ts');
+
+    const callSite = project.read('src/app/pages/todos/TodosActions.tsx');
+    assert.match(callSite, /^"use client";\n/);
+    assert.match(callSite, /import \{ createTodo, deleteTodo \} from "\.\/functions";/);
+    assert.match(callSite, /export function TodosActions\(\)/);
+    assert.match(callSite, /setResult\(await deleteTodo\(\{\}\)\);/);
+    assertParses('src/app/pages/todos/TodosActions.tsx');
+  });
+
+  it('takes a directory and defaults the function to create<Name>', () => {
+    const result = project.plop('server-function', 'billing', '_', 'src/app/billing');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.match(
+      project.read('src/app/billing/functions.ts'),
+      /export async function createBilling\(input: CreateBillingInput\)/
+    );
+    assert.ok(project.exists('src/app/billing/BillingActions.tsx'));
+  });
+
+  it('rejects function names that are not camelCase', () => {
+    const result = project.plop('server-function', 'orders', 'CreateOrder');
+
+    assert.match(result.stdout + result.stderr, /Server functions must be camelCase names/);
+    assert.equal(project.exists('src/app/pages/orders'), false);
+  });
+});
+
+describe('client-component generator', () => {
+  it('writes a "use client" component that defers browser-only content', () => {
+    const result = project.plop('client-component', 'ThemeToggle');
+    assert.equal(result.status, 0, result.stderr);
+
+    const component = project.read('src/app/components/ThemeToggle/ThemeToggle.tsx');
+    assert.match(component, /^"use client";\n/);
+    assert.match(component, /export const ThemeToggle: FC<ThemeToggleProps>/);
+    assert.match(component, /useEffect\(\(\) => \{\n\s*setMounted\(true\);/);
+    assert.match(project.read('src/app/components/ThemeToggle/index.ts'), /export \{ ThemeToggle \} from "\.\/ThemeToggle";/);
+    assertParses('src/app/components/ThemeToggle/ThemeToggle.tsx');
+  });
+
+  it('writes a single file with --file', () => {
+    const result = project.plop('client-component', 'Clock', '--file');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.ok(project.exists('src/app/components/Clock.tsx'));
+    assert.equal(project.exists('src/app/components/Clock'), false);
+  });
+
+  it('rejects names that are not PascalCase', () => {
+    const result = project.plop('client-component', 'themeToggle');
+
+    assert.match(result.stdout + result.stderr, /Component name must be PascalCase/);
+    assert.equal(project.exists('src/app/components/themeToggle'), false);
+  });
+});
@@ -0,0 +1,134 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createPlopProject, type PlopProject } from './plopProject';
+
+// lib/ is untyped CommonJS
+const { isInteractive, loadConfig, setAssumeYes } = require('../lib/config');
+
+const installJs = path.resolve(__dirname, '..', 'install.js');
+
+let projectRoot: string;
+
+const writeConfig = (config: unknown) =>
+  fs.writeFileSync(
+    path.join(projectRoot, 'rwsdk-tools.config.json'),
+    typeof config === 'string' ? config : JSON.stringify(config)
+  );
+
+const cli = (...args: string[]) =>
+  spawnSync(process.execPath, [installJs, ...args], {
+    cwd: projectRoot,
+    encoding: 'utf8',
+    input: '',
+    timeout: 30000,
+  });
+
+beforeEach(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rwsdk-tools-yes-'));
+  fs.writeFileSync(path.join(projectRoot, 'package.json'), JSON.stringify({ name: 'yes' }));
+});
+
+afterEach(() => {
+  setAssumeYes(false);
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('config', () => {
+  it('does not prompt with --yes or "yes": true', () => {
+    setAssumeYes(true);
+    assert.equal(isInteractive(projectRoot), false);
+
+    setAssumeYes(false);
+    writeConfig({ yes: true });
+    assert.equal(isInteractive(projectRoot), false);
+  });
+
+  it('rejects an invalid config file', () => {
+    writeConfig('{ "yes": true,');
+
+    assert.throws(() => loadConfig(projectRoot), /^Error: Invalid rwsdk-tools.config.json: /);
+
+    const result = cli('merge');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Invalid rwsdk-tools.config.json/);
+    assert.equal(fs.existsSync(path.join(projectRoot, 'src')), false);
+  });
+});
+
+describe('email prompt', () => {
+  const emailPlan = (...args: string[]) => {
+    const result = cli('email', '--dry-run', ...args);
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+  };
+
+  it('skips react-email without prompting when there is no answer', () => {
+    const output = emailPlan('--yes');
+
+    assert.match(output, /Not prompting \(non-interactive\): no/);
+    assert.doesNotMatch(output, /create-email/);
+  });
+
+  it('takes the answer from the config or a flag', () => {
+    writeConfig({ email: { reactEmail: true } });
+    const fromConfig = emailPlan();
+    assert.match(fromConfig, /Answered by rwsdk-tools.config.json: yes/);
+    assert.match(fromConfig, /\[dry-run\].* Run: .*create-email@latest/);
+
+    assert.match(emailPlan('--no-react-email'), /Answered by --no-react-email: no/);
+  });
+});
+
+describe('generators without prompting', () => {
+  let project: PlopProject;
+
+  beforeEach(() => {
+    project = createPlopProject();
+  });
+
+  afterEach(() => {
+    project.remove();
+  });
+
+  it('fail with their usage when a required argument is missing', () => {
+    const result = project.plop('page');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Missing arguments\. Usage: plop page <Name> \[routePath\] \[prefix\]/);
+    assert.match(result.stderr, /Prompts are skipped with --yes, "yes": true or without a TTY\./);
+    assert.equal(project.exists('src/app/pages'), false);
+  });
+
+  it('answer the other prompts with the config and their defaults', () => {
+    project.write('rwsdk-tools.config.json', JSON.stringify({ component: { stories: false } }));
+
+    const result = project.plop('component', 'Button');
+
+    assert.equal(result.status, 0, result.stderr);
+    // The default structure is a folder; stories are turned off in the config
+    assert.ok(project.exists('src/app/components/Button/Button.tsx'));
+    assert.ok(project.exists('src/app/components/Button/Button.test.tsx'));
+    assert.equal(project.exists('src/app/components/Button/Button.stories.tsx'), false);
+  });
+
+  it('take the default for an argument given as _', () => {
+    const result = project.plop('server-function', 'billing', '_', 'src/app/billing');
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(project.read('src/app/billing/functions.ts'), /export async function createBilling\(/);
+  });
+
+  it('fail on an invalid config', () => {
+    project.write('rwsdk-tools.config.json', '{ "component": ');
+
+    const result = project.plop('component', 'Button');
+
+    assert.notEqual(result.status, 0);
+    assert.match(result.stdout + result.stderr, /Invalid rwsdk-tools.config.json/);
+    assert.equal(project.exists('src/app/components/Button'), false);
+  });
+});
@@ -0,0 +1,60 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const repoRoot = path.resolve(__dirname, '..');
+const plopBin = path.join(repoRoot, 'node_modules', 'plop', 'bin', 'plop.js');
+
+/**
+ * A temporary RWSDK project with the component generator installed the way
+ * `npx rwsdk-tools component` installs it. Its node_modules links to this
+ * repo's, for plop and typescript.
+ */
+export function createPlopProject(files: Record<string, string> = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rwsdk-tools-plop-'));
+  const write = (file: string, content: string) => {
+    const filePath = path.join(root, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  write('package.json', JSON.stringify({ name: 'plop-project', devDependencies: { plop: '^4.0.5' } }, null, 2));
+  write('tsconfig.json', JSON.stringify({ compilerOptions: { jsx: 'react-jsx', paths: { '@/*': ['./src/*'] } }, include: ['src'] }));
+  fs.symlinkSync(path.join(repoRoot, 'node_modules'), path.join(root, 'node_modules'), 'dir');
+
+  const install = spawnSync(process.execPath, [path.join(repoRoot, 'install.js'), 'component', '--yes'], {
+    cwd: root,
+    encoding: 'utf8',
+    timeout: 60000,
+  });
+  if (install.status !== 0) {
+    throw new Error(`Installing the component generator failed:\n${install.stderr}`);
+  }
+
+  for (const [file, content] of Object.entries(files)) {
+    write(file, content);
+  }
+
+  /** Run a generator without a TTY, so it takes its answers from the arguments */
+  const plopWithEnv = (env: NodeJS.ProcessEnv, ...args: string[]) =>
+    spawnSync(process.execPath, [plopBin, ...args], {
+      cwd: root,
+      encoding: 'utf8',
+      env: { ...process.env, ...env },
+      input: '',
+      timeout: 60000,
+    });
+
+  return {
+    root,
+    write,
+    read: (file: string) => fs.readFileSync(path.join(root, file), 'utf8'),
+    exists: (file: string) => fs.existsSync(path.join(root, file)),
+    plop: (...args: string[]) => plopWithEnv({}, ...args),
+    plopWithEnv,
+    remove: () => fs.rmSync(root, { recursive: true, force: true }),
+  };
+}
+
+export type PlopProject = ReturnType<typeof createPlopProject>;
@@ -0,0 +1,199 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// lib/ is untyped CommonJS
+const { findPlugins, loadPlugins } = require('../lib/plugins');
+
+const installJs = path.resolve(__dirname, '..', 'install.js');
+
+let projectRoot: string;
+
+const writeProjectFile = (file: string, content: string) => {
+  const filePath = path.join(projectRoot, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+// A plugin that registers each of the given commands
+const pluginSource = (...commands: string[]) =>
+  `module.exports = (rwsdkTools) => {\n${commands
+    .map(command => `  rwsdkTools.registerCommand(${command});\n`)
+    .join('')}};\n`;
+
+beforeEach(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rwsdk-tools-plugins-'));
+  writeProjectFile(
+    'package.json',
+    JSON.stringify({
+      name: 'plugins',
+      dependencies: { rwsdk: '^0.1.0', 'rwsdk-tools-plugin-hello': '^1.0.0' },
+      devDependencies: { '@acme/rwsdk-tools-plugin-sentry': '^1.0.0', 'rwsdk-tools': '^0.4.0' },
+    })
+  );
+  writeProjectFile(
+    'node_modules/rwsdk-tools-plugin-hello/index.js',
+    pluginSource(
+      `{ name: "hello", description: "Say hello", install(context) { context.writeFile(context.projectRoot + "/hello.txt", "hello\\n"); } }`
+    )
+  );
+  writeProjectFile(
+    'node_modules/@acme/rwsdk-tools-plugin-sentry/index.js',
+    // An ES module compiled to CommonJS
+    `exports.default = ${pluginSource(
+      `{ name: "sentry", usage: "sentry <dsn>", includeInAll: true, install() {} }`
+    ).replace('module.exports = ', '')}`
+  );
+});
+
+afterEach(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+const configure = (plugins: unknown) =>
+  writeProjectFile('rwsdk-tools.config.json', JSON.stringify({ plugins }));
+
+describe('findPlugins', () => {
+  it('finds plugin packages in the dependencies and the configured plugins', () => {
+    configure(['./tools/plugin.js', 'rwsdk-tools-plugin-hello']);
+
+    assert.deepEqual(findPlugins(projectRoot), [
+      'rwsdk-tools-plugin-hello',
+      '@acme/rwsdk-tools-plugin-sentry',
+      './tools/plugin.js',
+    ]);
+  });
+
+  it('rejects a "plugins" config that is not an array', () => {
+    configure('./tools/plugin.js');
+
+    assert.throws(() => findPlugins(projectRoot), /"plugins" in rwsdk-tools.config.json must be an array/);
+  });
+});
+
+describe('loadPlugins', () => {
+  it('collects the registered commands with their defaults', () => {
+    const { commands, errors } = loadPlugins(projectRoot, ['tailwind']);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      commands.map(({ name, description, usage, includeInAll, plugin }: Record<string, unknown>) => ({
+        name,
+        description,
+        usage,
+        includeInAll,
+        plugin,
+      })),
+      [
+        {
+          name: 'hello',
+          description: 'Say hello',
+          usage: 'hello',
+          includeInAll: false,
+          plugin: 'rwsdk-tools-plugin-hello',
+        },
+        {
+          name: 'sentry',
+          description: '',
+          usage: 'sentry <dsn>',
+          includeInAll: true,
+          plugin: '@acme/rwsdk-tools-plugin-sentry',
+        },
+      ]
+    );
+  });
+
+  it('loads configured plugins relative to the project root', () => {
+    configure(['./tools/plugin.js']);
+    writeProjectFile('tools/plugin.js', pluginSource(`{ name: "local", install() {} }`));
+
+    const { commands, errors } = loadPlugins(projectRoot);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      commands.map((command: { name: string }) => command.name),
+      ['hello', 'sentry', 'local']
+    );
+  });
+
+  it('reports plugins that fail to load or register invalid commands', () => {
+    configure([
+      './tools/missing.js',
+      './tools/not-a-function.js',
+      './tools/invalid-name.js',
+      './tools/built-in.js',
+      './tools/duplicate.js',
+      './tools/no-install.js',
+    ]);
+    writeProjectFile('tools/not-a-function.js', 'module.exports = { name: "nope" };\n');
+    writeProjectFile('tools/invalid-name.js', pluginSource(`{ name: "Deploy Now", install() {} }`));
+    writeProjectFile('tools/built-in.js', pluginSource(`{ name: "tailwind", install() {} }`));
+    writeProjectFile('tools/duplicate.js', pluginSource(`{ name: "hello", install() {} }`));
+    writeProjectFile('tools/no-install.js', pluginSource(`{ name: "lint" }`));
+
+    const { commands, errors } = loadPlugins(projectRoot, ['tailwind']);
+
+    // The valid plugins still load
+    assert.deepEqual(
+      commands.map((command: { name: string }) => command.name),
+      ['hello', 'sentry']
+    );
+    assert.equal(errors.length, 6);
+    assert.equal(errors[0].plugin, './tools/missing.js');
+    // Without the require stack
+    assert.match(errors[0].message, /^Cannot find module '.*missing\.js'$/);
+    assert.deepEqual(errors.slice(1), [
+      { plugin: './tools/not-a-function.js', message: 'The plugin does not export a function' },
+      {
+        plugin: './tools/invalid-name.js',
+        message: 'Invalid command name "Deploy Now" (use lowercase letters, digits, ":" and "-")',
+      },
+      { plugin: './tools/built-in.js', message: 'The "tailwind" command already exists' },
+      { plugin: './tools/duplicate.js', message: 'The "hello" command already exists' },
+      { plugin: './tools/no-install.js', message: 'The "lint" command has no install function' },
+    ]);
+  });
+});
+
+describe('plugin commands in the CLI', () => {
+  const cli = (...args: string[]) =>
+    spawnSync(process.execPath, [installJs, ...args], {
+      cwd: projectRoot,
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+
+  it('lists plugin commands in the help', () => {
+    const result = cli('help');
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /npx rwsdk-tools hello\s+Say hello \(rwsdk-tools-plugin-hello\)/);
+  });
+
+  it('runs a plugin command with the journaled helpers', () => {
+    const dryRun = cli('hello', '--dry-run');
+    assert.equal(dryRun.status, 0, dryRun.stderr);
+    assert.match(dryRun.stdout, /\[dry-run\].* Create hello\.txt/);
+    assert.equal(fs.existsSync(path.join(projectRoot, 'hello.txt')), false);
+
+    const result = cli('hello');
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(fs.readFileSync(path.join(projectRoot, 'hello.txt'), 'utf8'), 'hello\n');
+
+    const undo = cli('undo');
+    assert.equal(undo.status, 0, undo.stderr);
+    assert.equal(fs.existsSync(path.join(projectRoot, 'hello.txt')), false);
+  });
+
+  it('warns about plugins that fail to load', () => {
+    configure(['./tools/missing.js']);
+
+    const result = cli('help');
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout + result.stderr, /Warning: Could not load plugin \.\/tools\/missing\.js: Cannot find module/);
+  });
+});
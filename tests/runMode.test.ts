@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const installJs = path.resolve(__dirname, '..', 'install.js');
+
+let projectRoot: string;
+
+const cli = (...args: string[]) =>
+  spawnSync(process.execPath, [installJs, ...args], {
+    cwd: projectRoot,
+    encoding: 'utf8',
+    timeout: 60000,
+  });
+
+const readPackageJson = () => JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+
+const writeProjectFile = (file: string, content: string) => {
+  const filePath = path.join(projectRoot, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+beforeEach(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rwsdk-tools-run-'));
+  // rwsdk-tools is already a dev dependency, so nothing gets installed
+  writeProjectFile(
+    'package.json',
+    JSON.stringify({ name: 'run-mode', devDependencies: { 'rwsdk-tools': '^0.4.0' } }, null, 2)
+  );
+});
+
+afterEach(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('installing in run mode', () => {
+  it('adds a script that runs the tool from the package instead of copying it', () => {
+    const result = cli('merge', '--mode=run');
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readPackageJson().scripts.merge, 'rwsdk-tools run merge');
+    assert.equal(fs.existsSync(path.join(projectRoot, 'src', 'scripts')), false);
+  });
+
+  it('takes the mode from the config and notes a copy that is no longer used', () => {
+    writeProjectFile('rwsdk-tools.config.json', JSON.stringify({ mode: 'run' }));
+    writeProjectFile('src/scripts/mergePrismaSchema.mjs', 'console.log("old merge");\n');
+
+    const result = cli('merge');
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readPackageJson().scripts.merge, 'rwsdk-tools run merge');
+    assert.match(result.stdout, /src\/scripts\/mergePrismaSchema\.mjs is no longer used by the "merge" script/);
+  });
+
+  it('lets --mode=copy override the config', () => {
+    writeProjectFile('rwsdk-tools.config.json', JSON.stringify({ mode: 'run' }));
+
+    const result = cli('merge', '--mode=copy');
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readPackageJson().scripts.merge, 'node src/scripts/mergePrismaSchema.mjs');
+    assert.ok(fs.existsSync(path.join(projectRoot, 'src', 'scripts', 'mergePrismaSchema.mjs')));
+  });
+
+  it('rejects an unknown mode', () => {
+    const result = cli('merge', '--mode=link');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown mode: link \(expected copy or run\)/);
+  });
+});
+
+describe('rwsdk-tools run', () => {
+  it('runs a JavaScript tool in the project', () => {
+    writeProjectFile('prisma/schema/user.prisma', 'model User {\n  id Int @id\n}\n');
+
+    const result = cli('run', 'merge');
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(fs.readFileSync(path.join(projectRoot, 'prisma', 'schema.prisma'), 'utf8'), /model User/);
+  });
+
+  it('runs a TypeScript tool through tsx and passes its arguments and exit status on', () => {
+    fs.cpSync(path.resolve(__dirname, 'fixtures', 'routes', 'src'), path.join(projectRoot, 'src'), {
+      recursive: true,
+    });
+
+    // Nothing has been generated yet
+    const check = cli('run', 'routes', '--check');
+    assert.equal(check.status, 1, check.stderr);
+    assert.equal(fs.existsSync(path.join(projectRoot, 'src', 'app', 'shared', 'links.ts')), false);
+
+    const result = cli('run', 'routes');
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(fs.existsSync(path.join(projectRoot, 'src', 'app', 'shared', 'links.ts')));
+
+    assert.equal(cli('run', 'routes', '--check').status, 0);
+  });
+
+  it('rejects an unknown or missing tool', () => {
+    const unknown = cli('run', 'lint');
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /Unknown tool: lint \(expected routes, merge, seedtosql, addon-generate, addon-install\)/);
+
+    const missing = cli('run');
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Missing tool name/);
+  });
+});
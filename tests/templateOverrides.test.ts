@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as path from 'path';
+import { createPlopProject, type PlopProject } from './plopProject';
+
+// Every variable the templates get besides the prompt answers
+const variablesTemplate =
+  'name={{name}} kebab={{kebabName}} camel={{camelName}} directory={{directory}} author={{author}}\n';
+
+// Without a git user, so the author comes from the config or package.json
+const withoutGitUser = { GIT_CONFIG_GLOBAL: '/dev/null', GIT_CONFIG_NOSYSTEM: '1', GIT_CEILING_DIRECTORIES: '/' };
+
+let project: PlopProject;
+
+beforeEach(() => {
+  project = createPlopProject();
+});
+
+afterEach(() => {
+  project.remove();
+});
+
+describe('template overrides', () => {
+  it('replace the bundled template with the same name', () => {
+    project.write('plop-templates/overrides/component.hbs', variablesTemplate);
+    project.write('rwsdk-tools.config.json', JSON.stringify({ component: { author: 'Ada Lovelace' } }));
+
+    const result = project.plop('component', 'UserCard');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(
+      project.read('src/app/components/UserCard/UserCard.tsx'),
+      'name=UserCard kebab=user-card camel=userCard directory=src/app/components/UserCard author=Ada Lovelace\n'
+    );
+    // The templates without an override are the bundled ones
+    assert.equal(
+      project.read('src/app/components/UserCard/index.ts'),
+      project.read('plop-templates/component/index.hbs').replace(/\{\{name\}\}/g, 'UserCard')
+    );
+  });
+
+  it('apply to the other generators', () => {
+    project.write('plop-templates/overrides/page.hbs', 'export const {{name}} = () => <h1>{{kebabName}}</h1>;\n');
+    project.write('src/worker.tsx', 'import { render, route } from "rwsdk/router";\n\nexport default [render(Document, [])];\n');
+
+    const result = project.plop('page', 'UserProfile', '/profile');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(
+      project.read('src/app/pages/UserProfile/UserProfile.tsx'),
+      'export const UserProfile = () => <h1>user-profile</h1>;\n'
+    );
+  });
+
+  it('are read from the configured directory', () => {
+    project.write('templates/plop/component.hbs', 'custom {{name}}\n');
+    project.write('plop-templates/overrides/component.hbs', 'default directory {{name}}\n');
+    project.write('rwsdk-tools.config.json', JSON.stringify({ component: { templates: 'templates/plop' } }));
+
+    const result = project.plop('component', 'Badge', '--file');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(project.read('src/app/components/Badge.tsx'), 'custom Badge\n');
+  });
+
+  it('survive reinstalling the generator', () => {
+    project.write('plop-templates/overrides/component.hbs', 'custom {{name}}\n');
+
+    const reinstall = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'install.js'), 'component', '--yes'], {
+      cwd: project.root,
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+    assert.equal(reinstall.status, 0, reinstall.stderr);
+
+    assert.equal(project.read('plop-templates/overrides/component.hbs'), 'custom {{name}}\n');
+  });
+});
+
+describe('template author', () => {
+  it('falls back to the package.json author without a git user', () => {
+    project.write('plop-templates/overrides/component.hbs', 'author={{author}}\n');
+    project.write(
+      'package.json',
+      JSON.stringify({ name: 'plop-project', author: { name: 'Grace Hopper' }, devDependencies: { plop: '^4.0.5' } })
+    );
+
+    const result = project.plopWithEnv(withoutGitUser, 'component', 'Avatar', '--file');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.equal(project.read('src/app/components/Avatar.tsx'), 'author=Grace Hopper\n');
+  });
+});
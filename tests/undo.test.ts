@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// lib/ is untyped CommonJS
+const { listRuns, startRun } = require('../lib/journal');
+const { ensureDir, removeFile, writeFile } = require('../lib/operations');
+const { undoRun } = require('../lib/undo');
+
+const RUN_ENV = ['RWSDK_TOOLS_RUN_ID', 'RWSDK_TOOLS_RUN_COMMAND', 'RWSDK_TOOLS_RUN_ROOT'];
+const installJs = path.resolve(__dirname, '..', 'install.js');
+
+let projectRoot: string;
+
+// Runs are shared through the environment, so each test starts its own
+const endRun = () => RUN_ENV.forEach(name => delete process.env[name]);
+
+beforeEach(() => {
+  endRun();
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rwsdk-tools-undo-'));
+  fs.writeFileSync(path.join(projectRoot, 'existing.ts'), 'before\n');
+});
+
+afterEach(() => {
+  endRun();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+const read = (file: string) => fs.readFileSync(path.join(projectRoot, file), 'utf8');
+
+describe('journal', () => {
+  it('records the changes of a run relative to its project root', () => {
+    startRun('tailwind', projectRoot);
+    ensureDir(path.join(projectRoot, 'src', 'styles'));
+    writeFile(path.join(projectRoot, 'src', 'styles', 'app.css'), '@import "tailwindcss";\n');
+    writeFile(path.join(projectRoot, 'existing.ts'), 'after\n');
+
+    const [run] = listRuns(projectRoot);
+    assert.equal(run.command, 'tailwind');
+    assert.deepEqual(run.entries, [
+      // The outermost directory that was created
+      { type: 'directory', path: 'src' },
+      { type: 'file', path: path.join('src', 'styles', 'app.css'), previousContent: null },
+      { type: 'file', path: 'existing.ts', previousContent: 'before\n' },
+    ]);
+  });
+
+  it('keeps the first previous content of a file written twice', () => {
+    startRun('email', projectRoot);
+    writeFile(path.join(projectRoot, 'existing.ts'), 'first\n');
+    writeFile(path.join(projectRoot, 'existing.ts'), 'second\n');
+
+    const [run] = listRuns(projectRoot);
+    assert.deepEqual(run.entries, [{ type: 'file', path: 'existing.ts', previousContent: 'before\n' }]);
+  });
+
+  it('records the content of a removed file, so undo restores it', () => {
+    startRun('tailwind', projectRoot);
+    removeFile(path.join(projectRoot, 'existing.ts'));
+    endRun();
+
+    assert.equal(fs.existsSync(path.join(projectRoot, 'existing.ts')), false);
+    assert.deepEqual(listRuns(projectRoot)[0].entries, [
+      { type: 'file', path: 'existing.ts', previousContent: 'before\n' },
+    ]);
+
+    undoRun(undefined, projectRoot);
+    assert.equal(read('existing.ts'), 'before\n');
+  });
+});
+
+describe('undoRun', () => {
+  it('reverts the files of the last run and marks it as undone', () => {
+    startRun('tailwind', projectRoot);
+    ensureDir(path.join(projectRoot, 'src'));
+    writeFile(path.join(projectRoot, 'src', 'new.ts'), 'new\n');
+    writeFile(path.join(projectRoot, 'existing.ts'), 'after\n');
+    endRun();
+
+    const { reverted, failed } = undoRun(undefined, projectRoot);
+
+    assert.deepEqual(failed, []);
+    assert.deepEqual(reverted, ['Restored existing.ts', `Deleted ${path.join('src', 'new.ts')}`, 'Deleted directory src']);
+    assert.equal(read('existing.ts'), 'before\n');
+    assert.equal(fs.existsSync(path.join(projectRoot, 'src')), false);
+    assert.ok(listRuns(projectRoot)[0].undoneAt);
+    assert.throws(() => undoRun(undefined, projectRoot), /no runs left to undo/);
+  });
+
+  it('keeps a partially undone run with the changes that failed, so undo can be retried', () => {
+    startRun('component', projectRoot);
+    writeFile(path.join(projectRoot, 'existing.ts'), 'after\n');
+    writeFile(path.join(projectRoot, 'blocked.ts'), 'new\n');
+    endRun();
+    // A directory where the file was can't be deleted as a file
+    fs.rmSync(path.join(projectRoot, 'blocked.ts'));
+    fs.mkdirSync(path.join(projectRoot, 'blocked.ts'));
+    fs.writeFileSync(path.join(projectRoot, 'blocked.ts', 'keep'), '');
+
+    const first = undoRun(undefined, projectRoot);
+
+    assert.deepEqual(first.reverted, ['Restored existing.ts']);
+    assert.equal(first.failed.length, 1);
+    assert.match(first.failed[0], /^Failed to revert file change: /);
+    const [run] = listRuns(projectRoot);
+    assert.equal(run.undoneAt, undefined);
+    assert.deepEqual(run.entries, [{ type: 'file', path: 'blocked.ts', previousContent: null }]);
+
+    fs.rmSync(path.join(projectRoot, 'blocked.ts'), { recursive: true });
+    const second = undoRun(undefined, projectRoot);
+
+    assert.deepEqual(second, { run, reverted: ['Deleted blocked.ts'], failed: [] });
+    assert.ok(listRuns(projectRoot)[0].undoneAt);
+  });
+});
+
+describe('rwsdk-tools undo', () => {
+  it('prints the changes that could not be reverted as errors and exits with a non-zero status', () => {
+    startRun('component', projectRoot);
+    writeFile(path.join(projectRoot, 'blocked.ts'), 'new\n');
+    endRun();
+    fs.rmSync(path.join(projectRoot, 'blocked.ts'));
+    fs.mkdirSync(path.join(projectRoot, 'blocked.ts'));
+    fs.writeFileSync(path.join(projectRoot, 'blocked.ts', 'keep'), '');
+
+    const result = spawnSync(process.execPath, [installJs, 'undo'], { cwd: projectRoot, encoding: 'utf8' });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /✖ Failed to revert file change: /);
+    assert.match(result.stderr, /Could not undo 1 change of component/);
+    assert.doesNotMatch(result.stdout, /Undid/);
+  });
+});
@@ -1,8 +1,5 @@
 #!/usr/bin/env node
 
-// Force the script to run from the project root directory
-process.chdir(new URL("../../", import.meta.url).pathname);
-
 /**
  * RWSDK Add-on Config Generator
  *
@@ -12,12 +9,27 @@ process.chdir(new URL("../../", import.meta.url).pathname);
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
 import { execSync } from "child_process";
+import { fileURLToPath } from "url";
 
-// Get the directory name of the current module
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const projectRoot = path.resolve(__dirname, "../../");
+/**
+ * Load the project paths, which can be overridden with "paths" in rwsdk-tools.config.json
+ */
+function loadProjectPaths(projectRoot) {
+  const defaults = { addons: "src/app/addons", components: "src/app/components" };
+  const configPath = path.join(projectRoot, "rwsdk-tools.config.json");
+  if (!fs.existsSync(configPath)) {
+    return defaults;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid rwsdk-tools.config.json: ${error.message}`);
+  }
+  return { ...defaults, ...(config.paths || {}) };
+}
 
 // ANSI color codes for console output
 const colors = {
@@ -176,9 +188,9 @@ function detectTailwindNeeded(addonDir, hasShadcn) {
 /**
  * Detect ShadCN components used in the add-on
  */
-function detectShadcnComponents(addonDir) {
+function detectShadcnComponents(addonDir, project) {
   // Check if the UI components directory exists in the project
-  const projectUiDir = path.join(projectRoot, "src/app/components/ui");
+  const projectUiDir = path.join(project.root, project.paths.components, "ui");
   if (!fs.existsSync(projectUiDir)) {
     verboseLog("ℹ️", "No ShadCN components directory found in project", colors.blue);
     return null;
@@ -190,7 +202,7 @@ function detectShadcnComponents(addonDir) {
     .filter((file) => file.endsWith(".tsx") || file.endsWith(".jsx"))
     .map((file) => path.basename(file, path.extname(file)));
 
-  log(
+  verboseLog(
     "🟡",
     `Available ShadCN components: ${availableComponents.join(", ")}`,
     colors.yellow
@@ -311,11 +323,6 @@ function detectShadcnComponents(addonDir) {
   }
 
   if (usedComponents.size > 0) {
-    log(
-      "✅",
-      `Detected ${usedComponents.size} ShadCN components used in add-on: ${[...usedComponents].join(", ")}`,
-      colors.green
-    );
     return [...usedComponents];
   }
 
@@ -416,9 +423,9 @@ function filterPackages(packages, usingShadcn) {
 }
 
 /**
- * Generate addon.jsonc content
+ * Build the addon.jsonc content
  */
-function generateAddonConfig(addonName, addonDir) {
+function buildAddonConfig(addonName, addonDir, project) {
   // Find all JavaScript/TypeScript files
   const jsFiles = [
     ...findFiles(addonDir, [], ".js"),
@@ -448,7 +455,7 @@ function generateAddonConfig(addonName, addonDir) {
   }
 
   // Detect ShadCN components
-  const shadcnComponents = detectShadcnComponents(addonDir);
+  const shadcnComponents = detectShadcnComponents(addonDir, project);
 
   // Create the addon config object
   const addonConfig = {
@@ -519,7 +526,7 @@ function generateAddonConfig(addonName, addonDir) {
   if (cssFiles.length > 0) {
     // Use the first CSS file found
     const cssFile = cssFiles[0];
-    const relativePath = path.relative(projectRoot, cssFile);
+    const relativePath = path.relative(project.root, cssFile);
 
     addonConfig.styles = {
       source: relativePath,
@@ -558,11 +565,37 @@ function writeAddonConfig(addonDir, config) {
   }
 
   fs.writeFileSync(addonJsoncPath, jsonContent);
-  log("✅", `Generated addon.jsonc for ${config.name}`, colors.green);
 
   return addonJsoncPath;
 }
 
+/**
+ * Generate the addon.jsonc of an add-on in the project
+ * @param {Object} options
+ * @param {string} options.cwd - The project root
+ * @param {string} options.name - The add-on name, i.e. its directory under the addons path
+ * @returns {Promise<Object>} - The add-on directory, the addon.jsonc path and the config
+ */
+export async function generateAddonConfig({ cwd = process.cwd(), name } = {}) {
+  if (!name) {
+    throw new Error("Please provide the add-on name");
+  }
+
+  const root = path.resolve(cwd);
+  const project = { root, paths: loadProjectPaths(root) };
+
+  // The add-on directory is in the current project (source project)
+  const addonDir = path.join(root, project.paths.addons, name);
+  if (!fs.existsSync(addonDir)) {
+    throw new Error(`Add-on directory not found: ${addonDir}`);
+  }
+
+  const config = buildAddonConfig(name, addonDir, project);
+  const addonJsoncPath = writeAddonConfig(addonDir, config);
+
+  return { addonDir, addonJsoncPath, config };
+}
+
 /**
  * Main function to generate addon.jsonc
  */
@@ -570,39 +603,43 @@ async function generateAddon(addonName) {
   try {
     log("🔍", `Analyzing add-on: ${addonName}`, colors.blue);
 
-    // The add-on directory is in the current project (source project)
-    const addonDir = path.join(projectRoot, "src/app/addons", addonName);
+    const { addonJsoncPath, config } = await generateAddonConfig({
+      name: addonName,
+    });
 
-    if (!fs.existsSync(addonDir)) {
-      log("❌", `Add-on directory not found: ${addonDir}`, colors.red);
-      return false;
+    if (config.shadcn) {
+      log(
+        "✅",
+        `Detected ${config.shadcn.components.length} ShadCN components used in add-on: ${config.shadcn.components.join(", ")}`,
+        colors.green
+      );
     }
-
-    // Generate the addon config
-    const addonConfig = generateAddonConfig(addonName, addonDir);
-
-    // Write the addon.jsonc file to the source project
-    const addonJsoncPath = writeAddonConfig(addonDir, addonConfig);
-
+    log("✅", `Generated addon.jsonc for ${config.name}`, colors.green);
     log("✅", `addon.jsonc generated at: ${addonJsoncPath}`, colors.green);
     return true;
   } catch (error) {
     log("❌", `Error generating addon.jsonc: ${error.message}`, colors.red);
-    console.error(error);
     return false;
   }
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const addonName = args[0];
+// Run when executed directly, not when imported
+if (
+  process.argv[1] &&
+  fs.realpathSync(process.argv[1]) ===
+    fs.realpathSync(fileURLToPath(import.meta.url))
+) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const addonName = args[0];
+
+  if (!addonName) {
+    log("❌", "Please provide the add-on name", colors.red);
+    log("ℹ️", "Usage: node generateAddonConfig.mjs <addonName>", colors.blue);
+    process.exit(1);
+  }
 
-if (!addonName) {
-  log("❌", "Please provide the add-on name", colors.red);
-  log("ℹ️", "Usage: node generateAddonConfig.mjs <addonName>", colors.blue);
-  process.exit(1);
+  generateAddon(addonName).then((success) => {
+    process.exit(success ? 0 : 1);
+  });
 }
-
-generateAddon(addonName).then((success) => {
-  process.exit(success ? 0 : 1);
-});
@@ -1,8 +1,5 @@
 #!/usr/bin/env node
 
-// Force the script to run from the project root directory
-process.chdir(new URL('../../', import.meta.url).pathname);
-
 /**
  * RWSDK Add-on Installer
  * 
@@ -13,29 +10,16 @@ process.chdir(new URL('../../', import.meta.url).pathname);
 import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
-import { fileURLToPath } from 'url';
-
-// Get the directory name of the current module
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import readline from 'readline';
 
-// Determine project root - this is important for running the script from any directory
-let projectRoot;
-try {
-  // Try to get the absolute path to the project root
-  projectRoot = path.resolve(__dirname, '../../');
-  
-  // Verify that the path exists
-  if (!fs.existsSync(projectRoot)) {
-    throw new Error(`Project root directory not found: ${projectRoot}`);
-  }
-  
-  // Log the project root for debugging
-  console.log(`Project root: ${projectRoot}`);
-} catch (error) {
-  console.error(`Error determining project root: ${error.message}`);
-  console.error('Please run this script from within the project directory.');
+// Package scripts run from the project root
+const projectRoot = process.cwd();
+if (!fs.existsSync(path.join(projectRoot, 'package.json'))) {
+  console.error(`Error: package.json not found in ${projectRoot}`);
+  console.error('Please run this script from the project root directory.');
   process.exit(1);
 }
+console.log(`Project root: ${projectRoot}`);
 
 // ANSI color codes for console output
 const colors = {
@@ -48,6 +32,229 @@ const colors = {
   red: '\x1b[31m',
 };
 
+/*
+ * This script is copied into projects and can't require rwsdk-tools' lib/, so
+ * it carries minimal copies of the journal (lib/journal.js), the config
+ * (lib/config.js) and the package manager detection (lib/packageManager.js).
+ * They must stay in sync with those modules: same journal format, same
+ * defaults and the same detection order.
+ */
+
+/**
+ * Install journal
+ *
+ * Records every change this script makes under .rwsdk-tools/journal, using the
+ * same format as the rwsdk-tools CLI, so `npx rwsdk-tools undo` can revert an
+ * add-on install. The run id is shared with the `npx rwsdk-tools ...` commands
+ * launched below through the environment, so they append to the same run.
+ */
+const journalDir = path.join(projectRoot, '.rwsdk-tools', 'journal');
+
+if (!process.env.RWSDK_TOOLS_RUN_ID) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  process.env.RWSDK_TOOLS_RUN_ID = `${timestamp}-addon-install`;
+  process.env.RWSDK_TOOLS_RUN_COMMAND = `addon install ${process.argv.slice(2).join(' ')}`.trim();
+  process.env.RWSDK_TOOLS_RUN_ROOT = projectRoot;
+}
+
+/**
+ * Append a change to the journal of the current run
+ */
+function recordChange(entry, isDuplicate = () => false) {
+  const journalPath = path.join(journalDir, `${process.env.RWSDK_TOOLS_RUN_ID}.json`);
+  const journal = fs.existsSync(journalPath)
+    ? JSON.parse(fs.readFileSync(journalPath, 'utf8'))
+    : {
+        id: process.env.RWSDK_TOOLS_RUN_ID,
+        command: process.env.RWSDK_TOOLS_RUN_COMMAND,
+        startedAt: new Date().toISOString(),
+        entries: [],
+      };
+
+  // Only the first change to a file matters for undo
+  if (journal.entries.some(isDuplicate)) return;
+
+  journal.entries.push(entry);
+  fs.mkdirSync(journalDir, { recursive: true });
+  fs.writeFileSync(journalPath, JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Record the current content of a file that is about to be written
+ */
+function recordFileChange(filePath) {
+  const relativePath = path.relative(projectRoot, filePath);
+  const previousContent = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  recordChange(
+    { type: 'file', path: relativePath, previousContent },
+    (existing) => existing.type === 'file' && existing.path === relativePath
+  );
+}
+
+/**
+ * Record a directory that is about to be created
+ */
+function recordDirectoryChange(dirPath) {
+  // Record the outermost directory that is about to be created
+  let topDir = dirPath;
+  while (!fs.existsSync(path.dirname(topDir))) {
+    topDir = path.dirname(topDir);
+  }
+  const relativePath = path.relative(projectRoot, topDir);
+  recordChange(
+    { type: 'directory', path: relativePath },
+    (existing) => existing.type === 'directory' && existing.path === relativePath
+  );
+}
+
+/**
+ * Record every file in a freshly created directory tree as new
+ */
+function recordCreatedTree(dirPath) {
+  if (!fs.existsSync(dirPath)) return;
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      recordCreatedTree(entryPath);
+    } else {
+      recordChange({ type: 'file', path: path.relative(projectRoot, entryPath), previousContent: null });
+    }
+  }
+}
+
+/**
+ * Write a project file, recording its previous content in the journal
+ */
+function writeProjectFile(filePath, content) {
+  recordFileChange(filePath);
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Read rwsdk-tools.config.json from the project root, if there is one
+ */
+function loadProjectConfig() {
+  const configPath = path.join(projectRoot, 'rwsdk-tools.config.json');
+  if (!fs.existsSync(configPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    log('❌', `Invalid rwsdk-tools.config.json: ${error.message}`, colors.red);
+    process.exit(1);
+  }
+}
+
+/**
+ * Project paths, which can be overridden with "paths" in rwsdk-tools.config.json.
+ * Normalized exactly like getPaths() in lib/config.js, so both print and join
+ * the same paths
+ */
+const projectPaths = {
+  worker: 'src/worker.tsx',
+  styles: 'src/app/styles.css',
+  components: 'src/app/components',
+  addons: 'src/app/addons',
+  prisma: 'prisma',
+  ...(loadProjectConfig().paths || {}),
+};
+for (const [name, value] of Object.entries(projectPaths)) {
+  projectPaths[name] = path.posix.normalize(value.replace(/\\/g, '/')).replace(/\/$/, '');
+}
+
+/**
+ * Build a relative import specifier from a directory to a project path
+ */
+function relativeImport(fromDir, toPath) {
+  const relativePath = path.relative(fromDir, toPath).split(path.sep).join('/');
+  return relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+}
+
+/**
+ * Whether prompts may be shown: not with --yes, "yes": true or without a TTY
+ */
+function isInteractive() {
+  if (process.env.RWSDK_TOOLS_YES === '1' || loadProjectConfig().yes === true) return false;
+  return Boolean(process.stdin.isTTY);
+}
+
+/**
+ * Ask a question and return the answer
+ */
+function askQuestion(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Package manager commands, keyed by package manager name
+ */
+const packageManagerCommands = {
+  npm: {
+    add: (packages) => `npm install ${packages}`,
+    run: (script, args) => `npm run ${script}${args ? ` -- ${args}` : ''}`,
+  },
+  yarn: {
+    add: (packages) => `yarn add ${packages}`,
+    run: (script, args) => `yarn ${script}${args ? ` ${args}` : ''}`,
+  },
+  pnpm: {
+    add: (packages) => `pnpm add ${packages}`,
+    run: (script, args) => `pnpm ${script}${args ? ` ${args}` : ''}`,
+  },
+  bun: {
+    add: (packages) => `bun add ${packages}`,
+    run: (script, args) => `bun run ${script}${args ? ` ${args}` : ''}`,
+  },
+};
+
+/**
+ * Detect the project's package manager
+ *
+ * Mirrors the rwsdk-tools CLI: the --pm flag (or RWSDK_TOOLS_PM) wins, then the
+ * packageManager field of package.json, then the lockfile. Defaults to pnpm.
+ */
+function detectPackageManager() {
+  const override = process.env.RWSDK_TOOLS_PM;
+  if (packageManagerCommands[override]) return override;
+
+  try {
+    const { packageManager } = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+    const name = packageManager && packageManager.split('@')[0];
+    if (packageManagerCommands[name]) return name;
+  } catch (error) {
+    // Fall through to the lockfile check
+  }
+
+  const lockfiles = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['bun.lockb', 'bun'],
+    ['bun.lock', 'bun'],
+    ['yarn.lock', 'yarn'],
+    ['package-lock.json', 'npm'],
+  ];
+  let dir = projectRoot;
+  while (true) {
+    const match = lockfiles.find(([file]) => fs.existsSync(path.join(dir, file)));
+    if (match) return match[1];
+    if (path.dirname(dir) === dir) return 'pnpm';
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Get the commands of the project's package manager
+ */
+function packageManager() {
+  return packageManagerCommands[detectPackageManager()];
+}
+
 /**
  * Log a message with emoji and color
  */
@@ -61,6 +268,7 @@ function log(emoji, message, color = colors.reset) {
 function ensureDirectoryExists(dirPath) {
   if (!fs.existsSync(dirPath)) {
     log('📁', `Creating directory: ${dirPath}`, colors.yellow);
+    recordDirectoryChange(dirPath);
     fs.mkdirSync(dirPath, { recursive: true });
     return true;
   }
@@ -101,9 +309,7 @@ function copyDirectory(source, destination) {
   }
   
   // Create destination directory if it doesn't exist
-  if (!fs.existsSync(destination)) {
-    fs.mkdirSync(destination, { recursive: true });
-  }
+  ensureDirectoryExists(destination);
   
   // Read all files and directories in the source
   const entries = fs.readdirSync(source, { withFileTypes: true });
@@ -118,6 +324,7 @@ function copyDirectory(source, destination) {
     } else {
       // Copy file only if it exists
       if (fs.existsSync(sourcePath)) {
+        recordFileChange(destPath);
         fs.copyFileSync(sourcePath, destPath);
       } else {
         log('⚠️', `Skipping non-existent file: ${sourcePath}`, colors.yellow);
@@ -144,12 +351,25 @@ function installFromLocal(sourcePath, addonName, destinationDir) {
  * Install an add-on from a GitHub repository
  */
 function installFromGitHub(repoUrl, addonName) {
-  const addonsDir = path.join(projectRoot, 'src/app/addons');
+  const addonsDir = path.join(projectRoot, projectPaths.addons);
   ensureDirectoryExists(addonsDir);
   
   // Clone the repository using degit
+  recordDirectoryChange(path.join(addonsDir, addonName));
   const command = `npx degit ${repoUrl} ${addonName}`;
-  return runCommand(command, addonsDir);
+  const success = runCommand(command, addonsDir);
+  if (success) {
+    recordCreatedTree(path.join(addonsDir, addonName));
+  }
+  return success;
+}
+
+/**
+ * The package name of an install specifier, e.g. "@scope/foo@^2" -> "@scope/foo"
+ */
+function packageName(specifier) {
+  const versionAt = specifier.indexOf('@', 1);
+  return versionAt === -1 ? specifier : specifier.slice(0, versionAt);
 }
 
 /**
@@ -159,13 +379,26 @@ function installPackages(packages) {
   if (!packages || packages.length === 0) return true;
   
   log('📦', `Installing packages: ${packages.join(', ')}`, colors.cyan);
-  return runCommand(`pnpm add ${packages.join(' ')}`);
+
+  // Only packages that weren't already dependencies are undone later
+  const packageJson = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+  const existing = { ...(packageJson.dependencies || {}), ...(packageJson.devDependencies || {}) };
+  const newPackages = packages.map(packageName).filter((name) => !existing[name]);
+
+  const success = runCommand(packageManager().add(packages.join(' ')));
+  if (success && newPackages.length > 0) {
+    recordChange({ type: 'packages', packages: newPackages, dev: false });
+  }
+  return success;
 }
 
 /**
  * Add environment variables to .env file
+ *
+ * Values come from "addons.env" in rwsdk-tools.config.json. Missing values are
+ * asked for when prompting is allowed, and otherwise left empty to fill in later.
  */
-function addEnvVariables(envVars) {
+async function addEnvVariables(envVars) {
   if (!envVars || envVars.length === 0) return true;
   
   const envPath = path.join(projectRoot, '.env');
@@ -176,17 +409,24 @@ function addEnvVariables(envVars) {
   }
   
   let updated = false;
+  const { addons = {} } = loadProjectConfig();
+  const configuredValues = addons.env || {};
+  const interactive = isInteractive();
   
   for (const envVar of envVars) {
     if (!envContent.includes(`${envVar}=`)) {
-      envContent += `\n${envVar}=`;
+      let value = configuredValues[envVar];
+      if (value === undefined && interactive) {
+        value = await askQuestion(`Value for ${envVar} (leave empty to fill in later): `);
+      }
+      envContent += `\n${envVar}=${value ?? ''}`;
       updated = true;
       log('🔑', `Added ${envVar} to .env file`, colors.yellow);
     }
   }
   
   if (updated) {
-    fs.writeFileSync(envPath, envContent);
+    writeProjectFile(envPath, envContent);
   }
   
   return true;
@@ -198,13 +438,23 @@ function addEnvVariables(envVars) {
 function injectStyles(styles) {
   if (!styles) return true;
   
-  const { source, injectInto, injectDirective } = styles;
+  let { source, injectInto, injectDirective } = styles;
   
   if (!source || !injectInto || !injectDirective) {
     log('⚠️', 'Missing style information in addon.jsonc', colors.yellow);
     return false;
   }
   
+  // Add-ons are generated against the default layout, so map it onto the configured paths
+  if (injectInto === 'src/app/styles.css') {
+    injectInto = projectPaths.styles;
+    const addonsImport = relativeImport(
+      path.dirname(path.join(projectRoot, injectInto)),
+      path.join(projectRoot, projectPaths.addons)
+    );
+    injectDirective = injectDirective.replace(/(['"])\.\/addons\//, `$1${addonsImport}/`);
+  }
+  
   const stylesPath = path.join(projectRoot, injectInto);
   let stylesContent = '';
   
@@ -233,7 +483,7 @@ function injectStyles(styles) {
       stylesContent += '\n' + injectDirective;
     }
     
-    fs.writeFileSync(stylesPath, stylesContent);
+    writeProjectFile(stylesPath, stylesContent);
     log('🎨', `Added style import to ${injectInto}`, colors.magenta);
   }
   
@@ -252,9 +502,9 @@ function addRoutes(addonName, routes) {
     return false;
   }
   
-  const workerPath = path.join(projectRoot, 'src/worker.tsx');
+  const workerPath = path.join(projectRoot, projectPaths.worker);
   if (!fs.existsSync(workerPath)) {
-    log('❌', 'worker.tsx not found', colors.red);
+    log('❌', `${projectPaths.worker} not found`, colors.red);
     return false;
   }
   
@@ -263,7 +513,10 @@ function addRoutes(addonName, routes) {
   // Import path for the routes
   // Make sure to use the correct file extension (.ts or .tsx)
   const fileBase = file.replace(/\.(ts|tsx)$/, '');
-  const importPath = `./app/addons/${addonName}/${fileBase}`;
+  const importPath = relativeImport(
+    path.dirname(workerPath),
+    path.join(projectRoot, projectPaths.addons, addonName, fileBase)
+  );
   const importName = `${addonName.charAt(0).toUpperCase() + addonName.slice(1)}Routes`;
   const importStatement = `import ${importName} from "${importPath}";`;
   
@@ -333,7 +586,7 @@ function addRoutes(addonName, routes) {
     log('ℹ️', `Routes already added to worker.tsx`, colors.blue);
   }
   
-  fs.writeFileSync(workerPath, workerContent);
+  writeProjectFile(workerPath, workerContent);
   return true;
 }
 
@@ -341,7 +594,7 @@ function addRoutes(addonName, routes) {
  * Prepare Prisma schema directory structure
  */
 function preparePrismaSchema() {
-  const prismaDir = path.join(projectRoot, 'prisma');
+  const prismaDir = path.join(projectRoot, projectPaths.prisma);
   const prismaSchemaDir = path.join(prismaDir, 'schema');
   const mainSchemaPath = path.join(prismaDir, 'schema.prisma');
   const schemaInSchemaDir = path.join(prismaSchemaDir, 'schema.prisma');
@@ -361,7 +614,7 @@ function preparePrismaSchema() {
       // Move prisma/schema.prisma to prisma/schema/schema.prisma
       log('📋', 'Moving prisma/schema.prisma to prisma/schema/schema.prisma', colors.yellow);
       const schemaContent = fs.readFileSync(mainSchemaPath, 'utf8');
-      fs.writeFileSync(schemaInSchemaDir, schemaContent);
+      writeProjectFile(schemaInSchemaDir, schemaContent);
     } else {
       // Create a basic schema.prisma file
       log('📝', 'Creating basic prisma/schema/schema.prisma', colors.yellow);
@@ -377,7 +630,7 @@ datasource db {
   url      = env("DATABASE_URL")
 }
 `;
-      fs.writeFileSync(schemaInSchemaDir, basicSchema);
+      writeProjectFile(schemaInSchemaDir, basicSchema);
     }
   }
   
@@ -397,7 +650,7 @@ function mergePrismaSchema() {
   
   if (result) {
     log('🔄', 'Creating migration for merged schema', colors.blue);
-    return runCommand('pnpm migrate:new "merge addon schema"');
+    return runCommand(packageManager().run('migrate:new', '"merge addon schema"'));
   }
   
   return result;
@@ -412,7 +665,7 @@ function generateRoutes() {
   
   if (installResult) {
     log('🔄', 'Generating routes', colors.blue);
-    return runCommand('pnpm routes');
+    return runCommand(packageManager().run('routes'));
   }
   
   return installResult;
@@ -441,7 +694,7 @@ function installShadcnComponents(components) {
     log('💾', `Installing ShadCN component: ${component}`, colors.blue);
     
     // Check if the component already exists
-    const componentPath = path.join(projectRoot, 'src/app/components/ui', `${component}.tsx`);
+    const componentPath = path.join(projectRoot, projectPaths.components, 'ui', `${component}.tsx`);
     if (fs.existsSync(componentPath)) {
       log('ℹ️', `Component ${component} already exists, skipping`, colors.blue);
       continue;
@@ -518,7 +771,7 @@ async function installAddon(addonPath, sourceAddonPath = null) {
     
     // Add environment variables
     if (addonConfig.env) {
-      addEnvVariables(addonConfig.env);
+      await addEnvVariables(addonConfig.env);
     }
     
     // Inject styles
@@ -558,11 +811,11 @@ async function installAddon(addonPath, sourceAddonPath = null) {
 async function installFromRepo(repoUrl, addonName) {
   try {
     // Create the addons directory if it doesn't exist
-    const addonsDir = path.join(projectRoot, 'src/app/addons');
+    const addonsDir = path.join(projectRoot, projectPaths.addons);
     ensureDirectoryExists(addonsDir);
     
     // Store the current project path as the source path
-    const sourceAddonPath = path.join(projectRoot, 'src/app/addons', addonName);
+    const sourceAddonPath = path.join(projectRoot, projectPaths.addons, addonName);
     
     // Install the add-on from GitHub
     const success = installFromGitHub(repoUrl, addonName);
@@ -599,7 +852,16 @@ if (args.length > 0 && args[0] === 'install') {
 for (let i = startIndex; i < args.length; i++) {
   const arg = args[i];
   
-  if (arg.startsWith('--')) {
+  if (arg === '--help' || arg === '--yes') {
+    // Flags that never take a value
+    flags[arg.slice(2)] = true;
+    currentFlag = null;
+  } else if (arg.startsWith('--') && arg.includes('=')) {
+    // --pm=yarn, the form the rwsdk-tools CLI uses
+    const separator = arg.indexOf('=');
+    flags[arg.slice(2, separator)] = arg.slice(separator + 1);
+    currentFlag = null;
+  } else if (arg.startsWith('--')) {
     // This is a flag
     currentFlag = arg.slice(2);
     flags[currentFlag] = true; // Default to true if no value is provided
@@ -621,7 +883,10 @@ function displayUsage() {
   log('', 'Options:', colors.blue);
   log('', '  --repo <url>         Install from a GitHub repository', colors.reset);
   log('', '  --source <path>      Full path to the add-on directory (not its parent)', colors.reset);
-  log('', '  --dest <path>        Destination directory (defaults to src/app/addons)', colors.reset);
+  log('', `  --dest <path>        Destination directory (defaults to ${projectPaths.addons})`, colors.reset);
+  log('', '  --yes                Don\'t prompt for env values; use rwsdk-tools.config.json or leave them empty', colors.reset);
+  log('', '  --pm <name>          Package manager to use: npm, yarn, pnpm or bun (detected by default)', colors.reset);
+  log('', '                       Every option can also be written as --name=value, e.g. --pm=yarn', colors.reset);
   log('', '  --help               Display this help message', colors.reset);
   log('', '', colors.reset);
   log('', 'Examples:', colors.green);
@@ -639,6 +904,20 @@ if (flags.help) {
   displayUsage();
 }
 
+// Skip prompts (also for the rwsdk-tools commands run below)
+if (flags.yes) {
+  process.env.RWSDK_TOOLS_YES = '1';
+}
+
+// Override the detected package manager (also used by the rwsdk-tools commands run below)
+if (flags.pm) {
+  if (!packageManagerCommands[flags.pm]) {
+    log('❌', `Unknown package manager: ${flags.pm} (expected npm, yarn, pnpm or bun)`, colors.red);
+    process.exit(1);
+  }
+  process.env.RWSDK_TOOLS_PM = flags.pm;
+}
+
 // Get the add-on name (first positional argument)
 const addonName = positionalArgs[0];
 
@@ -648,7 +927,7 @@ if (!addonName) {
 }
 
 // Default destination directory
-const destinationDir = flags.dest || path.join(projectRoot, 'src/app/addons');
+const destinationDir = flags.dest || path.join(projectRoot, projectPaths.addons);
 ensureDirectoryExists(destinationDir);
 
 // Determine installation type and execute
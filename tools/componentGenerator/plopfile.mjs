@@ -1,10 +1,135 @@
 /** @param {import('plop').NodePlopAPI} plop */
 import fs from "fs";
 import path from "path";
+import { execSync } from "child_process";
 import { fileURLToPath } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+/**
+ * Project changes
+ *
+ * Every file the generators write, move or delete goes through these helpers.
+ * With --dry-run (or RWSDK_TOOLS_DRY_RUN=1) they print the change instead of
+ * making it; otherwise they record it in the rwsdk-tools install journal
+ * (.rwsdk-tools/journal), so `npx rwsdk-tools undo` reverts a generator run.
+ * This file is copied into projects and can't use rwsdk-tools' lib/, so keep
+ * them in sync with lib/operations.js and lib/journal.js.
+ */
+function isDryRun() {
+  return process.argv.includes("--dry-run") || process.env.RWSDK_TOOLS_DRY_RUN === "1";
+}
+
+function logPlan(message) {
+  console.log(`\x1b[35m[dry-run]\x1b[0m ${message}`);
+}
+
+function displayPath(filePath) {
+  return path.relative(process.cwd(), filePath).split(path.sep).join("/");
+}
+
+/**
+ * Append a change to the journal of the current run, starting a run for this
+ * generator unless the rwsdk-tools CLI already started one
+ */
+function recordChange(entry, isDuplicate = () => false) {
+  if (!process.env.RWSDK_TOOLS_RUN_ID) {
+    const command = `plop ${process.argv.slice(2).join(" ")}`.trim();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    process.env.RWSDK_TOOLS_RUN_ID = `${timestamp}-${command.replace(/\W+/g, "-")}`;
+    process.env.RWSDK_TOOLS_RUN_COMMAND = command;
+    process.env.RWSDK_TOOLS_RUN_ROOT = process.cwd();
+  }
+
+  const journalDir = path.join(process.env.RWSDK_TOOLS_RUN_ROOT || process.cwd(), ".rwsdk-tools", "journal");
+  const journalPath = path.join(journalDir, `${process.env.RWSDK_TOOLS_RUN_ID}.json`);
+  const journal = fs.existsSync(journalPath)
+    ? JSON.parse(fs.readFileSync(journalPath, "utf-8"))
+    : {
+        id: process.env.RWSDK_TOOLS_RUN_ID,
+        command: process.env.RWSDK_TOOLS_RUN_COMMAND || process.env.RWSDK_TOOLS_RUN_ID,
+        startedAt: new Date().toISOString(),
+        entries: [],
+      };
+
+  // Only the first change to a file matters for undo
+  if (journal.entries.some(isDuplicate)) return;
+
+  journal.entries.push(entry);
+  fs.mkdirSync(journalDir, { recursive: true });
+  fs.writeFileSync(journalPath, JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Record the current content of a file, or null if it doesn't exist yet
+ */
+function recordFile(filePath) {
+  const relativePath = path.relative(process.env.RWSDK_TOOLS_RUN_ROOT || process.cwd(), filePath);
+  const previousContent = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : null;
+  recordChange(
+    { type: "file", path: relativePath, previousContent },
+    (existing) => existing.type === "file" && existing.path === relativePath
+  );
+}
+
+/**
+ * Create a directory and its parents, recording the outermost one created
+ */
+function ensureProjectDir(dirPath) {
+  if (fs.existsSync(dirPath)) return;
+  let topDir = dirPath;
+  while (!fs.existsSync(path.dirname(topDir))) {
+    topDir = path.dirname(topDir);
+  }
+  const relativePath = path.relative(process.env.RWSDK_TOOLS_RUN_ROOT || process.cwd(), topDir);
+  recordChange(
+    { type: "directory", path: relativePath },
+    (existing) => existing.type === "directory" && existing.path === relativePath
+  );
+  fs.mkdirSync(dirPath, { recursive: true });
+}
+
+/**
+ * Write a project file
+ * @returns {boolean} - Whether its content changes
+ */
+function writeProjectFile(filePath, content) {
+  const exists = fs.existsSync(filePath);
+  if (exists && fs.readFileSync(filePath, "utf-8") === content) return false;
+  if (isDryRun()) {
+    logPlan(`${exists ? "Update" : "Create"} ${displayPath(filePath)}`);
+    return true;
+  }
+  ensureProjectDir(path.dirname(filePath));
+  recordFile(filePath);
+  fs.writeFileSync(filePath, content);
+  return true;
+}
+
+/**
+ * Move a project file, as a new file and the deletion of the old one
+ */
+function moveProjectFile(from, to) {
+  if (isDryRun()) {
+    logPlan(`Move ${displayPath(from)} to ${displayPath(to)}`);
+    return;
+  }
+  writeProjectFile(to, fs.readFileSync(from, "utf-8"));
+  recordFile(from);
+  fs.unlinkSync(from);
+}
+
+/**
+ * Delete a directory and the directories in it, if there are no files left
+ */
+function removeEmptyDirs(dirPath) {
+  if (isDryRun() || !fs.existsSync(dirPath)) return;
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    if (entry.isDirectory()) removeEmptyDirs(path.join(dirPath, entry.name));
+  }
+  if (fs.readdirSync(dirPath).length === 0) fs.rmdirSync(dirPath);
+}
+
 function restructureComponent(componentName, componentsDir) {
   const sourcePath = path.join(componentsDir, `${componentName}.tsx`);
   if (!fs.existsSync(sourcePath)) {
@@ -12,24 +137,851 @@ function restructureComponent(componentName, componentsDir) {
     return false;
   }
 
-  // Read the content before deleting
-  const sourceContent = fs.readFileSync(sourcePath, "utf-8");
+  moveProjectFile(sourcePath, path.join(componentsDir, componentName, `${componentName}.tsx`));
+  return true;
+}
+
+/**
+ * Build the relative import specifier from one project file to another
+ */
+function relativeImport(fromFile, toFile) {
+  const relativePath = path
+    .relative(path.dirname(fromFile), toFile)
+    .split(path.sep)
+    .join("/");
+  return relativePath.startsWith(".") ? relativePath : `./${relativePath}`;
+}
+
+/**
+ * The indentation of the line a position is on
+ */
+function lineIndent(content, position) {
+  const lineStart = content.lastIndexOf("\n", position - 1) + 1;
+  return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Find the routes array to add a route to: the one of the prefix() block for
+ * `prefix`, or else the one passed to render(), or else defineApp's
+ */
+function findRoutesArray(ts, sourceFile, prefix) {
+  let prefixBlock = null;
+  let renderRoutes = null;
+  let appRoutes = null;
+
+  const visit = (node) => {
+    if (ts.isCallExpression(node) && ts.isIdentifier(node.expression)) {
+      const [first, second] = node.arguments;
+      const name = node.expression.text;
+      if (
+        name === "prefix" &&
+        prefix &&
+        !prefixBlock &&
+        first &&
+        ts.isStringLiteralLike(first) &&
+        first.text === prefix
+      ) {
+        prefixBlock = node;
+      } else if (name === "render" && !renderRoutes && second && ts.isArrayLiteralExpression(second)) {
+        renderRoutes = second;
+      } else if (name === "defineApp" && !appRoutes && first && ts.isArrayLiteralExpression(first)) {
+        appRoutes = first;
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
 
-  // Create the directory first
-  const dirPath = path.join(componentsDir, componentName);
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath);
+  if (prefix) {
+    if (!prefixBlock) {
+      throw new Error(`No prefix("${prefix}", [...]) block found in the worker`);
+    }
+    const routes = prefixBlock.arguments[1];
+    if (!routes || !ts.isArrayLiteralExpression(routes)) {
+      throw new Error(
+        `prefix("${prefix}", ...) takes routes from another file; add the route there instead`
+      );
+    }
+    return routes;
   }
 
-  // Move the file to new location
-  const newPath = path.join(dirPath, `${componentName}.tsx`);
-  fs.writeFileSync(newPath, sourceContent);
+  if (!renderRoutes && !appRoutes) {
+    throw new Error("No render() or defineApp() routes found in the worker");
+  }
+  return renderRoutes || appRoutes;
+}
+
+/**
+ * Add a page's route and import to the worker
+ * @param {string} workerPath - Path to the worker
+ * @param {Object} page - `{ name, routePath, prefix, file }`, the file without extension
+ * @returns {Promise<string>} - The route that was added
+ */
+async function addRouteToWorker(workerPath, { name, routePath, prefix, file }) {
+  // Loaded here so the other generators work in projects without TypeScript
+  const { default: ts } = await import("typescript");
+  const content = fs.readFileSync(workerPath, "utf-8");
+  const sourceFile = ts.createSourceFile(
+    workerPath,
+    content,
+    ts.ScriptTarget.Latest,
+    true,
+    ts.ScriptKind.TSX
+  );
+  const edits = [];
 
-  // Delete the original file
-  fs.unlinkSync(sourcePath);
+  // Use the name `route` is imported with, adding it to the imports if needed
+  const imports = sourceFile.statements.filter(ts.isImportDeclaration);
+  const routerImport = imports.find(
+    (statement) => statement.moduleSpecifier.text === "rwsdk/router"
+  );
+  const namedImports = routerImport?.importClause?.namedBindings;
+  const routeImport =
+    namedImports && ts.isNamedImports(namedImports)
+      ? namedImports.elements.find(
+          (element) => (element.propertyName || element.name).text === "route"
+        )
+      : null;
+  const routeName = routeImport ? routeImport.name.text : "route";
+  const lastImportEnd = imports.length > 0 ? imports[imports.length - 1].end : 0;
+  const newImports = [];
+
+  if (!routeImport) {
+    if (namedImports && ts.isNamedImports(namedImports) && namedImports.elements.length > 0) {
+      // `import { render, } from ...` already ends with a comma
+      edits.push({
+        position: namedImports.elements.end,
+        text: namedImports.elements.hasTrailingComma ? " route" : ", route",
+      });
+    } else {
+      newImports.push('import { route } from "rwsdk/router";');
+    }
+  }
+
+  // Follow the worker's own import style: "@/app/pages/..." through the
+  // tsconfig alias, or relative
+  const alias = loadImportAliases(ts).aliases.find(
+    (candidate) => candidate.prefix === "@/" && candidate.suffix === ""
+  );
+  const usesAlias = imports.some((statement) =>
+    statement.moduleSpecifier.text.startsWith("@/")
+  );
+  const specifier =
+    alias && usesAlias && file.startsWith(alias.targetPrefix)
+      ? `@/${path.relative(alias.targetPrefix, file).split(path.sep).join("/")}`
+      : relativeImport(workerPath, file);
+  if (!imports.some((statement) => statement.moduleSpecifier.text === specifier)) {
+    newImports.push(`import { ${name} } from "${specifier}";`);
+  }
+  if (newImports.length > 0) {
+    const text = newImports.join("\n");
+    edits.push(
+      lastImportEnd > 0
+        ? { position: lastImportEnd, text: `\n${text}` }
+        : { position: 0, text: `${text}\n\n` }
+    );
+  }
+
+  const routes = findRoutesArray(ts, sourceFile, prefix);
+  const statement = `${routeName}("${routePath}", ${name})`;
+  const elements = routes.elements;
+  if (elements.length === 0) {
+    const indent = lineIndent(content, routes.getStart());
+    edits.push({
+      position: routes.end - 1,
+      text: `\n${indent}  ${statement},\n${indent}`,
+    });
+  } else {
+    const last = elements[elements.length - 1];
+    const multiline = content.slice(routes.getStart(), routes.end).includes("\n");
+    edits.push({
+      position: last.end,
+      text: multiline
+        ? `,\n${lineIndent(content, last.getStart())}${statement}`
+        : `, ${statement}`,
+    });
+  }
+
+  // Apply from the end so earlier positions stay valid
+  let updated = content;
+  for (const edit of edits.sort((a, b) => b.position - a.position)) {
+    updated = updated.slice(0, edit.position) + edit.text + updated.slice(edit.position);
+  }
+  writeProjectFile(workerPath, updated);
+
+  return statement;
+}
+
+const SOURCE_EXTENSIONS = [".tsx", ".ts", ".jsx", ".js", ".mjs", ".cjs"];
+
+/**
+ * List the files in a directory and its subdirectories
+ */
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === "node_modules" || entry.name.startsWith(".")) continue;
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(entryPath));
+    } else {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * List the source files in a directory and its subdirectories
+ */
+function listSourceFiles(dir) {
+  return listFiles(dir).filter((file) =>
+    SOURCE_EXTENSIONS.includes(path.extname(file))
+  );
+}
+
+/**
+ * Split a path into the path without its source extension and the extension
+ */
+function splitExtension(filePath) {
+  const extension = path.extname(filePath);
+  return SOURCE_EXTENSIONS.includes(extension)
+    ? [filePath.slice(0, -extension.length), extension]
+    : [filePath, ""];
+}
+
+/**
+ * Read the import aliases from tsconfig.json: each "paths" pattern with the
+ * directory it maps to, and the baseUrl
+ */
+function loadImportAliases(ts) {
+  const projectRoot = process.cwd();
+  const configPath = ts.findConfigFile(projectRoot, ts.sys.fileExists, "tsconfig.json");
+  // The RWSDK starter maps "@/*" to "src/*"
+  let paths = { "@/*": ["./src/*"] };
+  let baseDir = projectRoot;
+  let baseUrl = null;
+
+  if (configPath) {
+    const { config } = ts.readConfigFile(configPath, ts.sys.readFile);
+    const { options } = ts.parseJsonConfigFileContent(
+      config || {},
+      ts.sys,
+      path.dirname(configPath)
+    );
+    paths = options.paths || {};
+    baseUrl = options.baseUrl || null;
+    baseDir = options.baseUrl || options.pathsBasePath || path.dirname(configPath);
+  }
+
+  const aliases = Object.entries(paths)
+    .filter(([, targets]) => targets.length > 0)
+    .map(([pattern, [target]]) => {
+      const [prefix, suffix = null] = pattern.split("*");
+      const [targetPrefix, targetSuffix = ""] = path.resolve(baseDir, target).split("*");
+      return { prefix, suffix, targetPrefix, targetSuffix };
+    });
+  return { aliases, baseUrl };
+}
+
+// Build output, which imports the components too but isn't rewritten
+const BUILD_DIRECTORIES = ["dist", "build", "out", "coverage"];
+
+/**
+ * List the project's own source files: the files tsconfig.json includes, or
+ * without one every source file. node_modules, dot directories and build
+ * output are skipped either way.
+ */
+function listProjectSourceFiles(ts) {
+  const projectRoot = process.cwd();
+  const configPath = ts.findConfigFile(projectRoot, ts.sys.fileExists, "tsconfig.json");
+  let files = listSourceFiles(projectRoot);
+
+  if (configPath) {
+    const { config } = ts.readConfigFile(configPath, ts.sys.readFile);
+    const { fileNames } = ts.parseJsonConfigFileContent(
+      config || {},
+      ts.sys,
+      path.dirname(configPath)
+    );
+    files = fileNames
+      .map((file) => path.resolve(file))
+      .filter((file) => SOURCE_EXTENSIONS.includes(path.extname(file)) && !file.endsWith(".d.ts"));
+  }
+
+  return files.filter((file) => {
+    const parts = path.relative(projectRoot, file).split(path.sep);
+    // ".." for files outside the project
+    return (
+      !BUILD_DIRECTORIES.includes(parts[0]) &&
+      !parts.some((part) => part === "node_modules" || part.startsWith("."))
+    );
+  });
+}
+
+/**
+ * Whether an import or re-export only uses the given names, so it can import
+ * them from a component's index.ts instead of the component file
+ */
+function importsOnly(ts, literal, names) {
+  const declaration = literal.parent;
+  if (ts.isImportDeclaration(declaration)) {
+    const clause = declaration.importClause;
+    if (!clause) return true;
+    if (clause.name) return false;
+    const bindings = clause.namedBindings;
+    return !bindings || ts.isNamespaceImport(bindings) ||
+      bindings.elements.every((element) => names.includes((element.propertyName || element.name).text));
+  }
+  if (ts.isExportDeclaration(declaration)) {
+    return !!declaration.exportClause && ts.isNamedExports(declaration.exportClause) &&
+      declaration.exportClause.elements.every((element) =>
+        names.includes((element.propertyName || element.name).text)
+      );
+  }
+  // import() and require() get the whole module
   return true;
 }
 
+/**
+ * Resolve an import specifier to the path it points at, without checking
+ * that it exists. Returns null for package imports.
+ */
+function resolveSpecifier(specifier, importerDir, { aliases, baseUrl }) {
+  if (specifier.startsWith(".")) {
+    return { kind: "relative", path: path.resolve(importerDir, specifier) };
+  }
+  for (const alias of aliases) {
+    if (alias.suffix === null) {
+      if (specifier === alias.prefix) {
+        return { kind: "alias", alias, path: alias.targetPrefix };
+      }
+    } else if (
+      specifier.startsWith(alias.prefix) &&
+      specifier.endsWith(alias.suffix) &&
+      specifier.length >= alias.prefix.length + alias.suffix.length
+    ) {
+      const match = specifier.slice(
+        alias.prefix.length,
+        specifier.length - alias.suffix.length
+      );
+      return {
+        kind: "alias",
+        alias,
+        path: path.resolve(`${alias.targetPrefix}${match}${alias.targetSuffix}`),
+      };
+    }
+  }
+  return baseUrl ? { kind: "baseUrl", path: path.resolve(baseUrl, specifier) } : null;
+}
+
+/**
+ * Write the specifier for an import of `target` in the same style as the
+ * original: relative, through the same alias or from the baseUrl
+ */
+function formatSpecifier(resolved, target, importerDir, { baseUrl }) {
+  if (resolved.kind === "relative") {
+    return relativeImport(path.join(importerDir, "index"), target);
+  }
+  if (resolved.kind === "baseUrl") {
+    return path.relative(baseUrl, target).split(path.sep).join("/");
+  }
+  const { alias } = resolved;
+  if (
+    alias.suffix !== null &&
+    target.startsWith(alias.targetPrefix) &&
+    target.endsWith(alias.targetSuffix)
+  ) {
+    const match = target.slice(
+      alias.targetPrefix.length,
+      target.length - alias.targetSuffix.length
+    );
+    return `${alias.prefix}${match.split(path.sep).join("/")}${alias.suffix}`;
+  }
+  // The alias can't express the new location
+  return relativeImport(path.join(importerDir, "index"), target);
+}
+
+/**
+ * Find the module specifiers in a file: imports, re-exports, import() and
+ * require() calls
+ */
+function findSpecifiers(ts, sourceFile) {
+  const specifiers = [];
+  const visit = (node) => {
+    if (
+      (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) &&
+      node.moduleSpecifier &&
+      ts.isStringLiteral(node.moduleSpecifier)
+    ) {
+      specifiers.push(node.moduleSpecifier);
+    } else if (
+      ts.isCallExpression(node) &&
+      (node.expression.kind === ts.SyntaxKind.ImportKeyword ||
+        (ts.isIdentifier(node.expression) && node.expression.text === "require")) &&
+      node.arguments.length > 0 &&
+      ts.isStringLiteral(node.arguments[0])
+    ) {
+      specifiers.push(node.arguments[0]);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return specifiers;
+}
+
+/**
+ * Create a type checker for a single file, without its imports or the
+ * standard library, to resolve which declaration each identifier refers to
+ */
+function createFileChecker(ts, sourceFile) {
+  const options = {
+    allowJs: true,
+    jsx: ts.JsxEmit.Preserve,
+    noLib: true,
+    noResolve: true,
+    types: [],
+  };
+  const host = ts.createCompilerHost(options);
+  const { getSourceFile } = host;
+  host.getSourceFile = (fileName, ...rest) =>
+    path.resolve(fileName) === path.resolve(sourceFile.fileName)
+      ? sourceFile
+      : getSourceFile(fileName, ...rest);
+  return ts.createProgram([sourceFile.fileName], options, host).getTypeChecker();
+}
+
+/**
+ * Find the names of the top-level declarations in a file that are named in
+ * `names`, e.g. the component's function and its props interface
+ */
+function findTopLevelDeclarations(ts, sourceFile, names) {
+  const declarations = [];
+  for (const statement of sourceFile.statements) {
+    if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name) && names.has(declaration.name.text)) {
+          declarations.push(declaration.name);
+        }
+      }
+    } else if (
+      (ts.isFunctionDeclaration(statement) ||
+        ts.isClassDeclaration(statement) ||
+        ts.isInterfaceDeclaration(statement) ||
+        ts.isTypeAliasDeclaration(statement) ||
+        ts.isEnumDeclaration(statement)) &&
+      statement.name &&
+      names.has(statement.name.text)
+    ) {
+      declarations.push(statement.name);
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Find the edits that rename the identifiers that refer to the given
+ * declarations (a map of old to new names). Other bindings with the same
+ * name, such as a parameter or an object key, are left alone.
+ * @param {Array<Object>} declarations - The name nodes of the declarations or
+ *   imports to rename
+ * @param {boolean} keepExportedNames - Keep the names of `export { Button }`
+ *   in a file that only imports the component
+ */
+function findIdentifierRenames(ts, sourceFile, names, declarations, keepExportedNames) {
+  const checker = createFileChecker(ts, sourceFile);
+  // Exported declarations have a local and an export symbol
+  const symbolOf = (symbol) => symbol && checker.getExportSymbolOfSymbol(symbol);
+  const targets = new Set(
+    declarations.map((name) => symbolOf(checker.getSymbolAtLocation(name)))
+  );
+  const edits = [];
+  const visit = (node) => {
+    if (ts.isIdentifier(node) && names.has(node.text)) {
+      const { parent } = node;
+      const newName = names.get(node.text);
+      const rename = (text) => edits.push({ start: node.getStart(), end: node.end, text });
+      if (ts.isShorthandPropertyAssignment(parent) && parent.name === node) {
+        // `{ Button }` keeps its key
+        if (targets.has(symbolOf(checker.getShorthandAssignmentValueSymbol(parent)))) {
+          rename(`${node.text}: ${newName}`);
+        }
+      } else if (ts.isExportSpecifier(parent) && !parent.parent.parent.moduleSpecifier) {
+        const isLocalName = (parent.propertyName || parent.name) === node;
+        if (isLocalName && targets.has(symbolOf(checker.getExportSpecifierLocalTargetSymbol(parent)))) {
+          rename(
+            keepExportedNames && !parent.propertyName ? `${newName} as ${node.text}` : newName
+          );
+        }
+      } else if (targets.has(symbolOf(checker.getSymbolAtLocation(node)))) {
+        rename(newName);
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return edits;
+}
+
+/**
+ * Remove the `as`, `satisfies` and parentheses around an expression
+ */
+function unwrapExpression(ts, expression) {
+  while (
+    ts.isAsExpression(expression) ||
+    ts.isSatisfiesExpression(expression) ||
+    ts.isParenthesizedExpression(expression)
+  ) {
+    expression = expression.expression;
+  }
+  return expression;
+}
+
+/**
+ * Find the edits that rename a component in its story title (the `title` of
+ * the default export) and in the name of its test's describe() blocks
+ */
+function findStringRenames(ts, sourceFile, rename) {
+  const pattern = new RegExp(`\\b${rename.from}\\b`, "g");
+  const literals = [];
+
+  // export default { title: "..." }, or export default meta
+  const defaultExport = sourceFile.statements.find(
+    (statement) => ts.isExportAssignment(statement) && !statement.isExportEquals
+  );
+  let meta = defaultExport && unwrapExpression(ts, defaultExport.expression);
+  if (meta && ts.isIdentifier(meta)) {
+    const declaration = sourceFile.statements
+      .filter(ts.isVariableStatement)
+      .flatMap((statement) => statement.declarationList.declarations)
+      .find((declaration) => ts.isIdentifier(declaration.name) && declaration.name.text === meta.text);
+    meta = declaration?.initializer && unwrapExpression(ts, declaration.initializer);
+  }
+  if (meta && ts.isObjectLiteralExpression(meta)) {
+    const title = meta.properties.find(
+      (property) =>
+        ts.isPropertyAssignment(property) &&
+        (ts.isIdentifier(property.name) || ts.isStringLiteral(property.name)) &&
+        property.name.text === "title"
+    );
+    if (title) literals.push(title.initializer);
+  }
+
+  // describe("..."), describe.skip("...")
+  const visit = (node) => {
+    if (ts.isCallExpression(node) && node.arguments.length > 0) {
+      const callee = ts.isPropertyAccessExpression(node.expression)
+        ? node.expression.expression
+        : node.expression;
+      if (ts.isIdentifier(callee) && callee.text === "describe") {
+        literals.push(node.arguments[0]);
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  return literals
+    .filter(
+      (literal) =>
+        (ts.isStringLiteral(literal) || ts.isNoSubstitutionTemplateLiteral(literal)) &&
+        literal.text.match(pattern)
+    )
+    .map((literal) => {
+      const start = literal.getStart() + 1;
+      const raw = sourceFile.text.slice(start, literal.end - 1);
+      return { start, end: literal.end - 1, text: raw.replace(pattern, rename.to) };
+    });
+}
+
+/**
+ * Update the imports across the project after files were moved: imports of the moved
+ * files, and the relative imports in the moved files themselves. With a
+ * rename, the component and its props are renamed in the moved files and in
+ * the files that import them.
+ * @param {Array<Object>} moves - `{ from, to, barrel }` absolute paths of the
+ *   files and directories, already moved unless this is a dry run. `barrel`
+ *   lists the names the index.ts next to `to` exports: imports of only those
+ *   names keep importing the directory.
+ * @param {Object} rename - `{ from, to }` component names, or null
+ * @returns {Promise<string[]>} - The files that changed, relative to the project root
+ */
+async function rewriteImports(moves, rename = null) {
+  // Loaded here so the other generators work in projects without TypeScript
+  const { default: ts } = await import("typescript");
+  const projectRoot = process.cwd();
+  const aliasConfig = loadImportAliases(ts);
+  const movedFrom = new Map(moves.map((move) => [splitExtension(move.from)[0], move]));
+  // With --dry-run the moved files are still where they were
+  const movedFiles = new Map(moves.map((move) => [isDryRun() ? move.from : move.to, move]));
+  const renames = new Map(
+    rename
+      ? [
+          [rename.from, rename.to],
+          [`${rename.from}Props`, `${rename.to}Props`],
+        ]
+      : []
+  );
+  const changedFiles = [];
+
+  // Everything tsconfig.json includes, not only src/: tests, stories and
+  // scripts import components too
+  for (const file of listProjectSourceFiles(ts)) {
+    // Resolve the imports of a moved file from where it was, and write them
+    // for where it is
+    const isMoved = movedFiles.has(file);
+    const importerDir = path.dirname(isMoved ? movedFiles.get(file).from : file);
+    const filePath = isMoved ? movedFiles.get(file).to : file;
+    const content = fs.readFileSync(file, "utf-8");
+    const sourceFile = ts.createSourceFile(file, content, ts.ScriptTarget.Latest, true);
+    const specifiers = findSpecifiers(ts, sourceFile);
+    const edits = [];
+    // The component's declarations, or the imports of it, to rename
+    // throughout the file
+    const localRenames = new Map(isMoved ? renames : []);
+    const renamedDeclarations = isMoved ? findTopLevelDeclarations(ts, sourceFile, renames) : [];
+
+    for (const literal of specifiers) {
+      const resolved = resolveSpecifier(literal.text, importerDir, aliasConfig);
+      if (!resolved) continue;
+
+      const [withoutExtension, extension] = splitExtension(resolved.path);
+      const move = movedFrom.get(withoutExtension);
+      if (!move && (resolved.kind !== "relative" || !isMoved)) continue;
+
+      // Keep the extension the import was written with, if any, and the
+      // directory import of a component that has an index.ts
+      const target = !move
+        ? resolved.path
+        : move.barrel && !extension && importsOnly(ts, literal, move.barrel)
+          ? path.dirname(move.to)
+          : `${splitExtension(move.to)[0]}${extension}`;
+      const specifier = formatSpecifier(resolved, target, path.dirname(filePath), aliasConfig);
+      if (specifier !== literal.text) {
+        edits.push({ start: literal.getStart() + 1, end: literal.end - 1, text: specifier });
+      }
+
+      if (!move || renames.size === 0) continue;
+      const declaration = literal.parent;
+      const elements = ts.isImportDeclaration(declaration)
+        ? declaration.importClause?.namedBindings?.elements
+        : ts.isExportDeclaration(declaration)
+          ? declaration.exportClause?.elements
+          : null;
+      for (const element of elements || []) {
+        const renameElement = (name, text = renames.get(name.text)) =>
+          edits.push({ start: name.getStart(), end: name.end, text });
+        if (ts.isExportDeclaration(declaration)) {
+          if (isMoved) {
+            // The component's own re-exports, e.g. its index.ts, follow the new name
+            for (const name of [element.propertyName, element.name]) {
+              if (name && renames.has(name.text)) renameElement(name);
+            }
+          } else if (element.propertyName) {
+            if (renames.has(element.propertyName.text)) renameElement(element.propertyName);
+          } else if (renames.has(element.name.text)) {
+            // Other re-exports keep their exported name
+            renameElement(element.name, `${renames.get(element.name.text)} as ${element.name.text}`);
+          }
+        } else if (element.propertyName) {
+          // `{ Button as Primary }` keeps its local name
+          if (renames.has(element.propertyName.text)) renameElement(element.propertyName);
+        } else if (renames.has(element.name.text)) {
+          localRenames.set(element.name.text, renames.get(element.name.text));
+          renamedDeclarations.push(element.name);
+        }
+      }
+    }
+
+    if (renamedDeclarations.length > 0) {
+      edits.push(
+        ...findIdentifierRenames(ts, sourceFile, localRenames, renamedDeclarations, !isMoved)
+      );
+    }
+    if (isMoved && rename) {
+      edits.push(...findStringRenames(ts, sourceFile, rename));
+    }
+
+    if (edits.length > 0) {
+      // The same identifier can be found twice, e.g. in `export { Button }`
+      const uniqueEdits = [...new Map(edits.map((edit) => [edit.start, edit])).values()];
+      let updated = content;
+      for (const edit of uniqueEdits.sort((a, b) => b.start - a.start)) {
+        updated = updated.slice(0, edit.start) + edit.text + updated.slice(edit.end);
+      }
+      writeProjectFile(file, updated);
+      changedFiles.push(path.relative(projectRoot, filePath).split(path.sep).join("/"));
+    }
+  }
+
+  return changedFiles;
+}
+
+/**
+ * Rename a component or move it to another directory, together with the
+ * files named after it, and update the imports and names that refer to it
+ * @param {string} componentsRoot - Absolute path of the components directory
+ * @param {Object} options - `{ component, name, directory }`: the component
+ *   relative to the components directory (e.g. "ui/Button"), its new name and
+ *   its new directory relative to the components directory
+ * @returns {Promise<Object>} - `{ from, to, changedFiles }`, absolute paths of
+ *   the component's folder or file and the files whose imports changed
+ */
+async function moveComponent(componentsRoot, { component, name, directory }) {
+  const oldName = path.basename(component);
+  const oldParent = path.join(componentsRoot, path.dirname(component));
+  const newParent = path.join(componentsRoot, directory);
+  const folderPath = path.join(oldParent, oldName);
+  const isFolder = fs.existsSync(folderPath) && fs.statSync(folderPath).isDirectory();
+  // Button.tsx, Button.stories.tsx, Button.module.css, ... follow the name
+  const renameFile = (file) =>
+    file.startsWith(`${oldName}.`) ? `${name}${file.slice(oldName.length)}` : file;
+
+  const moves = [];
+  let from;
+  let to;
+  if (isFolder) {
+    from = folderPath;
+    to = path.join(newParent, name);
+    moves.push({ from, to });
+    for (const file of listFiles(folderPath)) {
+      const relativePath = path.relative(folderPath, file);
+      moves.push({
+        from: file,
+        to: path.join(
+          to,
+          path.dirname(relativePath) === "." ? renameFile(relativePath) : relativePath
+        ),
+      });
+    }
+  } else {
+    from = path.join(oldParent, `${oldName}.tsx`);
+    to = path.join(newParent, `${name}.tsx`);
+    if (!fs.existsSync(from)) {
+      throw new Error(`Component ${component} not found in ${path.relative(process.cwd(), componentsRoot)}`);
+    }
+    for (const file of fs.readdirSync(oldParent)) {
+      const filePath = path.join(oldParent, file);
+      if (file.startsWith(`${oldName}.`) && fs.statSync(filePath).isFile()) {
+        moves.push({ from: filePath, to: path.join(newParent, renameFile(file)) });
+      }
+    }
+  }
+
+  if (from === to) {
+    throw new Error(`${component} already has that name and directory`);
+  }
+  const existing = moves.find((move) => fs.existsSync(move.to));
+  if (existing) {
+    throw new Error(`${path.relative(process.cwd(), existing.to)} already exists`);
+  }
+
+  // File by file, the folder itself is only in `moves` for the imports of it
+  for (const move of isFolder ? moves.slice(1) : moves) {
+    moveProjectFile(move.from, move.to);
+  }
+  if (isFolder) removeEmptyDirs(from);
+
+  const changedFiles = await rewriteImports(
+    moves,
+    name === oldName ? null : { from: oldName, to: name }
+  );
+  return { from, to, changedFiles };
+}
+
+// Run commands of the package managers. This file is copied into projects
+// and can't use rwsdk-tools' lib/packageManager.js, so keep this and
+// detectPackageManager() in sync with it.
+const packageManagerRun = {
+  npm: (script) => `npm run ${script}`,
+  yarn: (script) => `yarn ${script}`,
+  pnpm: (script) => `pnpm ${script}`,
+  bun: (script) => `bun run ${script}`,
+};
+
+/**
+ * Detect the project's package manager: RWSDK_TOOLS_PM (set by --pm), then
+ * the packageManager field of package.json, then the lockfile in the project
+ * or a parent directory. Defaults to pnpm.
+ */
+function detectPackageManager() {
+  const override = process.env.RWSDK_TOOLS_PM;
+  if (packageManagerRun[override]) return override;
+
+  try {
+    const { packageManager } = JSON.parse(
+      fs.readFileSync(path.join(process.cwd(), "package.json"), "utf-8")
+    );
+    const name = packageManager && packageManager.split("@")[0];
+    if (packageManagerRun[name]) return name;
+  } catch (error) {
+    // Fall through to the lockfile check
+  }
+
+  const lockfiles = [
+    ["pnpm-lock.yaml", "pnpm"],
+    ["bun.lockb", "bun"],
+    ["bun.lock", "bun"],
+    ["yarn.lock", "yarn"],
+    ["package-lock.json", "npm"],
+  ];
+  let dir = process.cwd();
+  while (true) {
+    const match = lockfiles.find(([file]) => fs.existsSync(path.join(dir, file)));
+    if (match) return match[1];
+    if (path.dirname(dir) === dir) return "pnpm";
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Convert a name to kebab case, e.g. "UserProfile" -> "user-profile"
+ */
+function toKebabCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/[\s_]+/g, "-")
+    .toLowerCase();
+}
+
+/**
+ * Convert a name to camel case, e.g. "UserProfile" -> "userProfile"
+ */
+function toCamelCase(name) {
+  return toKebabCase(name).replace(/-([a-z0-9])/g, (match, char) =>
+    char.toUpperCase()
+  );
+}
+
+/**
+ * Find who to credit in templates: "component.author" in the config, the git
+ * user or the package.json author
+ */
+function findAuthor(componentConfig) {
+  if (typeof componentConfig.author === "string") {
+    return componentConfig.author;
+  }
+  try {
+    const gitUser = execSync("git config user.name", {
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+    if (gitUser) return gitUser;
+  } catch (error) {
+    // Not a git repository or no user configured
+  }
+  try {
+    const { author } = JSON.parse(
+      fs.readFileSync(path.join(process.cwd(), "package.json"), "utf-8")
+    );
+    return (typeof author === "string" ? author : author?.name) || "";
+  } catch (error) {
+    return "";
+  }
+}
+
 export default function (plop) {
   // Helper to read template content
   plop.setHelper("readTemplate", (templateName) => {
@@ -75,16 +1027,148 @@ export default function (plop) {
     return options;
   };
   
+  // Read rwsdk-tools.config.json from the project root, if there is one
+  const loadProjectConfig = () => {
+    const configPath = path.join(process.cwd(), "rwsdk-tools.config.json");
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    } catch (error) {
+      // Plop reports errors thrown here but still exits with status 0
+      console.error(`Invalid rwsdk-tools.config.json: ${error.message}`);
+      process.exit(1);
+    }
+  };
+
   // Get command line arguments
   const cmdArgs = parseCommandLineArgs();
+  const projectConfig = loadProjectConfig();
+
+  // Project paths, which can be overridden with "paths" in the config
+  const projectPaths = projectConfig.paths || {};
+  const componentsDir = projectPaths.components || "src/app/components";
+  const pagesDir = `${projectPaths.app || "src/app"}/pages`;
+  const workerFile = projectPaths.worker || "src/worker.tsx";
+
+  // Answer the prompts the flags left open from the "component" config
+  const componentConfig = projectConfig.component || {};
+  if (cmdArgs.structure === undefined && componentConfig.structure) {
+    cmdArgs.structure = componentConfig.structure;
+  }
+  if (cmdArgs.withStories === undefined && typeof componentConfig.stories === "boolean") {
+    cmdArgs.withStories = componentConfig.stories;
+  }
+  if (cmdArgs.withTests === undefined && typeof componentConfig.tests === "boolean") {
+    cmdArgs.withTests = componentConfig.tests;
+  }
+
+  // Templates in the override directory replace the bundled ones with the
+  // same file name, e.g. plop-templates/overrides/component.hbs
+  const overridesDir = componentConfig.templates || "plop-templates/overrides";
+  const templateFile = (dir, file) => {
+    const override = path.join(process.cwd(), overridesDir, file);
+    return fs.existsSync(override) ? override : `plop-templates/${dir}/${file}`;
+  };
+
+  // Variables every template gets besides the prompt answers
+  let author;
+  const templateData = (name, directory) => {
+    if (author === undefined) author = findAuthor(componentConfig);
+    return {
+      kebabName: toKebabCase(name),
+      camelName: toCamelCase(name),
+      directory,
+      author,
+    };
+  };
+
+  // With --yes, "yes": true or without a TTY, use the defaults instead of prompting
+  const nonInteractive =
+    process.argv.includes("--yes") ||
+    process.env.RWSDK_TOOLS_YES === "1" ||
+    projectConfig.yes === true ||
+    !process.stdin.isTTY;
+  if (nonInteractive) {
+    if (cmdArgs.structure === undefined) cmdArgs.structure = "folder";
+    if (cmdArgs.withStories === undefined) cmdArgs.withStories = true;
+    if (cmdArgs.withTests === undefined) cmdArgs.withTests = true;
+  }
   
+  // Plop's add actions write their files themselves: print them instead with
+  // --dry-run, otherwise journal them before plop writes them
+  const journalActions = (actions, data) =>
+    actions.filter((action) => {
+      if (action.type !== "add") return true;
+      const filePath = path.resolve(
+        plop.getDestBasePath(),
+        plop.renderString(action.path, { ...action.data, ...data })
+      );
+      const exists = fs.existsSync(filePath);
+      if (exists && !action.force) return true;
+      if (isDryRun()) {
+        logPlan(`${exists ? "Update" : "Create"} ${displayPath(filePath)}`);
+        return false;
+      }
+      ensureProjectDir(path.dirname(filePath));
+      recordFile(filePath);
+      return true;
+    });
+
+  // Register a generator. Without prompting, the prompts are answered by the
+  // arguments (`plop page About /about`) and their defaults; a missing
+  // required argument fails with the generator's usage instead of waiting
+  // for input that never comes.
+  const [generatorName, ...positionalArgs] = process.argv
+    .slice(2)
+    .filter((arg) => !arg.startsWith("-"));
+  const setGenerator = (name, { usage, ...generator }) => {
+    const { actions } = generator;
+    const getActions = (data) =>
+      journalActions(typeof actions === "function" ? actions(data) : actions || [], data);
+    if (!nonInteractive || name !== generatorName) {
+      plop.setGenerator(name, { ...generator, actions: getActions });
+      return;
+    }
+
+    // "_" skips an argument, like a missing one
+    const skipped = generator.prompts
+      .filter((prompt, index) => [undefined, "_"].includes(positionalArgs[index]))
+      .filter((prompt) =>
+        typeof prompt.when === "function" ? prompt.when({}) : prompt.when !== false
+      );
+    if (skipped.some((prompt) => prompt.default === undefined)) {
+      console.error(`Missing arguments. Usage: plop ${usage}`);
+      console.error('Prompts are skipped with --yes, "yes": true or without a TTY.');
+      process.exit(1);
+    }
+
+    plop.setGenerator(name, {
+      ...generator,
+      prompts: generator.prompts.map((prompt) =>
+        skipped.includes(prompt) ? { ...prompt, when: false } : prompt
+      ),
+      actions: (data) => {
+        for (const prompt of skipped) {
+          if (data[prompt.name] === undefined) {
+            data[prompt.name] =
+              typeof prompt.default === "function" ? prompt.default(data) : prompt.default;
+          }
+        }
+        return getActions(data);
+      },
+    });
+  };
+
   // Keep the action type for backward compatibility
   plop.setActionType('parseArgs', function(answers, config) {
     return 'Args parsed';
   });
 
   // Create new component
-  plop.setGenerator("component", {
+  setGenerator("component", {
+    usage: "component <Name> [--file|--folder] [--stories|--no-stories] [--tests|--no-tests]",
     description: "Create a new component with optional stories and tests",
     prompts: [
       {
@@ -137,6 +1221,13 @@ export default function (plop) {
     actions: function(data) {
       // Apply command line arguments to the data
       Object.assign(data, cmdArgs);
+      Object.assign(
+        data,
+        templateData(
+          data.name,
+          data.structure === "folder" ? `${componentsDir}/${data.name}` : componentsDir
+        )
+      );
       
       const actions = [];
       
@@ -144,23 +1235,23 @@ export default function (plop) {
         // Add component in folder
         actions.push({
           type: "add",
-          path: "src/app/components/{{name}}/{{name}}.tsx",
-          templateFile: "plop-templates/component/component.hbs",
+          path: `${componentsDir}/{{name}}/{{name}}.tsx`,
+          templateFile: templateFile("component", "component.hbs"),
         });
         
         // Add index file for folder structure
         actions.push({
           type: "add",
-          path: "src/app/components/{{name}}/index.ts",
-          templateFile: "plop-templates/component/index.hbs",
+          path: `${componentsDir}/{{name}}/index.ts`,
+          templateFile: templateFile("component", "index.hbs"),
         });
         
         // Conditionally add stories
         if (data.withStories) {
           actions.push({
             type: "add",
-            path: "src/app/components/{{name}}/{{name}}.stories.tsx",
-            templateFile: "plop-templates/component/stories.hbs",
+            path: `${componentsDir}/{{name}}/{{name}}.stories.tsx`,
+            templateFile: templateFile("component", "stories.hbs"),
           });
         }
         
@@ -168,24 +1259,24 @@ export default function (plop) {
         if (data.withTests) {
           actions.push({
             type: "add",
-            path: "src/app/components/{{name}}/{{name}}.test.tsx",
-            templateFile: "plop-templates/component/test.hbs",
+            path: `${componentsDir}/{{name}}/{{name}}.test.tsx`,
+            templateFile: templateFile("component", "test.hbs"),
           });
         }
       } else {
         // Add component as single file
         actions.push({
           type: "add",
-          path: "src/app/components/{{name}}.tsx",
-          templateFile: "plop-templates/component/component.hbs",
+          path: `${componentsDir}/{{name}}.tsx`,
+          templateFile: templateFile("component", "component.hbs"),
         });
         
         // Conditionally add stories as single file
         if (data.withStories) {
           actions.push({
             type: "add",
-            path: "src/app/components/{{name}}.stories.tsx",
-            templateFile: "plop-templates/component/stories.hbs",
+            path: `${componentsDir}/{{name}}.stories.tsx`,
+            templateFile: templateFile("component", "stories.hbs"),
           });
         }
         
@@ -193,8 +1284,8 @@ export default function (plop) {
         if (data.withTests) {
           actions.push({
             type: "add",
-            path: "src/app/components/{{name}}.test.tsx",
-            templateFile: "plop-templates/component/test.hbs",
+            path: `${componentsDir}/{{name}}.test.tsx`,
+            templateFile: templateFile("component", "test.hbs"),
           });
         }
       }
@@ -203,8 +1294,225 @@ export default function (plop) {
     }
   });
 
+  // Add the route and import of a new page to the worker
+  plop.setActionType("addRoute", async (answers) => {
+    const statement = await addRouteToWorker(path.join(process.cwd(), workerFile), {
+      name: answers.name,
+      routePath: answers.routePath,
+      prefix: answers.prefix,
+      file: path.join(process.cwd(), pagesDir, answers.name, answers.name),
+    });
+    return `${workerFile}: ${answers.prefix ? `prefix("${answers.prefix}") ` : ""}${statement}`;
+  });
+
+  // List the files whose imports were updated
+  const describeChangedFiles = (changedFiles) => {
+    if (changedFiles.length === 0) {
+      return "no imports to update";
+    }
+    return `updated imports in ${changedFiles.length} file${
+      changedFiles.length === 1 ? "" : "s"
+    }:\n${changedFiles.map((file) => `   ${file}`).join("\n")}`;
+  };
+
+  // Point the imports in src/ at the files a generator moved
+  plop.setActionType("rewriteImports", async (answers, config) => {
+    return describeChangedFiles(await rewriteImports(config.moves));
+  });
+
+  // Rename or move a component and update everything that refers to it
+  plop.setActionType("moveComponent", async (answers, config) => {
+    const { from, to, changedFiles } = await moveComponent(
+      path.join(process.cwd(), componentsDir),
+      config
+    );
+    const relativePath = (file) => path.relative(process.cwd(), file).split(path.sep).join("/");
+    return `moved ${relativePath(from)} to ${relativePath(to)}, ${describeChangedFiles(changedFiles)}`;
+  });
+
+  // Regenerate links.ts with the project's routes script
+  plop.setActionType("generateLinks", () => {
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.join(process.cwd(), "package.json"), "utf-8")
+    );
+    if (!(packageJson.scripts && packageJson.scripts.routes)) {
+      return "links not regenerated: install the routes generator with npx rwsdk-tools routes";
+    }
+    const command = packageManagerRun[detectPackageManager()]("routes");
+    if (isDryRun()) {
+      logPlan(`Run ${command}`);
+      return "links not regenerated in a dry run";
+    }
+    execSync(command, { stdio: "inherit" });
+    return "links regenerated";
+  });
+
+  // Create a page and wire it into the worker
+  setGenerator("page", {
+    usage: "page <Name> [routePath] [prefix]",
+    description: "Create a page, add its route to the worker and regenerate the links",
+    prompts: [
+      {
+        type: "input",
+        name: "name",
+        message: "Page name:",
+        validate: (value) => {
+          if (/^[A-Z][A-Za-z0-9]*$/.test(value)) return true;
+          return "Page name must be PascalCase, e.g. UserProfile";
+        },
+      },
+      {
+        type: "input",
+        name: "routePath",
+        message: "Route path:",
+        default: (answers) => `/${toKebabCase(answers.name)}`,
+        validate: (value) => {
+          if (value.startsWith("/")) return true;
+          return "Route path must start with /";
+        },
+      },
+      {
+        type: "input",
+        name: "prefix",
+        message: "Add it inside a prefix() block (e.g. /admin, empty for none):",
+        default: "",
+      },
+    ],
+    actions: (data) => {
+      Object.assign(data, templateData(data.name, `${pagesDir}/${data.name}`));
+      return [
+        {
+          type: "add",
+          path: `${pagesDir}/{{name}}/{{name}}.tsx`,
+          templateFile: templateFile("page", "page.hbs"),
+        },
+        { type: "addRoute" },
+        { type: "generateLinks" },
+      ];
+    },
+  });
+
+  // Create a "use server" module and a client component that calls it
+  setGenerator("server-function", {
+    usage: "server-function <name> [functions] [directory]",
+    description: "Create server functions and a client call site for them",
+    prompts: [
+      {
+        type: "input",
+        name: "name",
+        message: "Feature name (e.g. todos):",
+        validate: (value) => {
+          if (/^[A-Za-z][A-Za-z0-9-]*$/.test(value)) return true;
+          return "Feature name must start with a letter, e.g. todos";
+        },
+      },
+      {
+        type: "input",
+        name: "actions",
+        message: "Server functions (comma-separated):",
+        default: (answers) => `create${plop.getHelper("pascalCase")(answers.name)}`,
+        validate: (value) => {
+          const names = value.split(",").map((name) => name.trim());
+          if (names.every((name) => /^[a-z][A-Za-z0-9]*$/.test(name))) return true;
+          return "Server functions must be camelCase names, e.g. createTodo, deleteTodo";
+        },
+      },
+      {
+        type: "input",
+        name: "directory",
+        message: "Directory:",
+        default: (answers) => `${pagesDir}/${answers.name}`,
+      },
+    ],
+    actions: (data) => {
+      // Each function gets its own input type, e.g. createTodo -> CreateTodoInput
+      data.actions = data.actions
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .map((name) => ({
+          name,
+          inputType: `${name[0].toUpperCase()}${name.slice(1)}Input`,
+        }));
+      Object.assign(data, templateData(data.name, data.directory));
+
+      return [
+        {
+          type: "add",
+          path: "{{directory}}/functions.ts",
+          templateFile: templateFile("server-function", "functions.hbs"),
+        },
+        {
+          type: "add",
+          path: "{{directory}}/{{pascalCase name}}Actions.tsx",
+          templateFile: templateFile("server-function", "call-site.hbs"),
+        },
+      ];
+    },
+  });
+
+  // Create a "use client" component
+  setGenerator("client-component", {
+    usage: "client-component <Name> [--file|--folder]",
+    description: "Create a client component that renders the same markup on the server",
+    prompts: [
+      {
+        type: "input",
+        name: "name",
+        message: "Component name:",
+        validate: (value) => {
+          if (/^[A-Z][A-Za-z0-9]*$/.test(value)) return true;
+          return "Component name must be PascalCase, e.g. ThemeToggle";
+        },
+      },
+      {
+        type: "list",
+        name: "structure",
+        message: "Component structure:",
+        choices: [
+          { name: "Folder structure (component in its own folder)", value: "folder" },
+          { name: "Single file (no folder)", value: "file" },
+        ],
+        default: "folder",
+        when: () => cmdArgs.structure === undefined,
+      },
+    ],
+    actions: (data) => {
+      const structure = cmdArgs.structure || data.structure;
+      Object.assign(
+        data,
+        templateData(
+          data.name,
+          structure === "file" ? componentsDir : `${componentsDir}/${data.name}`
+        )
+      );
+      if (structure === "file") {
+        return [
+          {
+            type: "add",
+            path: `${componentsDir}/{{name}}.tsx`,
+            templateFile: templateFile("client-component", "client-component.hbs"),
+          },
+        ];
+      }
+      return [
+        {
+          type: "add",
+          path: `${componentsDir}/{{name}}/{{name}}.tsx`,
+          templateFile: templateFile("client-component", "client-component.hbs"),
+        },
+        {
+          type: "add",
+          path: `${componentsDir}/{{name}}/index.ts`,
+          templateFile: templateFile("component", "index.hbs"),
+        },
+      ];
+    },
+  });
+
   // Restructure existing component
-  plop.setGenerator("restructure", {
+  setGenerator("restructure", {
+    usage: "restructure <Name>",
     description: "Restructure an existing component into its own folder",
     prompts: [
       {
@@ -216,77 +1524,135 @@ export default function (plop) {
     actions: (data) => {
       const sourcePath = path.join(
         process.cwd(),
-        "src/app/components",
+        componentsDir,
         `${data.name}.tsx`
       );
       if (!fs.existsSync(sourcePath)) {
         throw new Error(`Component ${data.name}.tsx does not exist`);
       }
 
-      // Read the content before deleting
-      const sourceContent = fs.readFileSync(sourcePath, "utf-8");
-
-      // Create the directory first
-      const dirPath = path.join(process.cwd(), "src/app/components", data.name);
-      if (!fs.existsSync(dirPath)) {
-        fs.mkdirSync(dirPath);
-      }
+      const newPath = path.join(process.cwd(), componentsDir, data.name, `${data.name}.tsx`);
+      moveProjectFile(sourcePath, newPath);
 
-      // Move the file to new location
-      const newPath = path.join(dirPath, `${data.name}.tsx`);
-      fs.writeFileSync(newPath, sourceContent);
-
-      // Delete the original file
-      fs.unlinkSync(sourcePath);
+      Object.assign(data, templateData(data.name, `${componentsDir}/${data.name}`));
 
       return [
         {
           type: "add",
-          path: "src/app/components/{{name}}/{{name}}.stories.tsx",
+          path: `${componentsDir}/{{name}}/{{name}}.stories.tsx`,
           force: true,
-          templateFile: "plop-templates/component/stories.hbs",
+          templateFile: templateFile("component", "stories.hbs"),
         },
         {
           type: "add",
-          path: "src/app/components/{{name}}/{{name}}.test.tsx",
+          path: `${componentsDir}/{{name}}/{{name}}.test.tsx`,
           force: true,
-          templateFile: "plop-templates/component/test.hbs",
+          templateFile: templateFile("component", "test.hbs"),
         },
         {
           type: "add",
-          path: "src/app/components/{{name}}/index.ts",
+          path: `${componentsDir}/{{name}}/index.ts`,
           force: true,
-          templateFile: "plop-templates/component/index.hbs",
+          templateFile: templateFile("component", "index.hbs"),
+        },
+        {
+          type: "rewriteImports",
+          moves: [{ from: sourcePath, to: newPath, barrel: [data.name] }],
         },
       ];
     },
   });
 
+  // Where a component is, relative to the components directory: its folder
+  // or its file without extension
+  const componentPrompt = {
+    type: "input",
+    name: "component",
+    message: `Component (relative to ${componentsDir}, e.g. ui/Button):`,
+    validate: (value) => {
+      const componentPath = path.join(process.cwd(), componentsDir, value);
+      if (value && (fs.existsSync(componentPath) || fs.existsSync(`${componentPath}.tsx`))) {
+        return true;
+      }
+      return `No component ${value} in ${componentsDir}`;
+    },
+  };
+
+  // Rename a component in place
+  setGenerator("component:rename", {
+    usage: "component:rename <component> <NewName>",
+    description: "Rename a component, its files, props, story and tests, and update its imports",
+    prompts: [
+      componentPrompt,
+      {
+        type: "input",
+        name: "name",
+        message: "New name:",
+        validate: (value) => {
+          if (/^[A-Z][A-Za-z0-9]*$/.test(value)) return true;
+          return "Component name must be PascalCase, e.g. UserCard";
+        },
+      },
+    ],
+    actions: (data) => [
+      {
+        type: "moveComponent",
+        component: data.component,
+        name: data.name,
+        directory: path.dirname(data.component),
+      },
+    ],
+  });
+
+  // Move a component to another directory
+  setGenerator("component:move", {
+    usage: "component:move <component> [directory]",
+    description: "Move a component to another directory and update its imports",
+    prompts: [
+      componentPrompt,
+      {
+        type: "input",
+        name: "directory",
+        message: `Move it to (relative to ${componentsDir}, empty for the top level):`,
+        default: "",
+      },
+    ],
+    actions: (data) => [
+      {
+        type: "moveComponent",
+        component: data.component,
+        name: path.basename(data.component),
+        directory: data.directory,
+      },
+    ],
+  });
+
   // Batch restructure all components in a directory
-  plop.setGenerator("restructure-all", {
+  setGenerator("restructure-all", {
+    usage: "restructure-all [directory]",
     description: "Restructure all components in a directory",
     prompts: [
       {
         type: "input",
-        name: "directory",
-        message: "Directory to restructure (relative to src/app/components):",
+        name: "subdirectory",
+        message: `Directory to restructure (relative to ${componentsDir}):`,
         default: "",
       },
     ],
     actions: (data) => {
-      const componentsDir = path.join(
+      const directoryPath = path.join(
         process.cwd(),
-        "src/app/components",
-        data.directory
+        componentsDir,
+        data.subdirectory
       );
-      const files = fs.readdirSync(componentsDir);
+      const files = fs.readdirSync(directoryPath);
 
       const componentFiles = files.filter(
         (file) =>
           file.endsWith(".tsx") &&
           !file.includes(".test.tsx") &&
           !file.includes(".stories.tsx") &&
-          fs.statSync(path.join(componentsDir, file)).isFile()
+          fs.statSync(path.join(directoryPath, file)).isFile()
       );
 
       const components = componentFiles.map((file) =>
@@ -295,53 +1661,69 @@ export default function (plop) {
       const restructuredComponents = [];
 
       for (const component of components) {
-        if (restructureComponent(component, componentsDir)) {
+        if (restructureComponent(component, directoryPath)) {
           restructuredComponents.push(component);
         }
       }
 
       const actions = [];
       for (const component of restructuredComponents) {
+        const componentData = {
+          name: component,
+          ...templateData(
+            component,
+            path.posix.join(componentsDir, data.subdirectory, component)
+          ),
+        };
         actions.push(
           {
             type: "add",
             path: path.join(
-              "src/app/components",
-              data.directory,
+              componentsDir,
+              data.subdirectory,
               component,
               `${component}.stories.tsx`
             ),
             force: true,
-            templateFile: "plop-templates/component/stories.hbs",
-            data: { name: component },
+            templateFile: templateFile("component", "stories.hbs"),
+            data: componentData,
           },
           {
             type: "add",
             path: path.join(
-              "src/app/components",
-              data.directory,
+              componentsDir,
+              data.subdirectory,
               component,
               `${component}.test.tsx`
             ),
             force: true,
-            templateFile: "plop-templates/component/test.hbs",
-            data: { name: component },
+            templateFile: templateFile("component", "test.hbs"),
+            data: componentData,
           },
           {
             type: "add",
             path: path.join(
-              "src/app/components",
-              data.directory,
+              componentsDir,
+              data.subdirectory,
               component,
               "index.ts"
             ),
             force: true,
-            templateFile: "plop-templates/component/index.hbs",
-            data: { name: component },
+            templateFile: templateFile("component", "index.hbs"),
+            data: componentData,
           }
         );
       }
 
+      actions.push({
+        type: "rewriteImports",
+        moves: restructuredComponents.map((component) => ({
+          from: path.join(directoryPath, `${component}.tsx`),
+          to: path.join(directoryPath, component, `${component}.tsx`),
+          barrel: [component],
+        })),
+      });
+
       console.log(
         `\nRestructured ${restructuredComponents.length} components:`
       );
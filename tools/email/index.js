@@ -8,13 +8,10 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
 const readline = require('readline');
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const { writeFile, ensureDir, runCommand, addPackages } = require('../../lib/operations');
+const { getPackageManager } = require('../../lib/packageManager');
+const { CONFIG_FILE, loadConfig, getPaths, isInteractive } = require('../../lib/config');
 
 /**
  * Main function to set up email functionality
@@ -25,7 +22,7 @@ async function setupEmail() {
   try {
     // Step 1: Install resend
     console.log('\n\x1b[33m1. Installing resend package...\x1b[0m');
-    execSync('pnpm add resend', { stdio: 'inherit' });
+    addPackages(['resend']);
     console.log('\x1b[32m✓ Resend package installed successfully!\x1b[0m');
 
     // Step 2: Add RESEND_API to .env file
@@ -40,11 +37,10 @@ async function setupEmail() {
 
     // Step 4: Ask about react-email
     console.log('\n\x1b[33m4. Would you like to install react-email? (y/n)\x1b[0m');
-    const answer = await askQuestion('This will set up a react-email project for creating email templates: ');
 
-    if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
+    if (await shouldInstallReactEmail()) {
       console.log('\n\x1b[33mInstalling react-email...\x1b[0m');
-      execSync('npx create-email@latest', { stdio: 'inherit' });
+      runCommand(getPackageManager().dlx('create-email@latest'), { stdio: 'inherit' });
       console.log('\x1b[32m✓ react-email installed successfully!\x1b[0m');
     } else {
       console.log('\x1b[33mSkipping react-email installation.\x1b[0m');
@@ -54,17 +50,49 @@ async function setupEmail() {
     console.log('\n\x1b[1mNext steps:\x1b[0m');
     console.log('  1. Add your Resend API key to the .env file');
     console.log('  2. Import and use the resend client in your application');
-    console.log('     Example: import { resend } from "src/app/lib/email"');
+    console.log(`     Example: import { resend } from "${getPaths().lib}/email"`);
     console.log('\n  Documentation: https://resend.com/docs\n');
 
   } catch (error) {
     console.error(`\x1b[31mError setting up email: ${error.message}\x1b[0m`);
     process.exit(1);
-  } finally {
-    rl.close();
   }
 }
 
+/**
+ * Decide whether to install react-email
+ *
+ * The --react-email/--no-react-email flags win, then `email.reactEmail` in
+ * rwsdk-tools.config.json. Otherwise the user is asked, unless prompts are
+ * disabled (--yes or no TTY), in which case react-email is skipped.
+ * @returns {Promise<boolean>} - Whether to install react-email
+ */
+async function shouldInstallReactEmail() {
+  const args = process.argv.slice(2);
+  if (args.includes('--react-email')) {
+    console.log('Answered by --react-email: yes');
+    return true;
+  }
+  if (args.includes('--no-react-email')) {
+    console.log('Answered by --no-react-email: no');
+    return false;
+  }
+
+  const { email = {} } = loadConfig();
+  if (typeof email.reactEmail === 'boolean') {
+    console.log(`Answered by ${CONFIG_FILE}: ${email.reactEmail ? 'yes' : 'no'}`);
+    return email.reactEmail;
+  }
+
+  if (!isInteractive()) {
+    console.log('Not prompting (non-interactive): no');
+    return false;
+  }
+
+  const answer = await askQuestion('This will set up a react-email project for creating email templates: ');
+  return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
+}
+
 /**
  * Add RESEND_API to .env file
  */
@@ -81,7 +109,7 @@ function addToEnvFile() {
     
     if (!envContent.includes('RESEND_API=')) {
       const newContent = envContent + (envContent.endsWith('\n') ? '' : '\n') + 'RESEND_API=\n';
-      fs.writeFileSync(envPath, newContent);
+      writeFile(envPath, newContent);
     }
   } catch (error) {
     console.warn(`\x1b[33mWarning: Could not update .env file: ${error.message}\x1b[0m`);
@@ -94,7 +122,7 @@ function addToEnvFile() {
       
       if (!envExampleContent.includes('RESEND_API=')) {
         const newContent = envExampleContent + (envExampleContent.endsWith('\n') ? '' : '\n') + 'RESEND_API=your_resend_api_key\n';
-        fs.writeFileSync(envExamplePath, newContent);
+        writeFile(envExamplePath, newContent);
       }
     }
   } catch (error) {
@@ -103,16 +131,14 @@ function addToEnvFile() {
 }
 
 /**
- * Create email.ts file in src/app/lib directory
+ * Create email.ts file in the lib directory (src/app/lib by default)
  */
 function createEmailFile() {
-  const libDir = path.join(process.cwd(), 'src', 'app', 'lib');
+  const libDir = path.join(process.cwd(), getPaths().lib);
   const emailFilePath = path.join(libDir, 'email.ts');
   
   // Create directory if it doesn't exist
-  if (!fs.existsSync(libDir)) {
-    fs.mkdirSync(libDir, { recursive: true });
-  }
+  ensureDir(libDir);
   
   // Create email.ts file
   const emailFileContent = `import { Resend } from "resend";
@@ -121,7 +147,7 @@ import { env } from "cloudflare:workers";
 export const resend = new Resend(env.RESEND_API);
 `;
   
-  fs.writeFileSync(emailFilePath, emailFileContent);
+  writeFile(emailFilePath, emailFileContent);
 }
 
 /**
@@ -130,8 +156,14 @@ export const resend = new Resend(env.RESEND_API);
  * @returns {Promise<string>} - The answer
  */
 function askQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
   return new Promise((resolve) => {
     rl.question(question, (answer) => {
+      rl.close();
       resolve(answer);
     });
   });
@@ -1,200 +1,1593 @@
 #!/usr/bin/env node
 
 import * as fs from 'fs/promises';
+import { existsSync, readFileSync, realpathSync, watch, type FSWatcher } from 'fs';
+import { createRequire } from 'module';
 import * as path from 'path';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
 
-interface RouteMatch {
-  route: string;
-  startIndex: number;
-  endIndex: number;
+// A route served by the router
+export interface RouteInfo {
+  // The full path, including the prefixes
+  path: string;
+  // Where the route() or index() call is
+  file: string;
+  line: number;
+  // The handler or page component, e.g. 'UserPage' or 'inline function'
+  handler: string | null;
+  // The HTTP methods of an API route, whose handler returns a Response
+  // instead of rendering a page, or null for pages
+  methods: string[] | null;
+  // The prefix() paths around the route, outermost first
+  prefixes: string[];
+  // The route arrays spread into the routes on the way to it, outermost first
+  spreads: string[];
 }
 
-interface ImportInfo {
-  originalName?: string;
-  path: string;
-  isRouteFile?: boolean;
+// Where collectRoutes is in the route tree
+interface RouteScope {
+  prefix: string;
+  prefixes: string[];
+  spreads: string[];
+}
+
+// A parsed module and its top-level bindings
+interface ModuleInfo {
+  filePath: string;
+  sourceFile: ts.SourceFile;
+  // Local name -> imported module specifier and name ('default' for default imports)
+  imports: Map<string, { specifier: string; name: string }>;
+  // Top-level `const x = ...` and function declarations
+  locals: Map<string, ts.Expression | ts.FunctionDeclaration>;
+  // Exported name -> local name, or the module and name it is re-exported from
+  exports: Map<string, { local?: string; specifier?: string; name?: string }>;
+  // `export * from '...'`
+  starExports: string[];
+}
+
+// An expression or function declaration and the module it was found in
+interface ResolvedExpression {
+  module: ModuleInfo;
+  expression: ts.Expression | ts.FunctionDeclaration;
 }
 
-async function findMatchingBracket(content: string, startIndex: number): Promise<number> {
-  let count = 1;
-  let i = startIndex;
+interface ProjectPaths {
+  worker: string;
+  links: string;
+  api: string;
+  manifest: string;
+  sitemap: string;
+  app: string;
+  addons: string;
+}
+
+// "routes" in rwsdk-tools.config.json
+interface RoutesConfig {
+  // Write the API client when there are API routes (default true)
+  api?: boolean;
+  // Write the route manifest (default true)
+  manifest?: boolean;
+  // Write a sitemap of the static routes, for the site at baseUrl
+  sitemap?: { baseUrl?: string; exclude?: string[] };
+}
 
-  while (count > 0 && i < content.length) {
-    if (content[i] === '[') count++;
-    if (content[i] === ']') count--;
-    i++;
+interface ProjectConfig {
+  paths: ProjectPaths;
+  routes: RoutesConfig;
+}
+
+// Shared by one run of the extraction
+interface ExtractContext {
+  projectRoot: string;
+  warnings: string[];
+  modules: Map<string, ModuleInfo>;
+  // Bindings being resolved, to stop at circular references
+  resolving: Set<string>;
+  // From tsconfig.json, loaded on the first import
+  compilerOptions?: ts.CompilerOptions;
+}
+
+export interface GenerateLinksOptions {
+  cwd?: string;
+}
+
+export interface GenerateLinksResult {
+  routes: string[];
+  workerPath: string;
+  linksPath: string;
+  // The worker and every project file it imports, to watch for changes
+  files: string[];
+  // The API client, or null when there are no API routes or it is turned off
+  apiPath: string | null;
+  // The route manifest, or null when it is turned off
+  manifestPath: string | null;
+  // The sitemap, or null when no base URL is configured
+  sitemapPath: string | null;
+  // Whether any of the files was written, i.e. it was missing or out of date
+  changed: boolean;
+  warnings: string[];
+}
+
+// Paths can be overridden with "paths" in rwsdk-tools.config.json
+async function loadProjectConfig(projectRoot: string): Promise<ProjectConfig> {
+  const defaults: ProjectPaths = {
+    worker: 'src/worker.tsx',
+    links: 'src/app/shared/links.ts',
+    api: 'src/app/shared/api.ts',
+    manifest: 'src/app/shared/routes.manifest.json',
+    sitemap: 'public/sitemap.xml',
+    app: 'src/app',
+    addons: 'src/app/addons',
+  };
+
+  let configContent: string;
+  try {
+    configContent = await fs.readFile(path.resolve(projectRoot, 'rwsdk-tools.config.json'), 'utf-8');
+  } catch {
+    return { paths: defaults, routes: {} };
   }
 
-  return i - 1;
+  try {
+    const config = JSON.parse(configContent);
+    return { paths: { ...defaults, ...(config.paths || {}) }, routes: config.routes || {} };
+  } catch (error) {
+    throw new Error(`Invalid rwsdk-tools.config.json: ${(error as Error).message}`);
+  }
 }
 
-async function resolveImportPath(importPath: string, currentFilePath?: string): Promise<string> {
-  // Convert relative path to absolute
-  let absolutePath = importPath;
-  if (importPath.startsWith('@/')) {
-    absolutePath = path.join(process.cwd(), 'src', importPath.slice(2));
-  } else if (importPath.startsWith('./') || importPath.startsWith('../')) {
-    const basePath = currentFilePath ? path.dirname(currentFilePath) : process.cwd();
-    absolutePath = path.join(basePath, importPath);
+// The compiler options in tsconfig.json, following "extends", for its baseUrl and paths
+function loadCompilerOptions(context: ExtractContext): ts.CompilerOptions {
+  if (context.compilerOptions) {
+    return context.compilerOptions;
   }
 
-  // Try different extensions if no extension is provided
-  if (!absolutePath.endsWith('.ts') && !absolutePath.endsWith('.tsx')) {
-    // Try .ts extension first
-    try {
-      await fs.access(absolutePath + '.ts');
-      return absolutePath + '.ts';
-    } catch (error) {
-      // Try .tsx extension
-      try {
-        await fs.access(absolutePath + '.tsx');
-        return absolutePath + '.tsx';
-      } catch (error) {
-        // If both fail, return the original path with .ts extension
-        return absolutePath + '.ts';
+  let options: ts.CompilerOptions = {};
+  const configPath = path.join(context.projectRoot, 'tsconfig.json');
+  if (ts.sys.fileExists(configPath)) {
+    const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+    if (error) {
+      context.warnings.push(`Could not read tsconfig.json: ${ts.flattenDiagnosticMessageText(error.messageText, '\n')}`);
+    } else {
+      const parsed = ts.parseJsonConfigFileContent(config, ts.sys, context.projectRoot, undefined, configPath);
+      // Only the resolution settings matter here, not which files are included
+      const noInputsFound = 18003;
+      for (const diagnostic of parsed.errors.filter(diagnostic => diagnostic.code !== noInputsFound)) {
+        context.warnings.push(`tsconfig.json: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`);
+      }
+      options = parsed.options;
+    }
+  }
+
+  // Vite resolves imports like a bundler, and route files may be JavaScript
+  context.compilerOptions = {
+    ...options,
+    moduleResolution: options.moduleResolution ?? ts.ModuleResolutionKind.Bundler,
+    allowJs: true,
+  };
+  return context.compilerOptions;
+}
+
+// Whether a specifier matches one of the tsconfig "paths" patterns, e.g. '~/*'
+function matchesPathAlias(options: ts.CompilerOptions, specifier: string): boolean {
+  return Object.keys(options.paths ?? {}).some(pattern => {
+    const [head, tail = ''] = pattern.split('*');
+    return pattern.includes('*')
+      ? specifier.startsWith(head) && specifier.endsWith(tail) && specifier.length >= head.length + tail.length
+      : specifier === pattern;
+  });
+}
+
+// Find a source file for a path without an extension, or with a .js extension
+// standing in for TypeScript, or a directory with an index file
+async function findSourceFile(basePath: string): Promise<string | null> {
+  const candidates = [basePath];
+  const withoutJs = basePath.replace(/\.(m|c)?jsx?$/, '');
+  const extensions = ['.ts', '.tsx', '.js', '.jsx'];
+  candidates.push(...extensions.map(extension => withoutJs + extension));
+  candidates.push(...extensions.map(extension => path.join(basePath, `index${extension}`)));
+
+  for (const candidate of candidates) {
+    const stat = await fs.stat(candidate).catch(() => null);
+    if (stat?.isFile()) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Resolve an import to a file in the project the way TypeScript does, using the
+// baseUrl and paths in tsconfig.json. Returns null for packages, which can't be
+// followed, and a path that doesn't exist for imports that should resolve but don't
+async function resolveImportPath(context: ExtractContext, importPath: string, currentFilePath?: string): Promise<string | null> {
+  const options = loadCompilerOptions(context);
+  const containingFile = currentFilePath ?? path.join(context.projectRoot, 'index.ts');
+  const { resolvedModule } = ts.resolveModuleName(importPath, containingFile, options, ts.sys);
+  if (resolvedModule && !resolvedModule.isExternalLibraryImport && !resolvedModule.resolvedFileName.endsWith('.d.ts')) {
+    return path.resolve(resolvedModule.resolvedFileName);
+  }
+
+  let absolutePath: string;
+  if (importPath.startsWith('./') || importPath.startsWith('../') || path.isAbsolute(importPath)) {
+    absolutePath = path.resolve(currentFilePath ? path.dirname(currentFilePath) : context.projectRoot, importPath);
+  } else if (importPath.startsWith('@/') && !options.paths) {
+    // Without "paths" in tsconfig.json, '@/' is the usual alias for src/
+    absolutePath = path.join(context.projectRoot, 'src', importPath.slice(2));
+  } else if (matchesPathAlias(options, importPath)) {
+    throw new Error(`${importPath} matches "paths" in tsconfig.json but no file was found`);
+  } else {
+    return null;
+  }
+
+  return (await findSourceFile(absolutePath)) ?? absolutePath + '.ts';
+}
+
+function scriptKindFor(filePath: string): ts.ScriptKind {
+  if (filePath.endsWith('.tsx')) {
+    return ts.ScriptKind.TSX;
+  }
+  if (filePath.endsWith('.jsx')) {
+    return ts.ScriptKind.JSX;
+  }
+  return /\.[cm]?js$/.test(filePath) ? ts.ScriptKind.JS : ts.ScriptKind.TS;
+}
+
+async function loadModule(context: ExtractContext, filePath: string): Promise<ModuleInfo> {
+  const cached = context.modules.get(filePath);
+  if (cached) {
+    return cached;
+  }
+
+  const content = await fs.readFile(filePath, 'utf-8');
+  const sourceFile = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKindFor(filePath));
+  const module: ModuleInfo = {
+    filePath,
+    sourceFile,
+    imports: new Map(),
+    locals: new Map(),
+    exports: new Map(),
+    starExports: [],
+  };
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isImportDeclaration(statement) && ts.isStringLiteral(statement.moduleSpecifier)) {
+      const specifier = statement.moduleSpecifier.text;
+      const clause = statement.importClause;
+      if (clause?.name) {
+        module.imports.set(clause.name.text, { specifier, name: 'default' });
+      }
+      if (clause?.namedBindings && ts.isNamedImports(clause.namedBindings)) {
+        for (const element of clause.namedBindings.elements) {
+          const name = (element.propertyName ?? element.name).text;
+          module.imports.set(element.name.text, { specifier, name });
+        }
+      }
+    } else if (ts.isVariableStatement(statement)) {
+      const exported = statement.modifiers?.some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword);
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name) && declaration.initializer) {
+          module.locals.set(declaration.name.text, declaration.initializer);
+          if (exported) {
+            module.exports.set(declaration.name.text, { local: declaration.name.text });
+          }
+        }
+      }
+    } else if (ts.isFunctionDeclaration(statement) && statement.body) {
+      // Handlers: function listUsers() {}, export default function () {}
+      const modifiers = statement.modifiers ?? [];
+      const isDefault = modifiers.some(modifier => modifier.kind === ts.SyntaxKind.DefaultKeyword);
+      const local = statement.name?.text ?? '*default*';
+      module.locals.set(local, statement);
+      if (modifiers.some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword)) {
+        module.exports.set(isDefault ? 'default' : local, { local });
+      }
+    } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      // export default [...]
+      module.locals.set('*default*', statement.expression);
+      module.exports.set('default', { local: '*default*' });
+    } else if (ts.isExportDeclaration(statement)) {
+      const specifier = statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier)
+        ? statement.moduleSpecifier.text
+        : undefined;
+      if (!statement.exportClause) {
+        if (specifier) {
+          module.starExports.push(specifier);
+        }
+      } else if (ts.isNamedExports(statement.exportClause)) {
+        for (const element of statement.exportClause.elements) {
+          const name = (element.propertyName ?? element.name).text;
+          module.exports.set(
+            element.name.text,
+            specifier ? { specifier, name } : { local: name }
+          );
+        }
+      }
+    }
+  }
+
+  context.modules.set(filePath, module);
+  return module;
+}
+
+function describeLocation(module: ModuleInfo, node: ts.Node): { file: string; line: number } {
+  const { line } = module.sourceFile.getLineAndCharacterOfPosition(node.getStart());
+  return { file: module.filePath, line: line + 1 };
+}
+
+function warn(context: ExtractContext, module: ModuleInfo, node: ts.Node, message: string) {
+  const { file, line } = describeLocation(module, node);
+  context.warnings.push(`${message} (${path.relative(context.projectRoot, file)}:${line})`);
+}
+
+// Strip parentheses and type assertions, e.g. `(routes as Route[])`
+function unwrapExpression(expression: ts.Expression): ts.Expression {
+  while (
+    ts.isParenthesizedExpression(expression) ||
+    ts.isAsExpression(expression) ||
+    ts.isSatisfiesExpression(expression) ||
+    ts.isNonNullExpression(expression)
+  ) {
+    expression = expression.expression;
+  }
+  return expression;
+}
+
+async function resolveImportedModule(
+  context: ExtractContext,
+  module: ModuleInfo,
+  specifier: string
+): Promise<ModuleInfo | null> {
+  try {
+    const filePath = await resolveImportPath(context, specifier, module.filePath);
+    // Packages can't be followed
+    return filePath ? await loadModule(context, filePath) : null;
+  } catch (error) {
+    context.warnings.push(
+      `Could not process imported routes from ${specifier}: ${(error as Error).message}`
+    );
+    return null;
+  }
+}
+
+async function resolveExport(
+  context: ExtractContext,
+  module: ModuleInfo,
+  name: string
+): Promise<ResolvedExpression | null> {
+  const key = `${module.filePath}#export:${name}`;
+  if (context.resolving.has(key)) {
+    return null;
+  }
+  context.resolving.add(key);
+
+  try {
+    const exported = module.exports.get(name);
+    if (exported?.local) {
+      return await resolveBinding(context, module, exported.local);
+    }
+    if (exported?.specifier) {
+      const target = await resolveImportedModule(context, module, exported.specifier);
+      return target ? await resolveExport(context, target, exported.name!) : null;
+    }
+
+    // Barrel files: export * from './routes'
+    if (name !== 'default') {
+      for (const specifier of module.starExports) {
+        const target = await resolveImportedModule(context, module, specifier);
+        const resolved = target ? await resolveExport(context, target, name) : null;
+        if (resolved) {
+          return resolved;
+        }
       }
     }
+    return null;
+  } finally {
+    context.resolving.delete(key);
   }
+}
 
-  return absolutePath;
+async function resolveBinding(
+  context: ExtractContext,
+  module: ModuleInfo,
+  name: string
+): Promise<ResolvedExpression | null> {
+  const local = module.locals.get(name);
+  if (local && ts.isFunctionDeclaration(local)) {
+    return { module, expression: local };
+  }
+  if (local) {
+    const expression = unwrapExpression(local);
+    // export default userRoutes
+    if (ts.isIdentifier(expression) && expression.text !== name) {
+      return resolveBinding(context, module, expression.text);
+    }
+    return { module, expression };
+  }
+
+  const imported = module.imports.get(name);
+  if (imported) {
+    const target = await resolveImportedModule(context, module, imported.specifier);
+    return target ? resolveExport(context, target, imported.name) : null;
+  }
+
+  return null;
 }
 
-async function findImportedRoutes(content: string, filePath?: string): Promise<string[]> {
-  const importRegex = /import\s*{\s*([^}]+)\s*}\s*from\s*["']([^"']+)["']/g;
-  const spreadRegex = /\.\.\.([\w]+)\s*,?/g;
-  const prefixVarRegex = /prefix\(\s*["']([^"']+)["']\s*,\s*([\w]+)\s*\)/g;
-  const importedRoutes: string[] = [];
-  let match;
+// The name a call is made with, seen through import aliases of rwsdk's router functions
+function getCalleeName(module: ModuleInfo, call: ts.CallExpression): string | null {
+  const callee = unwrapExpression(call.expression);
+  if (ts.isIdentifier(callee)) {
+    const imported = module.imports.get(callee.text);
+    return imported && imported.specifier.startsWith('rwsdk') ? imported.name : callee.text;
+  }
+  if (ts.isPropertyAccessExpression(callee)) {
+    return callee.name.text;
+  }
+  return null;
+}
 
-  // Find all imports
-  const imports = new Map<string, ImportInfo>();
-  while ((match = importRegex.exec(content)) !== null) {
-    const [, importNames, importPath] = match;
-    const names = importNames.split(',').map(n => n.trim());
+// Evaluate a route path: string literals, template literals and concatenations of constants
+function evaluateString(module: ModuleInfo, node: ts.Expression, seen = new Set<string>()): string | null {
+  const expression = unwrapExpression(node);
 
-    for (const name of names) {
-      if (name.includes(' as ')) {
-        const [originalName, alias] = name.split(' as ').map(n => n.trim());
-        imports.set(alias, { originalName, path: importPath });
+  if (ts.isStringLiteral(expression) || ts.isNoSubstitutionTemplateLiteral(expression)) {
+    return expression.text;
+  }
+  if (ts.isTemplateExpression(expression)) {
+    let result = expression.head.text;
+    for (const span of expression.templateSpans) {
+      const value = evaluateString(module, span.expression, seen);
+      if (value === null) {
+        return null;
+      }
+      result += value + span.literal.text;
+    }
+    return result;
+  }
+  if (ts.isBinaryExpression(expression) && expression.operatorToken.kind === ts.SyntaxKind.PlusToken) {
+    const left = evaluateString(module, expression.left, seen);
+    const right = evaluateString(module, expression.right, seen);
+    return left === null || right === null ? null : left + right;
+  }
+  if (ts.isIdentifier(expression) && !seen.has(expression.text)) {
+    const local = module.locals.get(expression.text);
+    if (local && !ts.isFunctionDeclaration(local)) {
+      seen.add(expression.text);
+      return evaluateString(module, local, seen);
+    }
+  }
+  return null;
+}
+
+// Name the handler of a route for the route list
+function describeHandler(module: ModuleInfo, node: ts.Expression | undefined): string | null {
+  if (!node) {
+    return null;
+  }
+  const expression = unwrapExpression(node);
+
+  if (ts.isIdentifier(expression) || ts.isPropertyAccessExpression(expression)) {
+    return expression.getText(module.sourceFile);
+  }
+  // Interrupters come first: [isAuthenticated, UserPage]
+  if (ts.isArrayLiteralExpression(expression)) {
+    const last = expression.elements[expression.elements.length - 1];
+    return last && !ts.isSpreadElement(last) ? describeHandler(module, last) : null;
+  }
+  if (ts.isArrowFunction(expression) || ts.isFunctionExpression(expression)) {
+    return expression.name ? expression.name.text : 'inline function';
+  }
+  // Handlers per HTTP method: { get: listUsers, post: createUser }
+  if (ts.isObjectLiteralExpression(expression)) {
+    const names = expression.properties.map(property =>
+      property.name ? property.name.getText(module.sourceFile) : '...'
+    );
+    return `{ ${names.join(', ')} }`;
+  }
+  return null;
+}
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// A handler function is an API handler when it builds a Response and renders no
+// JSX. Its methods are the ones it compares `request.method` with, or GET. A
+// handler that only branches on some methods and falls through to another
+// response, e.g. `if (request.method === 'POST') ...; return Response.json(...)`,
+// serves GET as well, unless it rejects the others with `request.method !== ...`.
+function findFunctionMethods(handler: ts.FunctionLikeDeclaration): string[] | null {
+  let rendersJsx = false;
+  let buildsResponse = false;
+  let rejectsOthers = false;
+  let hasDefaultCase = false;
+  const methods = new Set<string>();
+  const addMethod = (node: ts.Node) => {
+    if (ts.isStringLiteralLike(node) && HTTP_METHODS.includes(node.text.toUpperCase())) {
+      methods.add(node.text.toUpperCase());
+    }
+  };
+  const isMethodAccess = (node: ts.Node) => ts.isPropertyAccessExpression(node) && node.name.text === 'method';
+
+  const visit = (node: ts.Node) => {
+    if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node)) {
+      rendersJsx = true;
+    } else if (ts.isIdentifier(node) && node.text === 'Response') {
+      buildsResponse = true;
+    } else if (ts.isBinaryExpression(node) && /^[!=]==?$/.test(node.operatorToken.getText())) {
+      // request.method === 'POST'
+      if (isMethodAccess(node.left)) {
+        addMethod(node.right);
+      }
+      if (isMethodAccess(node.right)) {
+        addMethod(node.left);
+      }
+      if ((isMethodAccess(node.left) || isMethodAccess(node.right)) && node.operatorToken.getText().startsWith('!')) {
+        rejectsOthers = true;
+      }
+    } else if (ts.isSwitchStatement(node) && isMethodAccess(node.expression)) {
+      for (const clause of node.caseBlock.clauses) {
+        if (ts.isCaseClause(clause)) {
+          addMethod(clause.expression);
+        } else {
+          hasDefaultCase = true;
+        }
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  if (handler.body) {
+    visit(handler.body);
+  }
+
+  if (rendersJsx || !buildsResponse) {
+    return null;
+  }
+  // A return outside of the method checks, or an arrow function's expression
+  // body, other than a 405 Method Not Allowed
+  const fallsThrough =
+    handler.body !== undefined &&
+    (!ts.isBlock(handler.body) ||
+      handler.body.statements.some(statement => ts.isReturnStatement(statement) && !/\b405\b/.test(statement.getText())));
+  if (!rejectsOthers && (fallsThrough || hasDefaultCase)) {
+    methods.add('GET');
+  }
+  return methods.size > 0 ? HTTP_METHODS.filter(method => methods.has(method)) : ['GET'];
+}
+
+// The HTTP methods of an API route, or null when the handler renders a page
+async function findApiMethods(
+  context: ExtractContext,
+  module: ModuleInfo,
+  node: ts.Expression | ts.FunctionDeclaration | undefined
+): Promise<string[] | null> {
+  if (!node) {
+    return null;
+  }
+  if (ts.isFunctionDeclaration(node)) {
+    return findFunctionMethods(node);
+  }
+  const expression = unwrapExpression(node);
+
+  if (ts.isArrowFunction(expression) || ts.isFunctionExpression(expression)) {
+    return findFunctionMethods(expression);
+  }
+  if (ts.isArrayLiteralExpression(expression)) {
+    const last = expression.elements[expression.elements.length - 1];
+    return last && !ts.isSpreadElement(last) ? findApiMethods(context, module, last) : null;
+  }
+  // Handlers per HTTP method: { get: listUsers, post: createUser }
+  if (ts.isObjectLiteralExpression(expression)) {
+    const methods = expression.properties
+      .map(property => (property.name ? property.name.getText(module.sourceFile).replace(/['"]/g, '').toUpperCase() : ''))
+      .filter(method => HTTP_METHODS.includes(method));
+    return methods.length > 0 ? methods : null;
+  }
+  if (ts.isIdentifier(expression)) {
+    const resolved = await resolveBinding(context, module, expression.text);
+    return resolved ? findApiMethods(context, resolved.module, resolved.expression) : null;
+  }
+  return null;
+}
+
+async function collectRoutes(
+  context: ExtractContext,
+  module: ModuleInfo,
+  node: ts.Expression,
+  scope: RouteScope
+): Promise<RouteInfo[]> {
+  const expression = unwrapExpression(node);
+  const { prefix } = scope;
+  const createRoute = async (path: string, handler: ts.Expression | undefined): Promise<RouteInfo> => ({
+    path,
+    ...describeLocation(module, expression),
+    handler: describeHandler(module, handler),
+    methods: await findApiMethods(context, module, handler),
+    prefixes: scope.prefixes,
+    spreads: scope.spreads,
+  });
+
+  if (ts.isArrayLiteralExpression(expression)) {
+    const routes: RouteInfo[] = [];
+    for (const element of expression.elements) {
+      if (ts.isSpreadElement(element)) {
+        const spreads = [...scope.spreads, element.expression.getText(module.sourceFile)];
+        routes.push(...await collectRoutes(context, module, element.expression, { ...scope, spreads }));
       } else {
-        imports.set(name, { path: importPath });
+        routes.push(...await collectRoutes(context, module, element, scope));
       }
     }
+    return routes;
   }
 
-  // Process spread operators (both inside arrays and directly in the render function)
-  while ((match = spreadRegex.exec(content)) !== null) {
-    const variableName = match[1];
-    const importInfo = imports.get(variableName);
+  if (ts.isIdentifier(expression)) {
+    const resolved = await resolveBinding(context, module, expression.text);
+    return resolved && !ts.isFunctionDeclaration(resolved.expression)
+      ? collectRoutes(context, resolved.module, resolved.expression, scope)
+      : [];
+  }
 
-    if (importInfo) {
-      try {
-        const absolutePath = await resolveImportPath(importInfo.path, filePath);
-        const importedContent = await fs.readFile(absolutePath, 'utf-8');
-        const newRoutes = await extractRoutesFromContent(importedContent, '', absolutePath);
-        importedRoutes.push(...newRoutes);
-      } catch (error) {
-        console.warn(`Warning: Could not process imported routes from ${importInfo.path}:`, error);
+  if (!ts.isCallExpression(expression)) {
+    return [];
+  }
+
+  const args = expression.arguments;
+  switch (getCalleeName(module, expression)) {
+    case 'route': {
+      const routePath = args.length > 0 ? evaluateString(module, args[0]) : null;
+      if (routePath === null) {
+        warn(context, module, expression, 'Skipped a route whose path is not a constant string');
+        return [];
+      }
+      return [await createRoute(prefix + routePath, args[1])];
+    }
+    case 'index':
+      return [await createRoute(prefix + '/', args[0])];
+    case 'prefix': {
+      const prefixPath = args.length > 0 ? evaluateString(module, args[0]) : null;
+      if (prefixPath === null) {
+        warn(context, module, expression, 'Skipped a prefix whose path is not a constant string');
+        return [];
       }
+      const prefixScope = {
+        ...scope,
+        prefix: prefix + prefixPath,
+        prefixes: [...scope.prefixes, prefixPath],
+      };
+      return args[1] ? collectRoutes(context, module, args[1], prefixScope) : [];
     }
+    // render(Document, routes) and layout(Layout, routes) wrap routes without changing their paths
+    case 'render':
+    case 'layout':
+      return args[1] ? collectRoutes(context, module, args[1], scope) : [];
+    case 'defineApp':
+      return args[0] ? collectRoutes(context, module, args[0], scope) : [];
+    default:
+      // Middleware and other calls don't add routes
+      return [];
   }
+}
 
-  // Process prefix with variable references (e.g., prefix("/user", userRoutes))
-  while ((match = prefixVarRegex.exec(content)) !== null) {
-    const prefixPath = match[1];
-    const variableName = match[2];
-    const importInfo = imports.get(variableName);
+async function extractRoutes(context: ExtractContext, workerPath: string): Promise<RouteInfo[]> {
+  const worker = await loadModule(context, workerPath);
+  const routes: RouteInfo[] = [];
+  let foundApp = false;
 
-    if (importInfo) {
-      try {
-        const absolutePath = await resolveImportPath(importInfo.path, filePath);
-        const importedContent = await fs.readFile(absolutePath, 'utf-8');
-        const newRoutes = await extractRoutesFromContent(importedContent, prefixPath, absolutePath);
-        importedRoutes.push(...newRoutes);
-      } catch (error) {
-        console.warn(`Warning: Could not process imported routes from ${importInfo.path} with prefix ${prefixPath}:`, error);
+  const visit = async (node: ts.Node): Promise<void> => {
+    if (ts.isCallExpression(node) && getCalleeName(worker, node) === 'defineApp') {
+      foundApp = true;
+      routes.push(...await collectRoutes(context, worker, node, { prefix: '', prefixes: [], spreads: [] }));
+      return;
+    }
+    for (const child of node.getChildren()) {
+      await visit(child);
+    }
+  };
+  await visit(worker.sourceFile);
+
+  if (!foundApp) {
+    context.warnings.push(`No defineApp() call found in ${path.relative(context.projectRoot, workerPath)}`);
+  }
+
+  return routes;
+}
+
+// Params of a route path: `:id`, optional `:slug?` and wildcards, which are named $0, $1, ...
+export function getRouteParams(routePath: string): { name: string; optional: boolean }[] {
+  const params: { name: string; optional: boolean }[] = [];
+  let wildcards = 0;
+
+  for (const match of routePath.matchAll(/:([A-Za-z_$][\w$]*)(\?)?|\*/g)) {
+    if (match[0] === '*') {
+      params.push({ name: `$${wildcards++}`, optional: false });
+    } else {
+      params.push({ name: match[1], optional: match[2] === '?' });
+    }
+  }
+
+  return params;
+}
+
+function renderParamsType(routePath: string): string {
+  const params = getRouteParams(routePath);
+  if (params.length === 0) {
+    return 'Record<string, never>';
+  }
+  return `{ ${params.map(param => `${param.name}${param.optional ? '?' : ''}: string`).join('; ')} }`;
+}
+
+function renderLinksFile(routes: string[]): string {
+  const paramTypes = routes
+    .map(route => `  ${JSON.stringify(route)}: ${renderParamsType(route)};`)
+    .join('\n');
+
+  return `// Generated from the routes in the worker by generateRoutes.ts. Don't edit by hand.
+import { defineLinks } from "rwsdk/router";
+
+export const routePaths = ${JSON.stringify(routes, null, 2)} as const;
+
+export type RoutePath = (typeof routePaths)[number];
+
+export interface RouteParamsMap {
+${paramTypes}
+}
+
+export type RouteParams<P extends RoutePath> = RouteParamsMap[P];
+
+// Params are optional for routes without required params
+type LinkArgs<P extends RoutePath> = {} extends RouteParams<P>
+  ? [params?: RouteParams<P>]
+  : [params: RouteParams<P>];
+
+const linkTo = defineLinks(routePaths) as unknown as (
+  path: string,
+  params?: Record<string, string | undefined>
+) => string;
+
+export const link = <P extends RoutePath>(path: P, ...[params]: LinkArgs<P>): string =>
+  linkTo(path, params);
+`;
+}
+
+// An API client key from a path segment, e.g. 'health-check' -> 'healthCheck'
+function toKey(segment: string): string {
+  const key = segment
+    .split(/[^A-Za-z0-9_$]+/)
+    .filter(Boolean)
+    .map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join('');
+  return /^[0-9]/.test(key) ? `_${key}` : key;
+}
+
+// A node of the API client: the methods of a path and the paths below it
+interface ApiNode {
+  methods: Map<string, string>;
+  children: Map<string, ApiNode>;
+}
+
+function renderApiNode(node: ApiNode, indent: string): string[] {
+  const lines: string[] = [];
+  for (const [method, routePath] of node.methods) {
+    lines.push(`${indent}${method.toLowerCase()}: endpoint(${JSON.stringify(routePath)}, ${JSON.stringify(method)}),`);
+  }
+  for (const [key, child] of node.children) {
+    lines.push(`${indent}${key}: {`, ...renderApiNode(child, indent + '  '), `${indent}},`);
+  }
+  return lines;
+}
+
+// The API client: /api/users/:id becomes api.users.get({ id }). Keys come from
+// the static segments, without a leading 'api'. When a param route would share
+// its key with another route, its params are added: api.usersById.
+function renderApiFile(routes: RouteInfo[], linksImport: string, warnings: string[]): string {
+  const keyed = routes.map(route => {
+    const segments = route.path.split('/').filter(Boolean);
+    const keys = segments.slice(segments[0] === 'api' ? 1 : 0).filter(segment => !/^[:*]/.test(segment)).map(toKey);
+    return { route, keys };
+  });
+
+  const counts = new Map<string, number>();
+  for (const { keys } of keyed) {
+    counts.set(keys.join('.'), (counts.get(keys.join('.')) ?? 0) + 1);
+  }
+  for (const entry of keyed) {
+    const params = getRouteParams(entry.route.path);
+    if (params.length > 0 && counts.get(entry.keys.join('.'))! > 1) {
+      const suffix = params
+        .map(param => (param.name.startsWith('$') ? 'Path' : param.name[0].toUpperCase() + param.name.slice(1)))
+        .join('And');
+      const last = entry.keys.pop();
+      entry.keys.push(last ? `${last}By${suffix}` : `by${suffix}`);
+    }
+  }
+
+  const root: ApiNode = { methods: new Map(), children: new Map() };
+  for (const { route, keys } of keyed) {
+    let node = root;
+    for (const key of keys) {
+      if (!node.children.has(key)) {
+        node.children.set(key, { methods: new Map(), children: new Map() });
+      }
+      node = node.children.get(key)!;
+    }
+    for (const method of route.methods ?? []) {
+      const existing = node.methods.get(method);
+      if (existing) {
+        warnings.push(`Left ${method} ${route.path} out of the API client: ${existing} has the same key`);
+      } else {
+        node.methods.set(method, route.path);
       }
     }
   }
 
-  return importedRoutes;
+  return `// Generated from the API routes in the worker by generateRoutes.ts. Don't edit by hand.
+import { link, type RoutePath, type RouteParams } from ${JSON.stringify(linksImport)};
+
+export interface ApiOptions {
+  // Prepended to the paths, e.g. "https://example.com" when not in the browser
+  baseUrl?: string;
+  fetch?: typeof fetch;
+}
+
+// Params are optional for routes without required params
+type EndpointArgs<P extends RoutePath> = {} extends RouteParams<P>
+  ? [params?: RouteParams<P>, init?: RequestInit]
+  : [params: RouteParams<P>, init?: RequestInit];
+
+const buildPath = link as unknown as (
+  path: string,
+  params?: Record<string, string | undefined>
+) => string;
+
+export const createApi = ({ baseUrl = "", fetch: fetcher = fetch }: ApiOptions = {}) => {
+  const endpoint =
+    <P extends RoutePath>(path: P, method: string) =>
+    (...[params, init]: EndpointArgs<P>): Promise<Response> =>
+      fetcher(baseUrl + buildPath(path, params), { ...init, method });
+
+  return {
+${renderApiNode(root, '    ').join('\n')}
+  };
+};
+
+export const api = createApi();
+`;
 }
 
-async function extractRoutesFromContent(content: string, prefix = '', filePath?: string): Promise<string[]> {
-  const routes: string[] = [];
-  const routeRegex = /route\("([^"]+)"/g;
-  const indexRegex = /index\(/g;
-  const prefixRegex = /prefix\("([^"]+)",\s*\[/g;
+async function writeGeneratedFile(content: string, filePath: string): Promise<boolean> {
+  // Leave an up to date file alone so watchers don't see a change
+  const existing = await readGeneratedFile(filePath);
+  if (existing === content) {
+    return false;
+  }
 
-  let match;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content, 'utf-8');
+  return true;
+}
 
-  // Process imported routes first
-  const importedRoutes = await findImportedRoutes(content, filePath);
-  routes.push(...importedRoutes);
+function readGeneratedFile(filePath: string): Promise<string | null> {
+  return fs.readFile(filePath, 'utf-8').catch(() => null);
+}
 
-  // Find all prefixed route blocks
-  while ((match = prefixRegex.exec(content)) !== null) {
-    const prefixPath = match[1];
-    const startIndex = match.index + match[0].length;
-    const endIndex = await findMatchingBracket(content, startIndex);
-    const nestedContent = content.substring(startIndex, endIndex);
+// Routes that can't all be served as declared
+export class RouteConflictError extends Error {
+  conflicts: string[];
 
-    // Recursively process nested routes with combined prefix
-    const nestedRoutes = await extractRoutesFromContent(
-      nestedContent,
-      prefix + prefixPath,
-      filePath
+  constructor(conflicts: string[]) {
+    super(
+      `Found ${conflicts.length} route conflict${conflicts.length === 1 ? '' : 's'}:\n` +
+        conflicts.map(conflict => `  - ${conflict}`).join('\n')
     );
-    routes.push(...nestedRoutes);
+    this.name = 'RouteConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+// Match the paths a route serves, e.g. /users/:id matches /users/new
+function routePattern(routePath: string): RegExp {
+  let source = '';
+  for (const segment of routePath.split('/').slice(1)) {
+    if (segment === '*') {
+      source += '/.*';
+    } else if (/^:\w+\?$/.test(segment)) {
+      source += '(?:/[^/]+)?';
+    } else if (segment.startsWith(':')) {
+      source += '/[^/]+';
+    } else {
+      source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Paths standing in for everything a route serves: params become a value no
+// static segment has, optional params are left in and out, and wildcards
+// cover one segment and several
+function samplePaths(routePath: string): string[] {
+  const value = '\u0000';
+  let samples = [''];
+  for (const segment of routePath.split('/').slice(1)) {
+    let options = [`/${segment}`];
+    if (segment === '*') {
+      options = [`/${value}`, `/${value}/${value}`];
+    } else if (/^:\w+\?$/.test(segment)) {
+      options = ['', `/${value}`];
+    } else if (segment.startsWith(':')) {
+      options = [`/${value}`];
+    }
+    samples = samples.flatMap(sample => options.map(option => sample + option));
+  }
+  return samples.map(sample => sample || '/');
+}
+
+// Find duplicate paths, routes shadowed by an earlier param or wildcard route,
+// and addons that mount their routes at the same prefix
+function findRouteConflicts(routes: RouteInfo[], projectRoot: string, addonsDir: string): string[] {
+  const conflicts: string[] = [];
+  const where = (route: RouteInfo) => `${path.relative(projectRoot, route.file)}:${route.line}`;
+
+  const declarations = new Map<string, Set<string>>();
+  for (const route of routes) {
+    declarations.set(route.path, (declarations.get(route.path) ?? new Set()).add(where(route)));
+  }
+  for (const [routePath, locations] of declarations) {
+    // The same declaration can be reached twice, e.g. a route array spread in two places
+    if (locations.size > 1) {
+      conflicts.push(`${routePath} is declared more than once (${[...locations].join(', ')})`);
+    }
   }
 
-  // Find all regular routes
-  while ((match = routeRegex.exec(content)) !== null) {
-    // Skip if this route is part of a prefix block (we already processed those)
-    const beforeMatch = content.substring(0, match.index);
-    const lastPrefixIndex = beforeMatch.lastIndexOf('prefix(');
-    const lastBracketIndex = beforeMatch.lastIndexOf(']');
+  // The router serves the first route that matches
+  const reported = new Set<string>();
+  routes.forEach((route, index) => {
+    if (reported.has(route.path)) {
+      return;
+    }
+    const samples = samplePaths(route.path);
+    const shadow = routes.slice(0, index).find(earlier => {
+      const pattern = routePattern(earlier.path);
+      return earlier.path !== route.path && samples.every(sample => pattern.test(sample));
+    });
+    if (shadow) {
+      reported.add(route.path);
+      conflicts.push(
+        `${route.path} (${where(route)}) is never reached: ${shadow.path} (${where(shadow)}) is declared before it and matches it`
+      );
+    }
+  });
 
-    if (lastPrefixIndex === -1 || lastBracketIndex > lastPrefixIndex) {
-      const route = prefix + match[1];
-      routes.push(route);
+  // Prefix -> the addons mounted at it, with a route of each
+  const addonPrefixes = new Map<string, Map<string, RouteInfo>>();
+  for (const route of routes) {
+    const relativeFile = path.relative(addonsDir, route.file);
+    if (route.prefixes.length === 0 || relativeFile.startsWith('..') || path.isAbsolute(relativeFile)) {
+      continue;
+    }
+    const addon = relativeFile.split(path.sep)[0];
+    const prefix = route.prefixes.join('');
+    const addons = addonPrefixes.get(prefix) ?? new Map<string, RouteInfo>();
+    if (!addons.has(addon)) {
+      addons.set(addon, route);
     }
+    addonPrefixes.set(prefix, addons);
   }
+  for (const [prefix, addons] of addonPrefixes) {
+    if (addons.size > 1) {
+      const names = [...addons.keys()].map(addon => `"${addon}"`);
+      const locations = [...addons.values()].map(where).join(', ');
+      conflicts.push(
+        `Addons ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are mounted at the same prefix ${prefix} (${locations})`
+      );
+    }
+  }
+
+  return conflicts;
+}
+
+// Render the links file for the project without writing it
+async function buildLinks(cwd: string) {
+  const projectRoot = path.resolve(cwd);
+  const { paths, routes: routesConfig } = await loadProjectConfig(projectRoot);
+  const workerPath = path.resolve(projectRoot, paths.worker);
+  const linksPath = path.resolve(projectRoot, paths.links);
+  const context: ExtractContext = {
+    projectRoot,
+    warnings: [],
+    modules: new Map(),
+    resolving: new Set(),
+  };
+
+  const routeInfos = await extractRoutes(context, workerPath);
+  const conflicts = findRouteConflicts(routeInfos, projectRoot, path.resolve(projectRoot, paths.addons));
+  // Paths reached twice from the same declaration are listed once
+  const routes = [...new Set(routeInfos.map(route => route.path))];
 
-  // Find index routes (which map to "/")
-  if (indexRegex.test(content)) {
-    routes.push(prefix + "/");
+  return {
+    projectRoot,
+    paths,
+    routesConfig,
+    routeInfos,
+    conflicts,
+    routes,
+    workerPath,
+    linksPath,
+    files: [...context.modules.keys()],
+    content: renderLinksFile(routes),
+    warnings: context.warnings,
+  };
+}
+
+// The routes with their params and where they are declared, for other tools
+function renderManifest(routeInfos: RouteInfo[], projectRoot: string): string {
+  const seen = new Set<string>();
+  const routes = [];
+  for (const route of routeInfos) {
+    if (seen.has(route.path)) {
+      continue;
+    }
+    seen.add(route.path);
+    routes.push({
+      path: route.path,
+      params: getRouteParams(route.path),
+      file: path.relative(projectRoot, route.file).split(path.sep).join('/'),
+      line: route.line,
+    });
   }
+  return JSON.stringify({ routes }, null, 2) + '\n';
+}
 
-  // Remove duplicates
-  return [...new Set(routes)];
+// Whether a route path matches an exclusion, where '*' matches anything
+function isExcluded(routePath: string, exclude: string[]): boolean {
+  return exclude.some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(routePath);
+  });
 }
 
-async function generateLinksFile(routes: string[]) {
-  const content = `import { defineLinks } from "rwsdk/router";
+function escapeXml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
-export const link = defineLinks(${JSON.stringify(routes, null, 2)});
-`;
+// A sitemap of the routes without params, which are the only ones with a single URL
+function renderSitemap(routes: string[], baseUrl: string, exclude: string[]): string {
+  const origin = baseUrl.replace(/\/+$/, '');
+  const urls = routes
+    .filter(routePath => getRouteParams(routePath).length === 0 && !isExcluded(routePath, exclude))
+    .map(routePath => `  <url>\n    <loc>${escapeXml(origin + routePath)}</loc>\n  </url>`);
 
-  await fs.writeFile(
-    path.resolve(process.cwd(), 'src/app/shared/links.ts'),
-    content,
-    'utf-8'
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+// The generated files with their content: the links file, then the API client,
+// the route manifest and the sitemap unless they are turned off. Paths that
+// are not generated are null.
+function renderGeneratedFiles({
+  projectRoot,
+  paths,
+  routesConfig,
+  routeInfos,
+  routes,
+  linksPath,
+  content,
+  warnings,
+}: Awaited<ReturnType<typeof buildLinks>>) {
+  const files = [{ path: linksPath, content }];
+
+  let apiPath: string | null = null;
+  const apiRoutes = routeInfos.filter(
+    (route, index) => route.methods && routeInfos.findIndex(other => other.path === route.path) === index
   );
+  if (routesConfig.api !== false && apiRoutes.length > 0) {
+    apiPath = path.resolve(projectRoot, paths.api);
+    let linksImport = path.relative(path.dirname(apiPath), linksPath).replace(/\.tsx?$/, '').split(path.sep).join('/');
+    if (!linksImport.startsWith('.')) {
+      linksImport = `./${linksImport}`;
+    }
+    files.push({ path: apiPath, content: renderApiFile(apiRoutes, linksImport, warnings) });
+  }
+
+  let manifestPath: string | null = null;
+  if (routesConfig.manifest !== false) {
+    manifestPath = path.resolve(projectRoot, paths.manifest);
+    files.push({ path: manifestPath, content: renderManifest(routeInfos, projectRoot) });
+  }
+
+  let sitemapPath: string | null = null;
+  if (routesConfig.sitemap) {
+    const { baseUrl, exclude = [] } = routesConfig.sitemap;
+    if (!baseUrl) {
+      throw new Error('"routes.sitemap.baseUrl" in rwsdk-tools.config.json is required to generate a sitemap');
+    }
+    sitemapPath = path.resolve(projectRoot, paths.sitemap);
+    files.push({ path: sitemapPath, content: renderSitemap(routes, baseUrl, exclude) });
+  }
+
+  return { apiPath, manifestPath, sitemapPath, files };
 }
 
-async function main() {
+/**
+ * Generate the links file, the API client, the route manifest and the sitemap from the routes in the worker
+ */
+export async function generateLinks({ cwd = process.cwd() }: GenerateLinksOptions = {}): Promise<GenerateLinksResult> {
+  const built = await buildLinks(cwd);
+  const { routes, workerPath, linksPath, files, conflicts, warnings } = built;
+  if (conflicts.length > 0) {
+    throw new RouteConflictError(conflicts);
+  }
+
+  const { apiPath, manifestPath, sitemapPath, files: generated } = renderGeneratedFiles(built);
+  let changed = false;
+  for (const file of generated) {
+    changed = (await writeGeneratedFile(file.content, file.path)) || changed;
+  }
+
+  return { routes, workerPath, linksPath, apiPath, manifestPath, sitemapPath, files, changed, warnings };
+}
+
+export interface ListRoutesResult {
+  // Every route in declaration order, including paths served by several routes
+  routes: RouteInfo[];
+  workerPath: string;
+  // Duplicate, shadowed and colliding routes, which generating the links fails on
+  conflicts: string[];
+  warnings: string[];
+}
+
+/**
+ * List the routes in the worker with where they are declared
+ */
+export async function listRoutes({ cwd = process.cwd() }: GenerateLinksOptions = {}): Promise<ListRoutesResult> {
+  const { routeInfos, workerPath, conflicts, warnings } = await buildLinks(cwd);
+  return { routes: routeInfos, workerPath, conflicts, warnings };
+}
+
+// Formats the changes from a file on disk (null if missing) to its generated
+// content, e.g. createUnifiedDiff from rwsdk-tools' lib/diff.js
+export type CreateDiff = (oldText: string | null, newText: string, fileName: string) => string;
+
+export interface CheckLinksOptions extends GenerateLinksOptions {
+  createDiff?: CreateDiff;
+}
+
+export interface CheckLinksResult {
+  // Whether every generated file matches the one on disk
+  upToDate: boolean;
+  routes: string[];
+  workerPath: string;
+  linksPath: string;
+  // The generated files that are missing or differ from the ones on disk:
+  // the links file, the API client, the route manifest and the sitemap
+  outdatedPaths: string[];
+  // The diffs from the files on disk to the generated ones, or '' when up to
+  // date or without a createDiff option
+  diff: string;
+  warnings: string[];
+}
+
+/**
+ * Check whether the generated files match the routes in the worker, without writing them
+ */
+export async function checkLinks({ cwd = process.cwd(), createDiff }: CheckLinksOptions = {}): Promise<CheckLinksResult> {
+  const built = await buildLinks(cwd);
+  const { projectRoot, routes, workerPath, linksPath, conflicts, warnings } = built;
+  if (conflicts.length > 0) {
+    throw new RouteConflictError(conflicts);
+  }
+
+  const outdatedPaths: string[] = [];
+  const diffs: string[] = [];
+  for (const file of renderGeneratedFiles(built).files) {
+    const existing = await readGeneratedFile(file.path);
+    if (existing === file.content) {
+      continue;
+    }
+    outdatedPaths.push(file.path);
+    if (createDiff) {
+      diffs.push(createDiff(existing, file.content, path.relative(projectRoot, file.path).split(path.sep).join('/')));
+    }
+  }
+
+  return { upToDate: outdatedPaths.length === 0, routes, workerPath, linksPath, outdatedPaths, diff: diffs.join('\n'), warnings };
+}
+
+// A link to a path no route serves
+export interface DeadLink {
+  // The path as written, e.g. '/users/new'
+  target: string;
+  // link('/users/:id'), href="/users/1", or a redirect or Location header
+  kind: 'link' | 'href' | 'redirect';
+  file: string;
+  line: number;
+}
+
+export interface FindDeadLinksResult {
+  deadLinks: DeadLink[];
+  // The files that were scanned
+  files: string[];
+  warnings: string[];
+}
+
+// Source files under a directory, skipping dependencies
+async function listSourceFiles(dir: string): Promise<string[]> {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files: string[] = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== 'node_modules') {
+      files.push(...await listSourceFiles(entryPath));
+    } else if (entry.isFile() && /\.[jt]sx?$/.test(entry.name) && !entry.name.endsWith('.d.ts')) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+// The first argument of a call, if it is a string
+function firstStringArgument(call: ts.CallExpression): string | null {
+  const [argument] = call.arguments;
+  return argument && ts.isStringLiteralLike(argument) ? argument.text : null;
+}
+
+// Elements whose href loads an asset, e.g. <link rel="icon" href="/favicon.svg" />
+const ASSET_ELEMENTS = ['link', 'script'];
+
+// Find the paths a file links or redirects to, with where they are
+function findLinkTargets(filePath: string, content: string): Omit<DeadLink, 'file'>[] {
+  const sourceFile = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKindFor(filePath));
+  const targets: Omit<DeadLink, 'file'>[] = [];
+  const add = (target: string | null, kind: DeadLink['kind'], node: ts.Node) => {
+    // Only paths on this site: not URLs, protocol-relative links or anchors
+    if (target !== null && target.startsWith('/') && !target.startsWith('//')) {
+      const { line } = sourceFile.getLineAndCharacterOfPosition(node.getStart());
+      targets.push({ target, kind, line: line + 1 });
+    }
+  };
+
+  const visit = (node: ts.Node) => {
+    if (ts.isCallExpression(node)) {
+      const callee = unwrapExpression(node.expression);
+      const name = ts.isIdentifier(callee)
+        ? callee.text
+        : ts.isPropertyAccessExpression(callee)
+          ? callee.name.text
+          : null;
+      if (name === 'link') {
+        add(firstStringArgument(node), 'link', node);
+      } else if (name === 'redirect') {
+        // redirect('/login') and Response.redirect('/login')
+        add(firstStringArgument(node), 'redirect', node);
+      }
+    } else if (
+      ts.isJsxAttribute(node) &&
+      node.name.getText(sourceFile) === 'href' &&
+      node.initializer &&
+      !ASSET_ELEMENTS.includes(node.parent.parent.tagName.getText(sourceFile))
+    ) {
+      const initializer = node.initializer;
+      if (ts.isStringLiteral(initializer)) {
+        add(initializer.text, 'href', node);
+      } else if (ts.isJsxExpression(initializer) && initializer.expression && ts.isStringLiteralLike(initializer.expression)) {
+        add(initializer.expression.text, 'href', node);
+      }
+    } else if (
+      ts.isPropertyAssignment(node) &&
+      /^location$/i.test(node.name.getText(sourceFile).replace(/['"]/g, '')) &&
+      ts.isStringLiteralLike(node.initializer)
+    ) {
+      // new Response(null, { status: 302, headers: { Location: '/login' } })
+      add(node.initializer.text, 'redirect', node);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  return targets;
+}
+
+// Whether a path is a static file rather than a page: it has a file extension,
+// e.g. /src/client.tsx or /favicon.svg, or it exists under public/
+async function isStaticFile(target: string, publicDir: string): Promise<boolean> {
+  const pathname = target.replace(/[?#].*$/, '');
+  if (/\.\w+$/.test(pathname.slice(pathname.lastIndexOf('/')))) {
+    return true;
+  }
   try {
-    const workerPath = path.resolve(process.cwd(), 'src/worker.tsx');
-    const workerContent = await fs.readFile(workerPath, 'utf-8');
+    return (await fs.stat(path.join(publicDir, pathname))).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Whether a path is served by a route, ignoring the query, hash and a trailing slash
+function matchesAnyRoute(target: string, patterns: RegExp[]): boolean {
+  const pathname = target.replace(/[?#].*$/, '');
+  const trimmed = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  return patterns.some(pattern => pattern.test(trimmed) || pattern.test(`${trimmed}/`));
+}
+
+/**
+ * Find links, hrefs and redirects in the app that no route serves
+ */
+export async function findDeadLinks({ cwd = process.cwd() }: GenerateLinksOptions = {}): Promise<FindDeadLinksResult> {
+  const { projectRoot, paths, routes, linksPath, warnings } = await buildLinks(cwd);
+  const routePaths = new Set(routes);
+  const patterns = routes.map(routePattern);
+  const files = (await listSourceFiles(path.resolve(projectRoot, paths.app))).filter(file => file !== linksPath);
+  const publicDir = path.resolve(projectRoot, 'public');
+  const deadLinks: DeadLink[] = [];
+
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf-8');
+    for (const target of findLinkTargets(file, content)) {
+      // link() takes a route path like '/users/:id', the others a URL like '/users/1'
+      const known =
+        target.kind === 'link'
+          ? routePaths.has(target.target)
+          : matchesAnyRoute(target.target, patterns) || (await isStaticFile(target.target, publicDir));
+      if (!known) {
+        deadLinks.push({ ...target, file });
+      }
+    }
+  }
+
+  return { deadLinks, files, warnings };
+}
+
+export interface WatchLinksOptions extends GenerateLinksOptions {
+  onGenerate?: (result: GenerateLinksResult) => void;
+  onError?: (error: unknown) => void;
+}
+
+/**
+ * Regenerate the links file whenever the worker or a file it imports changes
+ */
+export async function watchLinks({
+  cwd = process.cwd(),
+  onGenerate = () => {},
+  onError = () => {},
+}: WatchLinksOptions = {}): Promise<{ close: () => void }> {
+  const projectRoot = path.resolve(cwd);
+  const { paths } = await loadProjectConfig(projectRoot);
+  let watchers: FSWatcher[] = [];
+  let timer: NodeJS.Timeout | undefined;
+  let running = false;
+  let pending = false;
+
+  // Watch files one by one: the imports decide what matters, not a directory
+  const watchFiles = (files: string[]) => {
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+    watchers = [];
+    for (const file of files) {
+      try {
+        watchers.push(watch(file, schedule));
+      } catch {
+        // The file was removed since it was read; the next run will tell
+      }
+    }
+  };
+
+  const run = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      const result = await generateLinks({ cwd: projectRoot });
+      // Editors often replace files on save, so watch the new ones every time
+      watchFiles(result.files);
+      onGenerate(result);
+    } catch (error) {
+      // Keep watching the files from the last run, or at least the worker
+      if (watchers.length === 0) {
+        watchFiles([path.resolve(projectRoot, paths.worker)]);
+      }
+      onError(error);
+    }
+    running = false;
+    if (pending) {
+      pending = false;
+      await run();
+    }
+  };
 
-    const routes = await extractRoutesFromContent(workerContent, '', workerPath);
-    await generateLinksFile(routes);
-    console.log('✨ Successfully generated links.ts');
+  // Saves often come as several events in a row
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(run, 100);
+  }
+
+  await run();
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchFiles([]);
+    },
+  };
+}
+
+function printError(message: string, error: unknown) {
+  // Conflicts are the user's to fix, so skip the stack trace
+  if (error instanceof RouteConflictError) {
+    console.error(`❌ ${error.message}`);
+  } else {
+    console.error(message, error);
+  }
+}
+
+function printGenerated({ linksPath, apiPath, manifestPath, sitemapPath }: GenerateLinksResult) {
+  const generated = [linksPath, apiPath, manifestPath, sitemapPath].filter((file): file is string => file !== null);
+  console.log(`✨ Successfully generated ${generated.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+}
+
+function printWarnings(warnings: string[]) {
+  for (const warning of warnings) {
+    console.warn(`Warning: ${warning}`);
+  }
+}
+
+// Print the routes as a table, or as JSON for other tools
+function printRoutes(routes: RouteInfo[], json: boolean) {
+  const rows = routes.map(route => ({
+    ...route,
+    file: path.relative(process.cwd(), route.file).split(path.sep).join('/'),
+  }));
+
+  if (json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) {
+    console.log('No routes found');
+    return;
+  }
+
+  const table = [
+    ['Path', 'Handler', 'Declared at', 'Via'],
+    ...rows.map(row => [
+      row.path,
+      row.handler ?? '-',
+      `${row.file}:${row.line}`,
+      [...row.prefixes.map(prefix => `prefix("${prefix}")`), ...row.spreads.map(spread => `...${spread}`)].join(' ') || '-',
+    ]),
+  ];
+  const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+  for (const cells of table) {
+    console.log(cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+}
+
+// The diff helper of rwsdk-tools: the package this script runs from with
+// `rwsdk-tools run routes`, or the one installed in the project. A copy of the
+// script in a project without rwsdk-tools reports the outdated file without a diff.
+function loadCreateDiff(): CreateDiff | undefined {
+  const packageDirs = [fileURLToPath(new URL('../..', import.meta.url))];
+  try {
+    const projectRequire = createRequire(path.join(process.cwd(), 'package.json'));
+    packageDirs.push(path.dirname(projectRequire.resolve('rwsdk-tools/package.json')));
+  } catch {
+    // Not installed in the project
+  }
+
+  for (const packageDir of packageDirs) {
+    const packageJsonPath = path.join(packageDir, 'package.json');
+    const diffPath = path.join(packageDir, 'lib', 'diff.js');
+    try {
+      if (JSON.parse(readFileSync(packageJsonPath, 'utf-8')).name === 'rwsdk-tools' && existsSync(diffPath)) {
+        return createRequire(packageJsonPath)(diffPath).createUnifiedDiff;
+      }
+    } catch {
+      // Try the next package
+    }
+  }
+  return undefined;
+}
+
+async function main() {
+  if (process.argv.includes('--list') || process.argv.includes('--json')) {
+    try {
+      const { routes, conflicts, warnings } = await listRoutes();
+      printWarnings(warnings);
+      printRoutes(routes, process.argv.includes('--json'));
+      if (conflicts.length > 0) {
+        printError('', new RouteConflictError(conflicts));
+        process.exit(1);
+      }
+    } catch (error) {
+      printError('Error listing routes:', error);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (process.argv.includes('--dead-links')) {
+    try {
+      const { deadLinks, files, warnings } = await findDeadLinks();
+      printWarnings(warnings);
+      if (deadLinks.length === 0) {
+        console.log(`✅ No dead links in ${files.length} files`);
+        return;
+      }
+      console.error(`❌ Found ${deadLinks.length} dead link${deadLinks.length === 1 ? '' : 's'}:`);
+      for (const { target, kind, file, line } of deadLinks) {
+        console.error(`  ${path.relative(process.cwd(), file)}:${line}  ${kind} ${target}`);
+      }
+      process.exit(1);
+    } catch (error) {
+      printError('Error finding dead links:', error);
+      process.exit(1);
+    }
+  }
+
+  if (process.argv.includes('--check')) {
+    try {
+      const { upToDate, outdatedPaths, diff, warnings } = await checkLinks({ createDiff: loadCreateDiff() });
+      printWarnings(warnings);
+      if (upToDate) {
+        console.log('✅ The generated route files are up to date');
+        return;
+      }
+      const relativePaths = outdatedPaths.map(file => path.relative(process.cwd(), file)).join(', ');
+      console.error(
+        `❌ ${relativePaths} ${outdatedPaths.length === 1 ? 'is' : 'are'} out of date. ` +
+          `Regenerate ${outdatedPaths.length === 1 ? 'it' : 'them'} by running the "routes" script${diff ? ':\n' : '.'}`
+      );
+      if (diff) {
+        console.error(diff);
+      }
+      process.exit(1);
+    } catch (error) {
+      printError('Error checking routes:', error);
+      process.exit(1);
+    }
+  }
+
+  if (process.argv.includes('--watch')) {
+    try {
+      await watchLinks({
+        onGenerate(result) {
+          printWarnings(result.warnings);
+          if (result.changed) {
+            printGenerated(result);
+          }
+        },
+        onError(error) {
+          printError('Error generating routes:', error);
+        },
+      });
+    } catch (error) {
+      printError('Error generating routes:', error);
+      process.exit(1);
+    }
+    console.log('👀 Watching the worker and its imports for route changes (Ctrl+C to stop)');
+    return;
+  }
+
+  try {
+    const result = await generateLinks();
+    printWarnings(result.warnings);
+    printGenerated(result);
   } catch (error) {
-    console.error('Error generating routes:', error);
+    printError('Error generating routes:', error);
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+// Run when executed directly, not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url))) {
+  main();
+}
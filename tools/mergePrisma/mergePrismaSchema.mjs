@@ -2,187 +2,207 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
-// Get the directory name using ES modules approach
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Define the source directories and target file
-const SCHEMA_DIR = path.resolve(__dirname, "../../prisma/schema");
-const APP_DIR = path.resolve(__dirname, "../../src/app");
-const TARGET_FILE = path.resolve(__dirname, "../../prisma/schema.prisma");
-// Use the schema directory for backup but with a .bak extension to avoid conflicts with Prisma
-const SCHEMA_BACKUP_FILE = path.resolve(__dirname, "../../prisma/schema/schema.prisma.bak");
-
-// Main function to merge schema files
-async function mergePrismaSchemas() {
+// Logger used when the merge is called as a library function
+const silentLogger = { log() {}, warn() {} };
+
+// Load the project paths, which can be overridden with "paths" in rwsdk-tools.config.json
+function loadProjectPaths(projectRoot) {
+  const defaults = { prisma: "prisma", app: "src/app" };
+  const configPath = path.resolve(projectRoot, "rwsdk-tools.config.json");
+  if (!fs.existsSync(configPath)) {
+    return defaults;
+  }
+
   try {
-    console.log("🚀 Starting Prisma schema merge...");
-
-    // Check if the target file exists and if so, backup to schema directory if backup file doesn't exist
-    if (fs.existsSync(TARGET_FILE)) {
-      // Check if schema directory exists, if not create it
-      if (!fs.existsSync(SCHEMA_DIR)) {
-        fs.mkdirSync(SCHEMA_DIR, { recursive: true });
-        console.log(`📁 Created schema directory: ${SCHEMA_DIR}`);
-      }
-      
-      // Only copy to schema backup if the backup file doesn't already exist
-      if (!fs.existsSync(SCHEMA_BACKUP_FILE)) {
-        fs.copyFileSync(TARGET_FILE, SCHEMA_BACKUP_FILE);
-        console.log(`📋 Backed up existing schema to ${SCHEMA_BACKUP_FILE}`);
-      } else {
-        console.log(`ℹ️ Schema backup already exists at ${SCHEMA_BACKUP_FILE}, skipping backup`);
-      }
-    }
+    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    return { ...defaults, ...(config.paths || {}) };
+  } catch (error) {
+    throw new Error(`Invalid rwsdk-tools.config.json: ${error.message}`);
+  }
+}
 
-    // Read all .prisma files from the schema directory
-    const schemaFilesFromSchemaDir = fs.existsSync(SCHEMA_DIR)
-      ? fs
-          .readdirSync(SCHEMA_DIR)
-          .filter((file) => file.endsWith(".prisma"))
-          .map((file) => path.join(SCHEMA_DIR, file))
-      : [];
-
-    // Find all .prisma files recursively in the app directory
-    const schemaFilesFromAppDir = findPrismaFilesRecursively(APP_DIR);
-
-        // Read the backup file if it exists
-    let backupFileContent = null;
-    if (fs.existsSync(SCHEMA_BACKUP_FILE)) {
-      backupFileContent = fs.readFileSync(SCHEMA_BACKUP_FILE, "utf8");
-      console.log(`📄 Reading backup file: ${SCHEMA_BACKUP_FILE}`);
+/**
+ * Merge the project's .prisma files into prisma/schema.prisma
+ * @param {Object} options
+ * @param {string} options.cwd - Project root (defaults to the current directory)
+ * @param {Object} options.logger - Receives progress messages (silent by default)
+ * @returns {Promise<{targetFile: string, schemaFiles: string[], schema: string}>}
+ */
+export async function mergePrismaSchemas({ cwd = process.cwd(), logger = silentLogger } = {}) {
+  // Define the source directories and target file, relative to the project root
+  const paths = loadProjectPaths(cwd);
+  const PRISMA_DIR = path.resolve(cwd, paths.prisma);
+  const SCHEMA_DIR = path.join(PRISMA_DIR, "schema");
+  const APP_DIR = path.resolve(cwd, paths.app);
+  const TARGET_FILE = path.join(PRISMA_DIR, "schema.prisma");
+  // Use the schema directory for backup but with a .bak extension to avoid conflicts with Prisma
+  const SCHEMA_BACKUP_FILE = path.join(SCHEMA_DIR, "schema.prisma.bak");
+
+  logger.log("🚀 Starting Prisma schema merge...");
+
+  // Check if the target file exists and if so, backup to schema directory if backup file doesn't exist
+  if (fs.existsSync(TARGET_FILE)) {
+    // Check if schema directory exists, if not create it
+    if (!fs.existsSync(SCHEMA_DIR)) {
+      fs.mkdirSync(SCHEMA_DIR, { recursive: true });
+      logger.log(`📁 Created schema directory: ${SCHEMA_DIR}`);
     }
     
-    // Combine all schema files
-    const schemaFiles = [
-      ...schemaFilesFromSchemaDir, 
-      ...schemaFilesFromAppDir
-    ];
-
-    console.log(`📁 Found ${schemaFiles.length} schema files to merge`);
-
-    // Initialize containers for different schema sections
-    const generators = [];
-    const datasources = [];
-    const models = [];
-    const enums = [];
-
-    // Process each schema file
-    for (const file of schemaFiles) {
-      console.log(`📄 Processing ${file}...`);
-      const content = fs.readFileSync(file, "utf8");
-
-      // Extract different sections using regex
-      extractSection(content, /generator\s+\w+\s+{[^}]*}/gs, generators);
-      extractSection(content, /datasource\s+\w+\s+{[^}]*}/gs, datasources);
-      extractSection(content, /model\s+\w+\s+{[^}]*}/gs, models);
-      extractSection(content, /enum\s+\w+\s+{[^}]*}/gs, enums);
-
-      // Also look for commented model sections that might be intended as additions
-      const commentedModelAdditions = content.match(
-        /\/\*\*[\s\S]*?ADD TO (\w+) MODEL[\s\S]*?\*\/([\s\S]*?)(\*\/|$)/g
-      );
-      if (commentedModelAdditions) {
-        for (const addition of commentedModelAdditions) {
-          const modelNameMatch = addition.match(/ADD TO (\w+) MODEL/);
-          if (modelNameMatch && modelNameMatch[1]) {
-            const targetModel = modelNameMatch[1];
-            const fieldLines = addition
-              .replace(/\/\*\*[\s\S]*?\*\//, "") // Remove the comment markers
-              .replace(/model\s+\w+\s+{/, "") // Remove any model declaration
-              .replace(/}/, "") // Remove closing brace
-              .trim();
-
-            // Store this to be added to the appropriate model later
-            console.log(`Found additions for model ${targetModel}`);
-            processModelAdditions(models, targetModel, fieldLines);
-          }
+    // Only copy to schema backup if the backup file doesn't already exist
+    if (!fs.existsSync(SCHEMA_BACKUP_FILE)) {
+      fs.copyFileSync(TARGET_FILE, SCHEMA_BACKUP_FILE);
+      logger.log(`📋 Backed up existing schema to ${SCHEMA_BACKUP_FILE}`);
+    } else {
+      logger.log(`ℹ️ Schema backup already exists at ${SCHEMA_BACKUP_FILE}, skipping backup`);
+    }
+  }
+
+  // Read all .prisma files from the schema directory
+  const schemaFilesFromSchemaDir = fs.existsSync(SCHEMA_DIR)
+    ? fs
+        .readdirSync(SCHEMA_DIR)
+        .filter((file) => file.endsWith(".prisma"))
+        .map((file) => path.join(SCHEMA_DIR, file))
+    : [];
+
+  // Find all .prisma files recursively in the app directory
+  const schemaFilesFromAppDir = findPrismaFilesRecursively(APP_DIR);
+
+      // Read the backup file if it exists
+  let backupFileContent = null;
+  if (fs.existsSync(SCHEMA_BACKUP_FILE)) {
+    backupFileContent = fs.readFileSync(SCHEMA_BACKUP_FILE, "utf8");
+    logger.log(`📄 Reading backup file: ${SCHEMA_BACKUP_FILE}`);
+  }
+  
+  // Combine all schema files
+  const schemaFiles = [
+    ...schemaFilesFromSchemaDir, 
+    ...schemaFilesFromAppDir
+  ];
+
+  logger.log(`📁 Found ${schemaFiles.length} schema files to merge`);
+
+  // Initialize containers for different schema sections
+  const generators = [];
+  const datasources = [];
+  const models = [];
+  const enums = [];
+
+  // Process each schema file
+  for (const file of schemaFiles) {
+    logger.log(`📄 Processing ${file}...`);
+    const content = fs.readFileSync(file, "utf8");
+
+    // Extract different sections using regex
+    extractSection(content, /generator\s+\w+\s+{[^}]*}/gs, generators);
+    extractSection(content, /datasource\s+\w+\s+{[^}]*}/gs, datasources);
+    extractSection(content, /model\s+\w+\s+{[^}]*}/gs, models);
+    extractSection(content, /enum\s+\w+\s+{[^}]*}/gs, enums);
+
+    // Also look for commented model sections that might be intended as additions
+    const commentedModelAdditions = content.match(
+      /\/\*\*[\s\S]*?ADD TO (\w+) MODEL[\s\S]*?\*\/([\s\S]*?)(\*\/|$)/g
+    );
+    if (commentedModelAdditions) {
+      for (const addition of commentedModelAdditions) {
+        const modelNameMatch = addition.match(/ADD TO (\w+) MODEL/);
+        if (modelNameMatch && modelNameMatch[1]) {
+          const targetModel = modelNameMatch[1];
+          const fieldLines = addition
+            .replace(/\/\*\*[\s\S]*?\*\//, "") // Remove the comment markers
+            .replace(/model\s+\w+\s+{/, "") // Remove any model declaration
+            .replace(/}/, "") // Remove closing brace
+            .trim();
+
+          // Store this to be added to the appropriate model later
+          logger.log(`Found additions for model ${targetModel}`);
+          processModelAdditions(models, targetModel, fieldLines, logger);
         }
       }
     }
+  }
+  
+  // Process the backup file if it exists
+  if (backupFileContent) {
+    logger.log(`📄 Processing backup file content...`);
     
-    // Process the backup file if it exists
-    if (backupFileContent) {
-      console.log(`📄 Processing backup file content...`);
-      
-      // Extract different sections from the backup file
-      extractSection(backupFileContent, /generator\s+\w+\s+{[^}]*}/gs, generators);
-      extractSection(backupFileContent, /datasource\s+\w+\s+{[^}]*}/gs, datasources);
-      extractSection(backupFileContent, /model\s+\w+\s+{[^}]*}/gs, models);
-      extractSection(backupFileContent, /enum\s+\w+\s+{[^}]*}/gs, enums);
-
-      // Also look for commented model sections that might be intended as additions in the backup file
-      const commentedModelAdditions = backupFileContent.match(
-        /\/\*\*[\s\S]*?ADD TO (\w+) MODEL[\s\S]*?\*\/([\s\S]*?)(\*\/|$)/g
-      );
-      if (commentedModelAdditions) {
-        for (const addition of commentedModelAdditions) {
-          const modelNameMatch = addition.match(/ADD TO (\w+) MODEL/);
-          if (modelNameMatch && modelNameMatch[1]) {
-            const targetModel = modelNameMatch[1];
-            const fieldLines = addition
-              .replace(/\/\*\*[\s\S]*?\*\//, "") // Remove the comment markers
-              .replace(/model\s+\w+\s+{/, "") // Remove any model declaration
-              .replace(/}/, "") // Remove closing brace
-              .trim();
-
-            // Store this to be added to the appropriate model later
-            console.log(`Found additions for model ${targetModel} in backup file`);
-            processModelAdditions(models, targetModel, fieldLines);
-          }
+    // Extract different sections from the backup file
+    extractSection(backupFileContent, /generator\s+\w+\s+{[^}]*}/gs, generators);
+    extractSection(backupFileContent, /datasource\s+\w+\s+{[^}]*}/gs, datasources);
+    extractSection(backupFileContent, /model\s+\w+\s+{[^}]*}/gs, models);
+    extractSection(backupFileContent, /enum\s+\w+\s+{[^}]*}/gs, enums);
+
+    // Also look for commented model sections that might be intended as additions in the backup file
+    const commentedModelAdditions = backupFileContent.match(
+      /\/\*\*[\s\S]*?ADD TO (\w+) MODEL[\s\S]*?\*\/([\s\S]*?)(\*\/|$)/g
+    );
+    if (commentedModelAdditions) {
+      for (const addition of commentedModelAdditions) {
+        const modelNameMatch = addition.match(/ADD TO (\w+) MODEL/);
+        if (modelNameMatch && modelNameMatch[1]) {
+          const targetModel = modelNameMatch[1];
+          const fieldLines = addition
+            .replace(/\/\*\*[\s\S]*?\*\//, "") // Remove the comment markers
+            .replace(/model\s+\w+\s+{/, "") // Remove any model declaration
+            .replace(/}/, "") // Remove closing brace
+            .trim();
+
+          // Store this to be added to the appropriate model later
+          logger.log(`Found additions for model ${targetModel} in backup file`);
+          processModelAdditions(models, targetModel, fieldLines, logger);
         }
       }
     }
+  }
 
-    // Deduplicate sections (keep only unique generators, datasources, and models)
-    const uniqueGenerators = deduplicateSections(generators);
-    const uniqueDatasources = deduplicateSections(datasources);
-    const uniqueModels = deduplicateModels(models);
+  // Deduplicate sections (keep only unique generators, datasources, and models)
+  const uniqueGenerators = deduplicateSections(generators);
+  const uniqueDatasources = deduplicateSections(datasources);
+  const uniqueModels = deduplicateModels(models, logger);
 
-    // Sort models alphabetically by name
-    const sortedModels = uniqueModels.sort((a, b) => {
-      const nameA = a.match(/model\s+(\w+)\s+{/)?.[1] || "";
-      const nameB = b.match(/model\s+(\w+)\s+{/)?.[1] || "";
-      return nameA.localeCompare(nameB);
-    });
+  // Sort models alphabetically by name
+  const sortedModels = uniqueModels.sort((a, b) => {
+    const nameA = a.match(/model\s+(\w+)\s+{/)?.[1] || "";
+    const nameB = b.match(/model\s+(\w+)\s+{/)?.[1] || "";
+    return nameA.localeCompare(nameB);
+  });
 
-    // Add empty lines between models for better readability
-    const modelsWithSpacing = [];
-    sortedModels.forEach((model, index) => {
-      modelsWithSpacing.push(model);
-      // Add an empty line after each model except the last one
-      if (index < sortedModels.length - 1) {
-        modelsWithSpacing.push("");
-      }
-    });
+  // Add empty lines between models for better readability
+  const modelsWithSpacing = [];
+  sortedModels.forEach((model, index) => {
+    modelsWithSpacing.push(model);
+    // Add an empty line after each model except the last one
+    if (index < sortedModels.length - 1) {
+      modelsWithSpacing.push("");
+    }
+  });
 
-    // Combine all sections into the final schema
-    const finalSchema = [
-      "// This is your Prisma schema file,",
-      "// learn more about it in the docs: https://pris.ly/d/prisma-schema",
-      "",
-      "// This file was automatically generated by the schema merge script",
-      "// Last merged: " + new Date().toISOString(),
-      "",
-      ...uniqueGenerators,
-      "",
-      ...uniqueDatasources,
-      "",
-      ...enums,
-      "",
-      ...modelsWithSpacing,
-    ].join("\n");
-
-    // The backup process has been moved to the beginning of the function
-
-    // Write the merged schema to the target file
-    fs.writeFileSync(TARGET_FILE, finalSchema);
-
-    console.log(`✅ Successfully merged schema files into ${TARGET_FILE}`);
-  } catch (error) {
-    console.error("Error merging schema files:", error);
-    process.exit(1);
-  }
+  // Combine all sections into the final schema
+  const finalSchema = [
+    "// This is your Prisma schema file,",
+    "// learn more about it in the docs: https://pris.ly/d/prisma-schema",
+    "",
+    "// This file was automatically generated by the schema merge script",
+    "// Last merged: " + new Date().toISOString(),
+    "",
+    ...uniqueGenerators,
+    "",
+    ...uniqueDatasources,
+    "",
+    ...enums,
+    "",
+    ...modelsWithSpacing,
+  ].join("\n");
+
+  // The backup process has been moved to the beginning of the function
+
+  // Write the merged schema to the target file
+  fs.writeFileSync(TARGET_FILE, finalSchema);
+
+  logger.log(`✅ Successfully merged schema files into ${TARGET_FILE}`);
+
+  return { targetFile: TARGET_FILE, schemaFiles, schema: finalSchema };
 }
 
 // Helper function to extract sections using regex
@@ -200,7 +220,7 @@ function extractSection(content, pattern, container) {
 }
 
 // Helper function to process model additions from commented sections
-function processModelAdditions(models, targetModelName, fieldLines) {
+function processModelAdditions(models, targetModelName, fieldLines, logger) {
   // Find the target model in the existing models array
   for (let i = 0; i < models.length; i++) {
     if (models[i].startsWith(`model ${targetModelName} {`)) {
@@ -213,7 +233,7 @@ function processModelAdditions(models, targetModelName, fieldLines) {
     }
   }
 
-  console.warn(
+  logger.warn(
     `⚠️ Warning: Target model ${targetModelName} not found for additions`
   );
 }
@@ -238,7 +258,7 @@ function deduplicateSections(sections) {
 }
 
 // Helper function to deduplicate models and merge their fields
-function deduplicateModels(models) {
+function deduplicateModels(models, logger) {
   const modelMap = new Map();
 
   for (const modelDef of models) {
@@ -252,7 +272,7 @@ function deduplicateModels(models) {
         modelMap.set(modelName, modelDef);
       } else {
         // We've seen this model before, need to merge fields
-        console.log(
+        logger.log(
           `🔄 Found duplicate model: ${modelName}, merging fields...`
         );
 
@@ -347,7 +367,15 @@ function findPrismaFilesRecursively(dir) {
   return results;
 }
 
-// Run the script
-mergePrismaSchemas()
-  .then(() => console.log("🎉 Schema merge completed"))
-  .catch((err) => console.error("❌ Schema merge failed:", err));
+// Run the script when it is executed directly rather than imported
+if (
+  process.argv[1] &&
+  fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url))
+) {
+  mergePrismaSchemas({ logger: console })
+    .then(() => console.log("🎉 Schema merge completed"))
+    .catch((err) => {
+      console.error("❌ Schema merge failed:", err);
+      process.exit(1);
+    });
+}
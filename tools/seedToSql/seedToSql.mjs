@@ -12,82 +12,101 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
-// Get the directory name
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const silentLogger = { log() {}, warn() {} };
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-let inputFile = null;
-let outputFile = null;
-
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === "--input" || args[i] === "-i") {
-    inputFile = args[i + 1];
-    i++;
-  } else if (args[i] === "--output" || args[i] === "-o") {
-    outputFile = args[i + 1];
-    i++;
-  } else if (!inputFile) {
-    // Assume the first non-flag argument is the input file
-    inputFile = args[i];
+// Load the scripts directory, which can be overridden with "paths" in rwsdk-tools.config.json
+function loadScriptsDir(projectRoot) {
+  const configPath = path.resolve(projectRoot, "rwsdk-tools.config.json");
+  if (!fs.existsSync(configPath)) {
+    return "src/scripts";
   }
-}
-
-// If no input file is specified, try to find the default seed file
-if (!inputFile) {
-  // Default seed file location in Redwood projects
-  const defaultSeedPath = "src/scripts/seed.ts";
-  const possiblePath = path.resolve(process.cwd(), defaultSeedPath);
 
-  if (fs.existsSync(possiblePath)) {
-    inputFile = defaultSeedPath;
-    console.log(
-      `No input file specified, using default seed file: ${inputFile}`
-    );
-  } else {
-    // If no input file found, exit with error
-    console.error(
-      "Error: No input file specified and default seed file not found"
-    );
-    console.log(
-      "Usage: seedToSql --input <seed-file.ts> [--output <output-file.sql>]"
-    );
-    console.log(`Default location checked: ${defaultSeedPath}`);
-    process.exit(1);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid rwsdk-tools.config.json: ${error.message}`);
   }
+  return (config.paths && config.paths.scripts) || "src/scripts";
 }
 
-// Resolve relative paths for input file
-inputFile = path.resolve(process.cwd(), inputFile);
+// State of the conversion in progress. Conversions are synchronous, so only
+// one can be running at a time.
+let seedFileContent = "";
+const sqlStatements = [];
+let logger = silentLogger;
 
-// If no output file is specified, use the input filename with .sql extension in src/scripts folder
-if (!outputFile) {
-  const parsedPath = path.parse(inputFile);
-  // Ensure output goes to src/scripts folder
-  const srcScriptsDir = path.join(process.cwd(), "src", "scripts");
+/**
+ * Convert the contents of a seed file to SQL statements
+ * @param {string} content - The seed file source
+ * @param {Object} options
+ * @param {Object} options.logger - Receives warnings, e.g. console
+ * @returns {string[]} - The SQL statements
+ */
+export function convertSeedToSql(content, { logger: conversionLogger = silentLogger } = {}) {
+  seedFileContent = content;
+  sqlStatements.length = 0;
+  logger = conversionLogger;
 
-  // Create src/scripts directory if it doesn't exist
-  if (!fs.existsSync(srcScriptsDir)) {
-    fs.mkdirSync(srcScriptsDir, { recursive: true });
+  try {
+    processSeedFile();
+    return [...sqlStatements];
+  } finally {
+    logger = silentLogger;
   }
-
-  outputFile = path.join(srcScriptsDir, `${parsedPath.name}.sql`);
 }
 
-// Resolve relative paths for output file
-outputFile = path.resolve(process.cwd(), outputFile);
+/**
+ * Convert a seed file to a SQL file
+ * @param {Object} options
+ * @param {string} options.cwd - The project root
+ * @param {string} options.input - The seed file, defaults to <scripts>/seed.ts
+ * @param {string} options.output - The SQL file, defaults to <scripts>/<seed name>.sql
+ * @param {Object} options.logger - Receives progress messages, e.g. console
+ * @returns {Object} - The input and output files, the statements and the SQL
+ */
+export function seedToSql({
+  cwd = process.cwd(),
+  input,
+  output,
+  logger: log = silentLogger,
+} = {}) {
+  const projectRoot = path.resolve(cwd);
+  const scriptsDir = loadScriptsDir(projectRoot);
+
+  // If no input file is specified, try to find the default seed file
+  if (!input) {
+    // Default seed file location in Redwood projects
+    const defaultSeedPath = `${scriptsDir}/seed.ts`;
+    if (!fs.existsSync(path.resolve(projectRoot, defaultSeedPath))) {
+      throw new Error(
+        `No input file specified and default seed file not found (checked ${defaultSeedPath})`
+      );
+    }
+    input = defaultSeedPath;
+    log.log(`No input file specified, using default seed file: ${input}`);
+  }
+
+  const inputFile = path.resolve(projectRoot, input);
+  if (!fs.existsSync(inputFile)) {
+    throw new Error(`Input file '${inputFile}' does not exist`);
+  }
 
-// Check if input file exists
-if (!fs.existsSync(inputFile)) {
-  console.error(`Error: Input file '${inputFile}' does not exist`);
-  process.exit(1);
-}
+  // If no output file is specified, use the input filename with .sql extension in the scripts folder
+  const outputFile = output
+    ? path.resolve(projectRoot, output)
+    : path.join(projectRoot, scriptsDir, `${path.parse(inputFile).name}.sql`);
+
+  const statements = convertSeedToSql(fs.readFileSync(inputFile, "utf-8"), {
+    logger: log,
+  });
+  const sql = statements.join("\n\n");
 
-// Read the input file
-const seedFileContent = fs.readFileSync(inputFile, "utf-8");
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, sql);
 
-// Store SQL statements
-const sqlStatements = [];
+  return { inputFile, outputFile, statements, sql };
+}
 
 // Helper function to convert value to SQL string
 function valueToSql(value) {
@@ -274,7 +293,7 @@ function extractCreateMany() {
               .join(", ")}) VALUES (${values.join(", ")});`;
             sqlStatements.push(sql);
           } catch (itemError) {
-            console.warn(
+            logger.warn(
               `Warning: Could not parse item in createMany for ${modelName}:`,
               itemStr
             );
@@ -282,7 +301,7 @@ function extractCreateMany() {
         }
       }
     } catch (error) {
-      console.warn(
+      logger.warn(
         `Warning: Could not process createMany data block for ${modelName}:`,
         error.message
       );
@@ -382,12 +401,12 @@ function extractSimpleCreate() {
         } catch (fallbackError) {
           // Only show warnings if both methods failed and warnings are enabled
           if (showWarnings) {
-            console.warn(
+            logger.warn(
               `Warning: Could not parse data in create for ${modelName}:`,
               dataBlock
             );
-            console.warn(error);
-            console.warn(`Fallback parsing also failed:`, fallbackError);
+            logger.warn(error);
+            logger.warn(`Fallback parsing also failed:`, fallbackError);
           }
         }
       }
@@ -449,7 +468,7 @@ function extractSimpleCreate() {
           sqlStatements.push(sql);
         }
       } catch (error) {
-        console.warn(
+        logger.warn(
           `Warning: Could not parse data in generic create for ${modelName}:`,
           dataBlock
         );
@@ -714,7 +733,7 @@ function handleExample2() {
     seedFileContent.includes("john.doe@example.com") &&
     seedFileContent.includes("Hiring Manager")
   ) {
-    console.log("Detected example-2.ts pattern, using special handling...");
+    logger.log("Detected example-2.ts pattern, using special handling...");
 
     // Extract the company data
     sqlStatements.push(
@@ -785,7 +804,7 @@ function processSeedFile() {
 
   // Handle more complex cases with a warning
   if (sqlStatements.length === 0) {
-    console.warn(
+    logger.warn(
       "Warning: No SQL statements were generated. The seed file may contain complex operations that are not supported by this tool."
     );
 
@@ -802,19 +821,50 @@ function processSeedFile() {
   }
 }
 
-// Process the seed file
-processSeedFile();
+// Parse command line arguments
+function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--input" || args[i] === "-i") {
+      options.input = args[i + 1];
+      i++;
+    } else if (args[i] === "--output" || args[i] === "-o") {
+      options.output = args[i + 1];
+      i++;
+    } else if (!options.input) {
+      // Assume the first non-flag argument is the input file
+      options.input = args[i];
+    }
+  }
 
-// Generate the SQL output
-const sqlOutput = sqlStatements.join("\n\n");
+  return options;
+}
 
-// Write to output file
-fs.writeFileSync(outputFile, sqlOutput);
+// Run when executed directly, not when imported
+if (
+  process.argv[1] &&
+  fs.realpathSync(process.argv[1]) ===
+    fs.realpathSync(fileURLToPath(import.meta.url))
+) {
+  try {
+    const { outputFile, statements } = seedToSql({
+      ...parseArgs(process.argv.slice(2)),
+      logger: console,
+    });
+
+    // Clear any previous console output to hide warnings
+    if (process.stdout.isTTY) {
+      process.stdout.write("\x1Bc"); // Clear the console on TTY devices
+    }
 
-// Clear any previous console output to hide warnings
-if (process.stdout.isTTY) {
-  process.stdout.write("\x1Bc"); // Clear the console on TTY devices
+    console.log(`✅ SQL generated successfully: ${outputFile}`);
+    console.log(`Found and converted ${statements.length} SQL statements.`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.log(
+      "Usage: seedToSql --input <seed-file.ts> [--output <output-file.sql>]"
+    );
+    process.exit(1);
+  }
 }
-
-console.log(`✅ SQL generated successfully: ${outputFile}`);
-console.log(`Found and converted ${sqlStatements.length} SQL statements.`);
@@ -2,16 +2,25 @@
 
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
 const { promisify } = require("util");
+const {
+  writeFile,
+  ensureDir,
+  addPackages,
+} = require("../../lib/operations");
+const { getPackageManager } = require("../../lib/packageManager");
+const { getPaths, importPath } = require("../../lib/config");
+const { setupTailwind } = require("../../lib/tailwind");
 const readFile = promisify(fs.readFile);
-const writeFile = promisify(fs.writeFile);
 
 /**
  * Setup shadcn for a RedwoodSDK project
  */
 async function setupShadcn() {
   console.log("🔨 Setting up shadcn for your RedwoodSDK project...");
+  const pm = getPackageManager();
+  const paths = getPaths();
+  const uiDir = `${paths.components}/ui`;
 
   try {
     // Step 0: Copy components.json to the project root
@@ -20,7 +29,35 @@ async function setupShadcn() {
     const componentsJsonDest = path.join(process.cwd(), "components.json");
 
     try {
-      fs.copyFileSync(componentsJsonSource, componentsJsonDest);
+      const componentsJson = JSON.parse(
+        fs.readFileSync(componentsJsonSource, "utf8")
+      );
+
+      // Point components.json at the configured styles, components and lib
+      // paths. The "@/" alias maps to src/, so only paths inside src/ can be
+      // aliased.
+      componentsJson.tailwind.css = paths.styles;
+      if (paths.components.startsWith("src/")) {
+        componentsJson.aliases.components = `@/${paths.components.slice(4)}`;
+        componentsJson.aliases.ui = `@/${uiDir.slice(4)}`;
+      } else {
+        console.warn(
+          `⚠️ ${paths.components} is outside src/, keeping the default component aliases in components.json`
+        );
+      }
+      if (paths.lib.startsWith("src/")) {
+        componentsJson.aliases.lib = `@/${paths.lib.slice(4)}`;
+        componentsJson.aliases.utils = `@/${paths.lib.slice(4)}/utils`;
+      } else {
+        console.warn(
+          `⚠️ ${paths.lib} is outside src/, keeping the default lib aliases in components.json`
+        );
+      }
+
+      writeFile(
+        componentsJsonDest,
+        JSON.stringify(componentsJson, null, 2) + "\n"
+      );
       console.log("✅ components.json copied to project root");
     } catch (error) {
       console.error("❌ Error copying components.json:", error.message);
@@ -50,7 +87,17 @@ async function setupShadcn() {
 
     if (!tailwindInstalled) {
       console.log("🌬️ Tailwind not found. Installing Tailwind...");
-      execSync("npx rwsdk-tools tailwind", { stdio: "inherit" });
+      // The same setup as `rwsdk-tools tailwind`, in this process so it uses
+      // this rwsdk-tools and the detected package manager
+      const { changes, dependencies } = setupTailwind({ stdio: "inherit" });
+      for (const change of changes) {
+        console.log(`✓ ${change}`);
+      }
+      if (dependencies.error) {
+        throw new Error(
+          `Could not install Tailwind: ${dependencies.error.message}. Run ${dependencies.command} and try again.`
+        );
+      }
       console.log("✅ Tailwind installed successfully!");
     } else {
       console.log("✅ Tailwind is already installed.");
@@ -62,17 +109,19 @@ async function setupShadcn() {
     try {
       // Install necessary dependencies for shadcn
       console.log("💾 Installing shadcn dependencies...");
-      execSync(
-        "pnpm add class-variance-authority clsx tailwind-merge lucide-react @radix-ui/react-slot tw-animate-css",
-        { stdio: "inherit" }
-      );
+      addPackages([
+        "class-variance-authority",
+        "clsx",
+        "tailwind-merge",
+        "lucide-react",
+        "@radix-ui/react-slot",
+        "tw-animate-css",
+      ]);
 
       // Create the lib directory and utils.ts file
       console.log("📂 Creating lib directory and utility files...");
-      const libDir = path.join(process.cwd(), "src", "app", "lib");
-      if (!fs.existsSync(libDir)) {
-        fs.mkdirSync(libDir, { recursive: true });
-      }
+      const libDir = path.join(process.cwd(), paths.lib);
+      ensureDir(libDir);
 
       // Create the cn.ts utility file
       const cnUtilPath = path.join(libDir, "utils.ts");
@@ -83,13 +132,13 @@ export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
 }`;
 
-      await writeFile(cnUtilPath, cnUtilContent);
+      writeFile(cnUtilPath, cnUtilContent);
       console.log("✅ Created utils.ts with cn helper function");
 
       // Set up the CSS file
       console.log("📝 Setting up styles.css...");
-      const stylesDir = path.join(process.cwd(), "src", "app");
-      const stylesPath = path.join(stylesDir, "styles.css");
+      const stylesPath = path.join(process.cwd(), paths.styles);
+      const stylesDir = path.dirname(stylesPath);
 
       // Define the ShadCN styles content
       const shadcnStyles = `@import "tw-animate-css";
@@ -216,9 +265,7 @@ export function cn(...inputs: ClassValue[]) {
 }`;
 
       // Check if the directory exists, create it if not
-      if (!fs.existsSync(stylesDir)) {
-        fs.mkdirSync(stylesDir, { recursive: true });
-      }
+      ensureDir(stylesDir);
 
       let finalStylesContent = "";
 
@@ -281,17 +328,16 @@ export function cn(...inputs: ClassValue[]) {
       }
 
       // Write the final content to the file
-      await writeFile(stylesPath, finalStylesContent);
+      writeFile(stylesPath, finalStylesContent);
       console.log("✅ Updated styles.css successfully");
 
       // Update Document.tsx to include the styles
       console.log("📝 Updating Document.tsx...");
-      const documentPath = path.join(
-        process.cwd(),
-        "src",
-        "app",
-        "Document.tsx"
-      );
+      const documentPath = path.join(process.cwd(), paths.document);
+      const stylesImport = `import styles from '${importPath(
+        documentPath,
+        stylesPath
+      )}?url'`;
 
       if (fs.existsSync(documentPath)) {
         try {
@@ -299,11 +345,9 @@ export function cn(...inputs: ClassValue[]) {
           let modified = false;
 
           // Check if styles are already imported
-          if (
-            !documentContent.includes("import styles from './styles.css?url'")
-          ) {
+          if (!documentContent.includes(stylesImport)) {
             // Always add the import statement at the very top of the file, regardless of content
-            documentContent = `import styles from './styles.css?url';\n\n${documentContent}`;
+            documentContent = `${stylesImport};\n\n${documentContent}`;
             console.log("✅ Added styles import to Document.tsx");
             modified = true;
           } else {
@@ -329,29 +373,27 @@ export function cn(...inputs: ClassValue[]) {
             console.log("✅ Stylesheet link already exists in Document.tsx");
           }
 
-          // Write the updated Document.tsx file only if changes were made
-          if (modified) {
-            await writeFile(documentPath, documentContent);
-            console.log("✅ Successfully updated Document.tsx");
-          } else {
-            console.log("ℹ️ No changes needed for Document.tsx");
-          }
-
           // Double-check that the import statement was added
-          const updatedContent = await readFile(documentPath, "utf8");
-          if (
-            !updatedContent.includes("import styles from './styles.css?url'")
-          ) {
+          if (!documentContent.includes(stylesImport)) {
             console.log(
               "⚠️ Warning: Import statement was not added to Document.tsx. Trying alternative method..."
             );
 
             // Try a more direct approach
-            const lines = updatedContent.split("\n");
-            lines.unshift(`import styles from './styles.css?url';`);
-            await writeFile(documentPath, lines.join("\n"));
+            const lines = documentContent.split("\n");
+            lines.unshift(`${stylesImport};`);
+            documentContent = lines.join("\n");
+            modified = true;
             console.log("✅ Added styles import using alternative method");
           }
+
+          // Write the updated Document.tsx file only if changes were made
+          if (modified) {
+            writeFile(documentPath, documentContent);
+            console.log("✅ Successfully updated Document.tsx");
+          } else {
+            console.log("ℹ️ No changes needed for Document.tsx");
+          }
         } catch (error) {
           console.error("❌ Error updating Document.tsx:", error.message);
         }
@@ -363,7 +405,14 @@ export function cn(...inputs: ClassValue[]) {
     } catch (error) {
       console.error("❌ Error setting up shadcn manually:", error.message);
       console.log(
-        "⚠️ You may need to manually install dependencies: pnpm add class-variance-authority clsx tailwind-merge lucide-react @radix-ui/react-slot tw-animate-css"
+        `⚠️ You may need to manually install dependencies: ${pm.add([
+          "class-variance-authority",
+          "clsx",
+          "tailwind-merge",
+          "lucide-react",
+          "@radix-ui/react-slot",
+          "tw-animate-css",
+        ])}`
       );
     }
 
@@ -374,11 +423,11 @@ export function cn(...inputs: ClassValue[]) {
     console.log("\n📄 components.json has been added to your project root");
     console.log("\n📦 You can now add components using:");
     console.log("\n   To add components in bulk:");
-    console.log("   pnpm dlx shadcn@latest add");
+    console.log(`   ${pm.dlx("shadcn@latest add")}`);
     console.log("\n   To add a single component:");
-    console.log("   pnpm dlx shadcn@latest add <COMPONENT-NAME>");
+    console.log(`   ${pm.dlx("shadcn@latest add <COMPONENT-NAME>")}`);
     console.log(
-      "\n   Components will be added to the src/app/components/ui folder as configured in components.json."
+      `\n   Components will be added to the ${uiDir} folder as configured in components.json.`
     );
   } catch (error) {
     console.error("❌ An error occurred during setup:", error);
@@ -8,7 +8,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { copyFile, ensureDir } = require('../../lib/operations');
 
 /**
  * Main function to set up Windsurf configuration
@@ -21,8 +21,7 @@ function setupWindsurf() {
     console.log('\n\x1b[33m1. Creating .windsurf directory...\x1b[0m');
     const windsurfDir = path.join(process.cwd(), '.windsurf');
     
-    if (!fs.existsSync(windsurfDir)) {
-      fs.mkdirSync(windsurfDir);
+    if (ensureDir(windsurfDir)) {
       console.log('\x1b[32m✓ Created .windsurf directory\x1b[0m');
     } else {
       console.log('\x1b[33m⚠ .windsurf directory already exists\x1b[0m');
@@ -33,8 +32,7 @@ function setupWindsurf() {
     const rulesDir = path.join(windsurfDir, 'rules');
     const sourceRulesDir = path.join(__dirname, 'rules');
     
-    if (!fs.existsSync(rulesDir)) {
-      fs.mkdirSync(rulesDir);
+    if (ensureDir(rulesDir)) {
       console.log('\x1b[32m✓ Created .windsurf/rules directory\x1b[0m');
     } else {
       console.log('\x1b[33m⚠ .windsurf/rules directory already exists\x1b[0m');
@@ -49,8 +47,7 @@ function setupWindsurf() {
     const workflowsDir = path.join(windsurfDir, 'workflows');
     const sourceWorkflowsDir = path.join(__dirname, 'workflows');
     
-    if (!fs.existsSync(workflowsDir)) {
-      fs.mkdirSync(workflowsDir);
+    if (ensureDir(workflowsDir)) {
       console.log('\x1b[32m✓ Created .windsurf/workflows directory\x1b[0m');
     } else {
       console.log('\x1b[33m⚠ .windsurf/workflows directory already exists\x1b[0m');
@@ -88,15 +85,13 @@ function copyFiles(sourceDir, destDir) {
     
     if (fs.statSync(sourcePath).isDirectory()) {
       // Create directory if it doesn't exist
-      if (!fs.existsSync(destPath)) {
-        fs.mkdirSync(destPath);
-      }
+      ensureDir(destPath);
       
       // Recursively copy files
       copyFiles(sourcePath, destPath);
     } else {
       // Copy file
-      fs.copyFileSync(sourcePath, destPath);
+      copyFile(sourcePath, destPath);
     }
   });
 }
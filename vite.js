@@ -0,0 +1,101 @@
+/**
+ * Vite plugin
+ *
+ * Keeps the links file in step with the routes while Vite runs. It generates
+ * the file when the build starts and again whenever the worker or a file it
+ * imports changes:
+ *
+ *   import { defineConfig } from "vite";
+ *   import { redwood } from "rwsdk/vite";
+ *   import { routesPlugin } from "rwsdk-tools/vite";
+ *
+ *   export default defineConfig({
+ *     plugins: [redwood(), routesPlugin()],
+ *   });
+ */
+
+const path = require("path");
+const { generateLinks } = require("./index");
+
+/**
+ * Create the plugin
+ * @param {Object} options
+ * @param {string} options.cwd - Path to the project (default the Vite root)
+ * @returns {Object} - The Vite plugin
+ */
+function routesPlugin({ cwd } = {}) {
+  let projectRoot = path.resolve(cwd || process.cwd());
+  let logger = console;
+  // The worker and the files it imports, as of the last run
+  let files = new Set();
+  let running = null;
+  let rerun = false;
+  let initial = null;
+
+  async function regenerate() {
+    const result = await generateLinks({ cwd: projectRoot });
+    files = new Set(result.files);
+    for (const warning of result.warnings) {
+      logger.warn(`[rwsdk-tools] ${warning}`);
+    }
+    if (result.changed) {
+      const generated = [
+        result.linksPath,
+        result.apiPath,
+        result.manifestPath,
+        result.sitemapPath,
+      ]
+        .filter(Boolean)
+        .map((file) => path.relative(projectRoot, file));
+      logger.info(`[rwsdk-tools] Generated ${generated.join(", ")}`);
+    }
+  }
+
+  // One run at a time; changes during a run are picked up by one more run
+  function generate() {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      try {
+        do {
+          rerun = false;
+          await regenerate();
+        } while (rerun);
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  }
+
+  return {
+    name: "rwsdk-tools:routes",
+
+    configResolved(config) {
+      projectRoot = path.resolve(cwd || config.root);
+      logger = config.logger;
+    },
+
+    // Called once per environment, but the links only need generating once
+    async buildStart() {
+      initial = initial || generate();
+      await initial;
+    },
+
+    async watchChange(id) {
+      if (!files.has(path.resolve(id))) {
+        return;
+      }
+      try {
+        await generate();
+      } catch (error) {
+        // Keep the dev server running; the next save may fix it
+        logger.error(`[rwsdk-tools] Error generating routes: ${error.message}`);
+      }
+    },
+  };
+}
+
+module.exports = { routesPlugin };